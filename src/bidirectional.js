@@ -0,0 +1,440 @@
+const { getTargetPaths, isContentMatcher, escapeRegExp, MatcherError } = require('./matchers');
+
+/**
+ * Bidirectional matchers: a matcher with bidirectional: true also relates files
+ * the other way round, with a reverse rule derived from its sourceRegexp and
+ * target paths.
+ *
+ * The target path becomes the reverse sourceRegexp: its glob wildcards turn into
+ * regular expressions and each ${group} into a group with the pattern it had in
+ * sourceRegexp. The sourceRegexp becomes the reverse target path: its groups turn
+ * into placeholders and the rest into glob text. For example
+ *
+ *   sourceRegexp  ^(?<path>.*)\.[^.]*$        targetPath  out/*\/gen/${path}.*
+ *
+ * reverses to
+ *
+ *   sourceRegexp  ^out/[^/]*\/gen/(?<path>.*)\.[^/]*$   targetPath  ${path}.*
+ *
+ * That only works for simple rules. The sourceRegexp must be anchored with ^ and $
+ * and may only contain literal text, '.', character classes, groups, (?:a|b)
+ * alternatives and the quantifiers *, + and {n}. Parts outside groups that are
+ * repeated turn into '*', which never matches across '/'. Target paths may only use
+ * plain ${group} placeholders, outside of braces. A rule that can't be reversed
+ * raises a MatcherError saying why.
+ */
+
+// Suffix of the name of reverse rules
+const REVERSE_NAME_SUFFIX = ' (reverse)';
+
+/**
+ * Creates the error thrown when a rule can't be reversed.
+ * @param {string} reason - Why
+ * @returns {MatcherError}
+ */
+function cannotReverse(reason) {
+    return new MatcherError(`bidirectional: can't derive the reverse rule: ${reason}`);
+}
+
+/**
+ * Splits a sourceRegexp into a list of parts.
+ *
+ * @param {string} source - The regular expression source
+ * @returns {Array<object>} - Parts of the form { type: 'literal', text },
+ *     { type: 'wildcard', glob } (one character) or { type: 'group', capturing, name,
+ *     number, body, alternatives }, each with its source and quantifier
+ * @throws {MatcherError} - If the regular expression has parts glob can't express
+ */
+function parseSourceRegexp(source) {
+    if (!source.startsWith('^') || !source.endsWith('$') || source.endsWith('\\$')) {
+        throw cannotReverse('sourceRegexp must start with ^ and end with $');
+    }
+    const state = { source, index: 1, end: source.length - 1, groupCount: 0 };
+    const parts = parseSequence(state, false);
+    if (state.index < state.end) {
+        throw cannotReverse(`sourceRegexp has an alternative (|) outside a group`);
+    }
+    return parts;
+}
+
+function parseSequence(state, insideGroup) {
+    const parts = [];
+    const { source } = state;
+    while (state.index < state.end) {
+        const c = source[state.index];
+        if (c === '|' || (c === ')' && insideGroup)) {
+            break;
+        }
+
+        const start = state.index;
+        let part;
+        if (c === '\\') {
+            part = parseEscape(state);
+        } else if (c === '.') {
+            part = { type: 'wildcard', glob: '?' };
+            state.index++;
+        } else if (c === '[') {
+            part = parseClass(state);
+        } else if (c === '(') {
+            part = parseGroup(state);
+        } else if ('^$)*+?{}'.includes(c)) {
+            throw cannotReverse(`sourceRegexp has "${c}" where glob has no equivalent`);
+        } else {
+            part = { type: 'literal', text: c };
+            state.index++;
+        }
+
+        part.quantifier = parseQuantifier(state);
+        part.source = source.slice(start, state.index - part.quantifier.length);
+        parts.push(part);
+    }
+    return parts;
+}
+
+function parseEscape(state) {
+    const escaped = state.source[state.index + 1];
+    state.index += 2;
+    if (escaped === 'd') {
+        return { type: 'wildcard', glob: '[0-9]' };
+    }
+    if (escaped === 'w') {
+        return { type: 'wildcard', glob: '[a-zA-Z0-9_]' };
+    }
+    if (escaped !== undefined && /[^\w\s]/.test(escaped)) {
+        return { type: 'literal', text: escaped };
+    }
+    throw cannotReverse(`sourceRegexp has "\\${escaped || ''}" where glob has no equivalent`);
+}
+
+function parseClass(state) {
+    const { source } = state;
+    let i = state.index + 1;
+    const negate = source[i] === '^';
+    if (negate) {
+        i++;
+    }
+    let members = '';
+    for (; i < source.length && (source[i] !== ']' || members === ''); i++) {
+        if (source[i] === '\\') {
+            const escaped = source[++i];
+            if (escaped === 'd') {
+                members += '0-9';
+            } else if (escaped !== undefined && /[^\w\s\]\\]/.test(escaped)) {
+                members += escaped;
+            } else {
+                throw cannotReverse(`sourceRegexp has "\\${escaped || ''}" in a character class, which glob has no equivalent for`);
+            }
+        } else {
+            members += source[i];
+        }
+    }
+    if (i >= source.length) {
+        throw cannotReverse('sourceRegexp has an unterminated character class');
+    }
+    state.index = i + 1;
+    return { type: 'wildcard', glob: `[${negate ? '!' : ''}${members}]` };
+}
+
+function parseGroup(state) {
+    const { source } = state;
+    let name;
+    let number;
+    let capturing = true;
+    let bodyStart;
+    const rest = source.slice(state.index);
+    const named = /^\(\?<([\p{L}_$][\p{L}\p{N}_$]*)>/u.exec(rest);
+    if (named) {
+        name = named[1];
+        bodyStart = state.index + named[0].length;
+    } else if (rest.startsWith('(?:')) {
+        capturing = false;
+        bodyStart = state.index + 3;
+    } else if (rest.startsWith('(?')) {
+        throw cannotReverse('sourceRegexp has a lookaround or other special group');
+    } else {
+        bodyStart = state.index + 1;
+    }
+    if (capturing) {
+        number = ++state.groupCount;
+    }
+
+    state.index = bodyStart;
+    const alternatives = [parseSequence(state, true)];
+    while (source[state.index] === '|') {
+        state.index++;
+        alternatives.push(parseSequence(state, true));
+    }
+    if (source[state.index] !== ')') {
+        throw cannotReverse('sourceRegexp has an unterminated group');
+    }
+    state.index++;
+
+    const body = source.slice(bodyStart, state.index - 1);
+    if (capturing) {
+        if (alternatives.some(parts => parts.some(part => part.type === 'group' && part.capturing))) {
+            throw cannotReverse('sourceRegexp has a group inside another group');
+        }
+        return { type: 'group', capturing, name, number, body, alternatives };
+    }
+    return { type: 'group', capturing, alternatives };
+}
+
+function parseQuantifier(state) {
+    const quantifier = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/.exec(state.source.slice(state.index, state.end));
+    if (!quantifier) {
+        return '';
+    }
+    state.index += quantifier[0].length;
+    return quantifier[0];
+}
+
+/**
+ * Turns parsed sourceRegexp parts into glob text.
+ *
+ * @param {Array<object>} parts - From parseSourceRegexp
+ * @param {function(object): (string|undefined)} placeholderFor - Gives the placeholder
+ *     for a capturing group, or undefined to turn the group into glob text as well
+ * @returns {string} - The glob
+ * @throws {MatcherError} - If a part has no glob equivalent
+ */
+function partsToGlob(parts, placeholderFor) {
+    return parts.map(part => {
+        const placeholder = part.type === 'group' && part.capturing ? placeholderFor(part) : undefined;
+        if (placeholder !== undefined) {
+            if (part.quantifier) {
+                throw cannotReverse(`sourceRegexp repeats the group "${part.source}"`);
+            }
+            return placeholder;
+        }
+
+        let glob;
+        let single = false;
+        if (part.type === 'literal') {
+            if (/[*?[\]{},]/.test(part.text)) {
+                throw cannotReverse(`sourceRegexp matches "${part.text}", which has a meaning in glob`);
+            }
+            glob = part.text;
+            single = true;
+        } else if (part.type === 'wildcard') {
+            glob = part.glob;
+            single = true;
+        } else {
+            const alternatives = part.alternatives.map(alternative => partsToGlob(alternative, () => undefined));
+            glob = alternatives.length > 1 ? `{${alternatives.join(',')}}` : alternatives[0];
+            single = alternatives.length === 1 && part.alternatives[0].length === 1 && part.alternatives[0][0].type !== 'group' && !part.alternatives[0][0].quantifier;
+        }
+
+        // A lazy quantifier matches the same strings
+        const quantifier = part.quantifier.length > 1 ? part.quantifier.replace(/\?$/, '') : part.quantifier;
+        if (quantifier === '') {
+            return glob;
+        }
+        if (quantifier === '*') {
+            return '*';
+        }
+        if (quantifier === '+') {
+            return single ? `${glob}*` : '?*';
+        }
+        const count = /^\{(\d+)\}$/.exec(quantifier);
+        if (count) {
+            return glob.repeat(parseInt(count[1], 10));
+        }
+        throw cannotReverse(`sourceRegexp has the quantifier "${quantifier}" after "${part.source}", which glob has no equivalent for`);
+    }).join('');
+}
+
+/**
+ * Splits a target path into glob text and ${group} placeholders.
+ *
+ * @param {string} targetPath - One of the matcher's target paths
+ * @returns {Array<{text: string}|{name: string}>} - The pieces, in order
+ * @throws {MatcherError} - If it has placeholders other than plain ${group}
+ */
+function parseTargetPath(targetPath) {
+    const pieces = [];
+    let text = '';
+    let braceDepth = 0;
+    for (let i = 0; i < targetPath.length; i++) {
+        if (targetPath.startsWith('${', i)) {
+            const end = targetPath.indexOf('}', i);
+            const name = end === -1 ? '' : targetPath.slice(i + 2, end);
+            if (!/^(?:\d+|[\p{L}_$][\p{L}\p{N}_$]*)$/u.test(name)) {
+                throw cannotReverse(`targetPath "${targetPath}" has a placeholder other than a plain \${group}`);
+            }
+            if (braceDepth > 0) {
+                throw cannotReverse(`targetPath "${targetPath}" has a placeholder inside braces`);
+            }
+            if (text) {
+                pieces.push({ text });
+                text = '';
+            }
+            pieces.push({ name });
+            i = end;
+            continue;
+        }
+        const c = targetPath[i];
+        if (c === '{') {
+            braceDepth++;
+        } else if (c === '}') {
+            braceDepth--;
+        }
+        text += c;
+    }
+    if (text) {
+        pieces.push({ text });
+    }
+    return pieces;
+}
+
+/**
+ * Turns glob text into regular expression source, like findFilesWithGlob matches it.
+ *
+ * @param {string} glob - Glob text without placeholders
+ * @param {boolean} atEnd - Whether it ends the target path, where '**' matches files too
+ * @returns {string} - The regular expression source
+ */
+function globToRegexSource(glob, atEnd) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (glob.startsWith('**/', i) && (i === 0 || glob[i - 1] === '/')) {
+            source += '(?:[^/]+/)*';
+            i += 2;
+        } else if (glob.startsWith('**', i) && atEnd && i + 2 === glob.length && (i === 0 || glob[i - 1] === '/')) {
+            source += '.*';
+            i++;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i + 2) !== -1) {
+            const close = glob.indexOf(']', i + 2);
+            let members = glob.slice(i + 1, close);
+            const negate = members[0] === '!' || members[0] === '^';
+            if (negate) {
+                members = members.slice(1);
+            }
+            members = members.replace(/[\\^\]]/g, '\\$&');
+            source += negate ? `[^/${members}]` : `[${members}]`;
+            i = close;
+        } else if (c === '{') {
+            source += '(?:';
+        } else if (c === '}') {
+            source += ')';
+        } else if (c === ',') {
+            source += '|';
+        } else {
+            source += escapeRegExp(c);
+        }
+    }
+    return source;
+}
+
+function findNestedGroup(parts, name, isGroup) {
+    return parts.some(part => part.type === 'group' && part.alternatives.some(alternative =>
+        alternative.some(inner => isGroup(inner, name)) || findNestedGroup(alternative, name, isGroup)));
+}
+
+/**
+ * Derives the reverse rule of one target path of a matcher.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @param {string} targetPath - One of its target paths
+ * @returns {object} - A matcher relating files named by targetPath back to files
+ *     matching sourceRegexp
+ * @throws {MatcherError} - If the rule is not simple enough to reverse
+ */
+function deriveReverseMatcher(matcher, targetPath) {
+    const parts = parseSourceRegexp(matcher.sourceRegexp);
+    const isGroup = (part, name) => part.type === 'group' && part.capturing &&
+        (/^\d+$/.test(name) ? part.number === parseInt(name, 10) : part.name === name);
+    const findGroup = name => {
+        const group = parts.find(part => isGroup(part, name));
+        if (!group && findNestedGroup(parts, name, isGroup)) {
+            throw cannotReverse(`targetPath "${targetPath}" uses \${${name}}, which is inside another group of sourceRegexp`);
+        }
+        return group;
+    };
+
+    // Groups are always named in the reverse rule, numbered ones as _1, _2, ...
+    const reverseName = group => group.name || `_${group.number}`;
+
+    const pieces = parseTargetPath(targetPath);
+    const used = new Set();
+    let reverseSource = '^';
+    pieces.forEach((piece, i) => {
+        if (piece.text !== undefined) {
+            reverseSource += globToRegexSource(piece.text, i === pieces.length - 1);
+            return;
+        }
+        const group = findGroup(piece.name);
+        if (!group) {
+            throw cannotReverse(`targetPath "${targetPath}" uses \${${piece.name}}, which is not a group of sourceRegexp`);
+        }
+        if (used.has(group)) {
+            reverseSource += `\\k<${reverseName(group)}>`;
+        } else {
+            used.add(group);
+            reverseSource += `(?<${reverseName(group)}>${group.body})`;
+        }
+    });
+    reverseSource += '$';
+
+    const reverseTargetPath = partsToGlob(parts, group => (used.has(group) ? `\${${reverseName(group)}}` : undefined));
+
+    const reverse = {
+        name: `${matcher.name}${REVERSE_NAME_SUFFIX}`,
+        sourceRegexp: reverseSource,
+        targetPath: reverseTargetPath,
+        derivedFrom: matcher
+    };
+    if (typeof matcher.flags === 'string') {
+        reverse.flags = matcher.flags;
+    }
+    if (typeof matcher.transitive === 'boolean') {
+        reverse.transitive = matcher.transitive;
+    }
+    if (Array.isArray(matcher.exclude)) {
+        reverse.exclude = matcher.exclude.slice();
+    }
+    // Not cycle, visibility or tags: they describe the files the matcher finds, and the
+    // reverse rule finds the other side. A generated file's sources aren't generated.
+    if (typeof matcher.when === 'string') {
+        if (matcher.when.includes('${')) {
+            throw cannotReverse('when uses placeholders, whose groups differ in the reverse direction');
+        }
+        reverse.when = matcher.when;
+    }
+
+    try {
+        new RegExp(reverseSource, reverse.flags ? reverse.flags.replace(/[gy]/g, '') : '');
+    } catch (e) {
+        throw cannotReverse(`the derived sourceRegexp "${reverseSource}" is invalid: ${e.message}`);
+    }
+    return reverse;
+}
+
+/**
+ * Derives the reverse rules of a bidirectional matcher, one per target path.
+ *
+ * @param {object} matcher - A matcher with bidirectional: true
+ * @returns {object[]} - The reverse matchers
+ * @throws {MatcherError} - If the matcher can't be reversed; the message says why
+ */
+function deriveReverseMatchers(matcher) {
+    if (isContentMatcher(matcher)) {
+        throw cannotReverse('content matchers can\'t be reversed; use relatedsources.reverseIncludes to list the files including a file');
+    }
+    if (typeof matcher.targetRegexp === 'string' && matcher.targetRegexp.length > 0) {
+        throw cannotReverse('targetRegexp can\'t be reversed; use targetPath instead');
+    }
+    if (typeof matcher.sourceRegexp !== 'string') {
+        throw cannotReverse('sourceRegexp is missing');
+    }
+    return getTargetPaths(matcher).map(targetPath => deriveReverseMatcher(matcher, targetPath));
+}
+
+module.exports = {
+    deriveReverseMatchers,
+    REVERSE_NAME_SUFFIX
+};
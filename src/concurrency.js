@@ -0,0 +1,43 @@
+// Default number of file system operations or matchers allowed to run at once
+const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Creates a function that runs async tasks with at most maxConcurrent of them
+ * running at once. Queued tasks start in the order they were queued.
+ *
+ * @param {number} [maxConcurrent] - Maximum number of tasks running at once (at least 1)
+ * @returns {function(function(): Promise<T>): Promise<T>} - Runs a task when a slot is
+ *     free and resolves or rejects with its result
+ * @template T
+ */
+function createLimiter(maxConcurrent = DEFAULT_CONCURRENCY) {
+    const limit = Math.max(1, maxConcurrent || 1);
+    const queue = [];
+    let running = 0;
+
+    function startQueued() {
+        while (running < limit && queue.length > 0) {
+            const { task, resolve, reject } = queue.shift();
+            running++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    running--;
+                    startQueued();
+                });
+        }
+    }
+
+    return function runLimited(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            startQueued();
+        });
+    };
+}
+
+module.exports = {
+    createLimiter,
+    DEFAULT_CONCURRENCY
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { expandPlaceholders } = require('./placeholders');
+const { escapeGlob } = require('./findFilesWithGlob');
+
+// Get vscode module - allows for dependency injection during testing
+let vscode;
+try {
+    vscode = require('vscode');
+} catch (e) {
+    // vscode not available (running tests outside VS Code)
+    vscode = null;
+}
+
+/**
+ * Content matchers: matchers with a contentRegexp relate a file to the paths its
+ * text mentions, such as #include "foo/bar.h", import x from './y' or
+ * // Generated from foo.mojom.
+ *
+ * Every match of contentRegexp in the first part of the file gives a path: the
+ * matcher's targetPath or targetPaths expanded with the groups of that match,
+ * or else the "path" group, the first group or the whole match. Paths starting
+ * with './' or '../' are resolved against the file's directory only. Others are
+ * tried against the file's directory, the workspace folder root and each of the
+ * matcher's includeDirs, in that order.
+ */
+
+// Default number of kilobytes read from the start of a file for content matchers
+const DEFAULT_CONTENT_SCAN_LIMIT_KB = 64;
+
+/**
+ * Reads the start of a file as text. Open documents are read from the editor,
+ * so unsaved changes count.
+ *
+ * @param {vscode.Uri} uri - The file to read
+ * @param {number} maxBytes - How much to read at most
+ * @param {object} [vscodeMock] - Optional vscode module for testing
+ * @returns {Promise<string|null>} - The text, or null if the file can't be read or looks binary
+ */
+async function readFileHead(uri, maxBytes, vscodeMock) {
+    const vs = vscodeMock || vscode;
+    const key = uri.toString();
+    const document = vs.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+    if (document) {
+        return document.getText().slice(0, maxBytes);
+    }
+
+    let bytes;
+    try {
+        if (uri.scheme === 'file') {
+            // Avoid reading all of a large file
+            const handle = await fs.promises.open(uri.fsPath, 'r');
+            try {
+                const buffer = Buffer.alloc(maxBytes);
+                const { bytesRead } = await handle.read(buffer, 0, maxBytes, 0);
+                bytes = buffer.subarray(0, bytesRead);
+            } finally {
+                await handle.close();
+            }
+        } else {
+            bytes = (await vs.workspace.fs.readFile(uri)).subarray(0, maxBytes);
+        }
+    } catch (e) {
+        return null;
+    }
+
+    if (bytes.includes(0)) {
+        return null;
+    }
+    // A multi-byte character cut off at the end decodes to U+FFFD, which no path contains
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * Finds the paths a file's text mentions, as globs: text taken from the file has its
+ * glob characters escaped, so only the matcher's own target paths use glob syntax.
+ *
+ * @param {string} text - The start of the file
+ * @param {RegExp} contentRegex - The matcher's contentRegexp, with the g flag
+ * @param {string[]} targetPaths - The matcher's target paths; empty to use the captured path
+ * @param {function(string): (string|undefined)} [resolveVariable] - Looks up variables
+ * @returns {string[]} - The globs, in order of appearance and without duplicates
+ * @throws {PlaceholderError} - If a target path has an invalid placeholder
+ */
+function extractContentPaths(text, contentRegex, targetPaths, resolveVariable) {
+    const paths = new Set();
+    for (const match of text.matchAll(contentRegex)) {
+        if (targetPaths.length > 0) {
+            for (const targetPath of targetPaths) {
+                paths.add(expandPlaceholders(targetPath, match, resolveVariable, escapeGlob));
+            }
+        } else {
+            const captured = match.groups && match.groups.path !== undefined ? match.groups.path : (match.length > 1 ? match[1] : match[0]);
+            if (captured) {
+                paths.add(escapeGlob(captured));
+            }
+        }
+    }
+    paths.delete('');
+    return Array.from(paths);
+}
+
+/**
+ * Gets the workspace relative paths a path found in a file may refer to.
+ *
+ * @param {string} contentPath - A path from extractContentPaths
+ * @param {string} relPath - The workspace relative path of the file it was found in
+ * @param {string[]} [includeDirs] - Workspace relative directories to look in as well
+ * @returns {string[]} - Candidate globs relative to the workspace folder, in order of
+ *     preference and without duplicates. Paths leading outside the workspace folder are
+ *     dropped.
+ */
+function resolveContentPath(contentPath, relPath, includeDirs = []) {
+    const normalized = contentPath.replace(/\\/g, '/');
+    const fileDir = path.posix.dirname(relPath);
+
+    let candidates;
+    if (/^\.\.?\//.test(normalized)) {
+        candidates = [path.posix.join(fileDir, normalized)];
+    } else if (normalized.startsWith('/')) {
+        candidates = [normalized.replace(/^\/+/, '')];
+    } else {
+        candidates = [
+            path.posix.join(fileDir, normalized),
+            normalized,
+            ...includeDirs.filter(dir => typeof dir === 'string').map(dir => path.posix.join(dir.replace(/\\/g, '/'), normalized))
+        ];
+    }
+
+    return Array.from(new Set(candidates
+        .map(candidate => path.posix.normalize(candidate).replace(/^\.\//, '').replace(/^\/+/, ''))
+        .filter(candidate => candidate !== '' && candidate !== '.' && candidate !== '..' && !candidate.startsWith('../'))));
+}
+
+module.exports = {
+    readFileHead,
+    extractContentPaths,
+    resolveContentPath,
+    DEFAULT_CONTENT_SCAN_LIMIT_KB
+};
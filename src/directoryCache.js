@@ -0,0 +1,152 @@
+const path = require('path');
+
+/**
+ * A size bounded cache of readDirectory results keyed by directory fsPath.
+ *
+ * It has the same has/get/set interface as the Map that findFilesWithGlob
+ * accepts as its directoryCache, and evicts the least recently used directory
+ * once it holds more than maxEntries directories. Entries are kept across
+ * searches and are expected to be invalidated when the file system changes.
+ */
+class DirectoryCache {
+    /**
+     * @param {number} [maxEntries] - Maximum number of directories to keep
+     */
+    constructor(maxEntries = DirectoryCache.DEFAULT_MAX_ENTRIES) {
+        // Map iteration order is insertion order, so the first key is the least recently used
+        this.entries = new Map();
+        this.maxEntries = maxEntries;
+        // The subdirectories leading to cached listings, by parent directory, so the
+        // listings below a directory are found without looking at every key
+        this.subdirectories = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(fsPath) {
+        return this.entries.has(fsPath);
+    }
+
+    get(fsPath) {
+        if (!this.entries.has(fsPath)) {
+            return undefined;
+        }
+        // Move to the most recently used position
+        const value = this.entries.get(fsPath);
+        this.entries.delete(fsPath);
+        this.entries.set(fsPath, value);
+        return value;
+    }
+
+    set(fsPath, value) {
+        this.entries.delete(fsPath);
+        this.entries.set(fsPath, value);
+        this.addToTree(fsPath);
+        this.evict();
+        return this;
+    }
+
+    delete(fsPath) {
+        if (!this.entries.delete(fsPath)) {
+            return false;
+        }
+        this.pruneTree(fsPath);
+        return true;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.subdirectories.clear();
+    }
+
+    /**
+     * Changes the maximum number of directories, evicting if now over the limit.
+     * @param {number} maxEntries - Maximum number of directories to keep
+     */
+    resize(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.evict();
+    }
+
+    /**
+     * Drops cached listings affected by a file or directory being created or deleted:
+     * the listing of its parent directory, its own listing, and every listing below it.
+     * @param {string} fsPath - The path that was created or deleted
+     */
+    invalidate(fsPath) {
+        if (fsPath.length > 1 && fsPath.endsWith(path.sep)) {
+            fsPath = fsPath.slice(0, -1);
+        }
+        this.delete(path.dirname(fsPath));
+        this.delete(fsPath);
+
+        // Only a directory has listings below it
+        const below = [fsPath];
+        for (let i = 0; i < below.length; i++) {
+            const children = this.subdirectories.get(below[i]);
+            if (children) {
+                this.subdirectories.delete(below[i]);
+                below.push(...children);
+            }
+        }
+        for (const dir of below) {
+            this.entries.delete(dir);
+        }
+        this.pruneTree(fsPath);
+    }
+
+    evict() {
+        while (this.entries.size > Math.max(0, this.maxEntries)) {
+            this.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Records the way from the root to a cached directory in subdirectories.
+     * @param {string} fsPath - The cached directory
+     */
+    addToTree(fsPath) {
+        for (let dir = fsPath, parent = path.dirname(dir); parent !== dir; dir = parent, parent = path.dirname(dir)) {
+            let children = this.subdirectories.get(parent);
+            if (!children) {
+                children = new Set();
+                this.subdirectories.set(parent, children);
+            }
+            if (children.has(dir)) {
+                // The rest of the way is already recorded
+                return;
+            }
+            children.add(dir);
+        }
+    }
+
+    /**
+     * Forgets the way to a directory that is no longer cached, as far up as it
+     * leads to no other cached directory.
+     * @param {string} fsPath - The directory
+     */
+    pruneTree(fsPath) {
+        for (let dir = fsPath, parent = path.dirname(dir); parent !== dir; dir = parent, parent = path.dirname(dir)) {
+            if (this.entries.has(dir) || this.subdirectories.has(dir)) {
+                return;
+            }
+            const siblings = this.subdirectories.get(parent);
+            if (!siblings) {
+                return;
+            }
+            siblings.delete(dir);
+            if (siblings.size > 0) {
+                return;
+            }
+            this.subdirectories.delete(parent);
+        }
+    }
+}
+
+DirectoryCache.DEFAULT_MAX_ENTRIES = 5000;
+
+module.exports = {
+    DirectoryCache
+};
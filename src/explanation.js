@@ -0,0 +1,132 @@
+/**
+ * Formats the report of the Explain Related Files command: which files were searched,
+ * what each matcher did for them, and how each related file was reached.
+ *
+ * The report is built from plain data with workspace relative paths, so it doesn't
+ * depend on how the search ran.
+ */
+
+/**
+ * Describes the groups a sourceRegexp captured.
+ * @param {object|string[]} groups - Named groups, or the values of numbered groups
+ * @returns {string} - Such as path="a/foo", or ${1}="a" ${2}="foo"
+ */
+function formatGroups(groups) {
+    const entries = Array.isArray(groups)
+        ? groups.map((value, i) => [`\${${i + 1}}`, value])
+        : Object.entries(groups);
+    if (entries.length === 0) {
+        return 'no groups';
+    }
+    return entries.map(([name, value]) => `${name}=${value === undefined ? '(no match)' : JSON.stringify(value)}`).join(' ');
+}
+
+/**
+ * Describes the way from the current file to a related file.
+ * @param {string} file - Workspace relative path of the current file
+ * @param {Array<{matcher: string, file: string}>} chain - Each hop: the matcher and the file it found
+ * @returns {string} - Such as a/foo.cc → "Same filename" → a/foo.h
+ */
+function formatChain(file, chain) {
+    return [file].concat(...chain.map(hop => [`"${hop.matcher}"`, hop.file])).join(' → ');
+}
+
+/**
+ * Formats what one matcher did for one file.
+ * @param {object} explanation - From findMatcherTargets: { matcher, status, reason, groups,
+ *     targets, found, excluded, durationMs }
+ * @returns {string[]} - The lines, indented under the file
+ */
+function formatMatcher(explanation) {
+    const { matcher, status, reason, groups, targets = [], found = [], excluded = [], durationMs } = explanation;
+    const timing = durationMs !== undefined ? `, ${durationMs} ms` : '';
+    switch (status) {
+    case 'matched': {
+        const lines = [`  "${matcher}" matched with ${formatGroups(groups)}${timing}`];
+        for (const target of targets) {
+            lines.push(`    target ${target}`);
+        }
+        lines.push(found.length > 0 ? `    found ${found.join(', ')}` : '    found nothing');
+        if (excluded.length > 0) {
+            lines.push(`    excluded ${excluded.join(', ')}`);
+        }
+        if (reason) {
+            lines.push(`    ${reason}`);
+        }
+        return lines;
+    }
+
+    case 'error':
+        return [`  "${matcher}" failed: ${reason}${timing}`];
+
+    case 'no match':
+        return [`  "${matcher}" did not match: ${reason}`];
+
+    default:
+        return [`  "${matcher}" skipped: ${reason}`];
+    }
+}
+
+/**
+ * Formats the report of a search with tracing.
+ *
+ * @param {object} report
+ * @param {string} report.file - Workspace relative path of the current file
+ * @param {number} report.durationMs - How long the whole search took
+ * @param {Array<{file: string, depth: number, via: ?{file: string, matcher: string},
+ *     durationMs: number, matchers: object[]}>} report.searches - Each file whose related
+ *     files were looked up, with what each matcher did (see formatMatcher)
+ * @param {Array<{file: string, chain: Array<{matcher: string, file: string}>, inCycle: boolean}>} report.results -
+ *     The related files, with the hops they were first found through
+ * @returns {string[]} - The lines of the report
+ */
+function formatExplanation({ file, durationMs, searches, results }) {
+    const lines = [
+        `Related files of ${file}`,
+        `Found ${results.length} related ${results.length === 1 ? 'file' : 'files'} in ${durationMs} ms, looking up ${searches.length} ${searches.length === 1 ? 'file' : 'files'}.`
+    ];
+
+    for (const search of searches) {
+        const where = search.via
+            ? `hop ${search.depth}, found by "${search.via.matcher}" from ${search.via.file}`
+            : 'the current file';
+        lines.push('', `${search.file} (${where}), ${search.durationMs} ms:`);
+        for (const explanation of search.matchers) {
+            lines.push(...formatMatcher(explanation));
+        }
+    }
+
+    lines.push('', 'Related files:');
+    if (results.length === 0) {
+        lines.push('  none');
+    }
+    for (const result of results) {
+        const cycle = result.inCycle ? '' : ' (not in the next/previous cycle)';
+        lines.push(`  ${result.file}${cycle}: ${formatChain(file, result.chain)}`);
+    }
+
+    // The matchers that never found a file are the first suspects for a missing one
+    const found = new Set();
+    const names = [];
+    for (const search of searches) {
+        for (const { matcher, found: foundFiles = [] } of search.matchers) {
+            if (!names.includes(matcher)) {
+                names.push(matcher);
+            }
+            if (foundFiles.length > 0) {
+                found.add(matcher);
+            }
+        }
+    }
+    const idle = names.filter(name => !found.has(name));
+    if (idle.length > 0) {
+        lines.push('', `Matchers that found no files: ${idle.map(name => `"${name}"`).join(', ')}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    formatExplanation,
+    formatGroups,
+    formatChain
+};
@@ -1,8 +1,45 @@
 const vscode = require('vscode');
 const path = require('path');
-const { findFilesWithGlob } = require('./findFilesWithGlob');
+const { findFilesWithGlob, matchesAnyGlob, resolveRealPath, detectCaseSensitivity } = require('./findFilesWithGlob');
+const { DirectoryCache } = require('./directoryCache');
+const { createVariableResolver, PlaceholderError } = require('./placeholders');
+const {
+    isMatcherEnabled, getTargetPaths, hasTargets, isContentMatcher, appliesToReachedFiles, getMatcherTags, isMatcherSelected,
+    getRegexpFlags, getContentRegexpFlags,
+    expandTargetPath, expandTargetRegexp, MatcherError
+} = require('./matchers');
+const { readFileHead, extractContentPaths, resolveContentPath, DEFAULT_CONTENT_SCAN_LIMIT_KB } = require('./contentMatcher');
+const { deriveReverseMatchers } = require('./bidirectional');
+const { inferMatcher, previewMatcher, suggestMatcherName, InferenceError } = require('./matcherInference');
+const { FileIndex } = require('./fileIndex');
+const { SettingsDiagnostics } = require('./settingsDiagnostics');
+const { ReferenceIndex, DEFAULT_REFERENCING_FILES } = require('./referenceIndex');
+const { parseWhenClause, evaluateWhenClause, WhenClauseError } = require('./whenClause');
+const { createLimiter, DEFAULT_CONCURRENCY } = require('./concurrency');
+const { sortRelatedFiles, keepCycleOrder, compareRelativePaths, DEFAULT_SORT_ORDER } = require('./sortOrder');
+const { findTransitiveRelatedFiles } = require('./transitiveSearch');
+const { formatExplanation } = require('./explanation');
+const { getContributedLanguages, getLanguageId } = require('./languages');
+const { Prefetcher } = require('./prefetch');
 let relatedSources = null;
 
+// How long a search runs before a cancellable progress notification is shown
+const PROGRESS_DELAY_MS = 1000;
+
+// Tags with their own command, for the command palette: command ID and tag
+const TAG_COMMANDS = [
+    ['relatedsources.openHeader', 'header'],
+    ['relatedsources.openImpl', 'impl'],
+    ['relatedsources.openTest', 'test'],
+    ['relatedsources.openGenerated', 'generated']
+];
+
+// How many recently active files are remembered for the mostRecentlyUsed sort order
+const MAX_RECENTLY_USED = 1000;
+
+// How many related files the preview of a matcher created from an example lists
+const PREVIEW_MAX_PAIRS = 100;
+
 const log = (...args) => {
     console.log('[RelatedSources] ', ...args);
 }
@@ -12,6 +49,9 @@ function activate(context) {
 
     relatedSources = new RelatedSources();
 
+    // Flags mistakes in the matchers of settings files as they are edited
+    context.subscriptions.push(new SettingsDiagnostics());
+
     // Register commands
     const nextCmd = vscode.commands.registerCommand('relatedsources.next', async () => {
         if (!relatedSources) {
@@ -42,35 +82,71 @@ function activate(context) {
     });
 
     const showRelatedCmd = vscode.commands.registerCommand('relatedsources.showRelated', async () => {
-        // Get the list of related files
         if (!relatedSources) {
             log('RelatedSources not initialized');
             return;
         }
-        const info = await relatedSources.getPrevNextInfoHelper();
-        // Show quick pick
-        const items = info.all.list.map((relPath, idx) => {
-            return {
-                label: path.basename(relPath),
-                description: relPath,
-                index: idx
-            };
-        });
-        const selected = await vscode.window.showQuickPick(items, {
-            placeHolder: 'Select a related file to open',
-            canPickMany: false
-        });
-        if (selected) {
-            const selectedUri = await findFilesWithGlob(vscode.workspace.workspaceFolders[0], selected.description, 1);
-            if (selectedUri && selectedUri.length > 0) {
-                await relatedSources.completePrevNextHelper(selectedUri[0]);
-            }
+
+        try {
+            await relatedSources.showRelated();
+        } catch (err) {
+            console.error('[RelatedSources] showRelated failed', err);
+            vscode.window.showErrorMessage('RelatedSources: showRelated failed');
+        }
+    });
+
+    const createMatcherCmd = vscode.commands.registerCommand('relatedsources.createMatcherFromExample', async () => {
+        if (!relatedSources) {
+            log('RelatedSources not initialized');
+            return;
+        }
+
+        try {
+            await relatedSources.createMatcherFromExample();
+        } catch (err) {
+            console.error('[RelatedSources] createMatcherFromExample failed', err);
+            vscode.window.showErrorMessage('RelatedSources: createMatcherFromExample failed');
+        }
+    });
+
+    // Takes keybinding args such as { "tag": "test" } or { "matcher": "Suffix impl source files" }
+    const openRelatedCmd = vscode.commands.registerCommand('relatedsources.openRelated', async args => {
+        if (!relatedSources) {
+            log('RelatedSources not initialized');
+            return;
+        }
+
+        try {
+            await relatedSources.openRelated(args);
+        } catch (err) {
+            console.error('[RelatedSources] openRelated failed', err);
+            vscode.window.showErrorMessage('RelatedSources: openRelated failed');
+        }
+    });
+
+    const explainRelatedCmd = vscode.commands.registerCommand('relatedsources.explainRelated', async () => {
+        if (!relatedSources) {
+            log('RelatedSources not initialized');
+            return;
+        }
+
+        try {
+            await relatedSources.explainRelated();
+        } catch (err) {
+            console.error('[RelatedSources] explainRelated failed', err);
+            vscode.window.showErrorMessage('RelatedSources: explainRelated failed');
         }
     });
 
     context.subscriptions.push(nextCmd);
     context.subscriptions.push(prevCmd);
     context.subscriptions.push(showRelatedCmd);
+    context.subscriptions.push(createMatcherCmd);
+    context.subscriptions.push(openRelatedCmd);
+    context.subscriptions.push(explainRelatedCmd);
+    for (const [command, tag] of TAG_COMMANDS) {
+        context.subscriptions.push(vscode.commands.registerCommand(command, () => vscode.commands.executeCommand('relatedsources.openRelated', { tag })));
+    }
 }
 
 function deactivate() {
@@ -81,36 +157,312 @@ function deactivate() {
     log('extension is now deactivated!');
 }
 
+/**
+ * Creates a cancellation token that is cancelled when a parent token is, or once
+ * a time budget runs out.
+ * @param {vscode.CancellationToken} [parentToken] - Optional token to follow
+ * @param {number} timeoutMs - The time budget in milliseconds, or 0 for none
+ * @returns {{token: vscode.CancellationToken, timedOut: boolean, dispose: function}} - The
+ *     token, whether the budget ran out, and a function that releases the timer
+ */
+function createBudgetToken(parentToken, timeoutMs) {
+    const source = new vscode.CancellationTokenSource();
+    const budget = {
+        token: source.token,
+        timedOut: false,
+        dispose() {
+            clearTimeout(timer);
+            if (listener) {
+                listener.dispose();
+            }
+            source.dispose();
+        }
+    };
+
+    const listener = parentToken ? parentToken.onCancellationRequested(() => source.cancel()) : null;
+    if (parentToken && parentToken.isCancellationRequested) {
+        source.cancel();
+    }
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+        budget.timedOut = true;
+        source.cancel();
+    }, timeoutMs) : undefined;
+
+    return budget;
+}
+
+/**
+ * Gets the key that identifies a workspace relative path when de-duplicating.
+ * @param {string} relPath - A workspace relative path
+ * @param {boolean} caseSensitive - Whether the workspace folder's file system is case-sensitive
+ * @returns {string} - Equal for paths that name the same file
+ */
+function toPathKey(relPath, caseSensitive) {
+    return caseSensitive ? relPath : relPath.toLowerCase();
+}
+
 class RelatedSources {
     constructor() {
         // Cache for compiled regexes keyed by pattern string
         this.regexCache = new Map();
+
+        // Cache for parsed when clauses keyed by clause text, holding the error for invalid ones
+        this.whenClauseCache = new Map();
+
+        // Whether each workspace folder's file system is case-sensitive, keyed by folder URI.
+        // Holds promises so concurrent searches share one detection.
+        this.caseSensitivity = new Map();
+
+        // Cache for readDirectory results shared by every search, kept current by the watcher below
+        this.directoryCache = new DirectoryCache(this.getDirectoryCacheSize());
+
+        // Bounds the directory reads running at once across all concurrent matchers and searches
+        this.readLimiter = createLimiter(this.getConcurrency());
+
+        // Related file info computed in the background for the active editor, dropped
+        // on any file system or configuration change
+        this.prefetcher = new Prefetcher({
+            compute: (fileUri, token) => this.computePrevNextInfo(fileUri, { quiet: true, token }),
+            createCancellation: () => new vscode.CancellationTokenSource(),
+            onError: e => console.error('[RelatedSources] prefetch failed', e)
+        });
+
+        // Cancels the search started by the last command, if it is still running
+        this.searchCancellation = null;
+
+        // Output channel of the explain command, created on first use
+        this.explainChannel = null;
+
+        // When each file was last active, by URI, for the mostRecentlyUsed sort order.
+        // Counts up rather than using the clock, so files are never active at the same time.
+        this.lastUsed = new Map();
+        this.useCount = 0;
+
+        // Order of the group of related files F4 last stepped through (see keepCycleOrder)
+        this.cycleOrder = null;
+
+        // Languages contributed by the installed extensions, gathered on first use
+        this.languages = null;
+
+        // Matcher problems already shown to the user, so each is shown once per configuration
+        this.reportedProblems = new Set();
+
+        // Files of each workspace folder for targetRegexp matchers, built on first use
+        this.fileIndex = new FileIndex(log);
+
+        // Includes and imports of each workspace folder for the "Included by" section, built on first use
+        this.referenceIndex = new ReferenceIndex(this.fileIndex, log);
+
+        // Only creates and deletes change directory listings. Changes only matter to the include index.
+        this.watcher = vscode.workspace.createFileSystemWatcher('**/*');
+        this.disposables = [
+            this.watcher,
+            this.watcher.onDidCreate(uri => {
+                this.onFileCreatedOrDeleted(uri);
+                this.fileIndex.onFileCreated(uri).catch(e => log('failed to index', uri.fsPath, e));
+                this.referenceIndex.onFileChanged(uri).catch(e => log('failed to index includes of', uri.fsPath, e));
+            }),
+            this.watcher.onDidChange(uri => {
+                this.referenceIndex.onFileChanged(uri).catch(e => log('failed to index includes of', uri.fsPath, e));
+            }),
+            this.watcher.onDidDelete(uri => {
+                this.onFileCreatedOrDeleted(uri);
+                this.fileIndex.onFileDeleted(uri);
+                this.referenceIndex.onFileDeleted(uri).catch(e => log('failed to update the includes index for', uri.fsPath, e));
+            }),
+            vscode.workspace.onDidChangeWorkspaceFolders(() => {
+                this.directoryCache.clear();
+                this.fileIndex.clear();
+                this.referenceIndex.clear();
+                this.caseSensitivity.clear();
+                this.prefetcher.invalidate();
+            }),
+            vscode.workspace.onDidChangeConfiguration(e => {
+                if (e.affectsConfiguration('files.exclude')) {
+                    this.fileIndex.clear();
+                    this.referenceIndex.clear();
+                }
+                if (e.affectsConfiguration('relatedsources') || e.affectsConfiguration('files.exclude')) {
+                    this.directoryCache.clear();
+                    this.directoryCache.resize(this.getDirectoryCacheSize());
+                    this.caseSensitivity.clear();
+                    this.reportedProblems.clear();
+                    this.cycleOrder = null;
+                    this.readLimiter = createLimiter(this.getConcurrency());
+                    this.prefetcher.invalidate();
+                } else {
+                    // Target paths may use any setting through ${config:...}
+                    this.prefetcher.invalidate();
+                }
+            }),
+            vscode.extensions.onDidChange(() => {
+                this.languages = null;
+            }),
+            vscode.window.onDidChangeActiveTextEditor(editor => {
+                this.cancelSearch();
+                this.recordUse(editor);
+                this.schedulePrefetch(editor);
+            })
+        ];
+
+        this.recordUse(vscode.window.activeTextEditor);
+        this.schedulePrefetch(vscode.window.activeTextEditor);
     }
 
     stop() {
+        for (const disposable of this.disposables) {
+            disposable.dispose();
+        }
+        this.disposables = [];
+        this.cancelSearch();
+        this.prefetcher.dispose();
         this.regexCache.clear();
+        this.whenClauseCache.clear();
+        this.directoryCache.clear();
+        this.fileIndex.clear();
+        this.referenceIndex.clear();
+        this.caseSensitivity.clear();
+        if (this.explainChannel) {
+            this.explainChannel.dispose();
+            this.explainChannel = null;
+        }
+    }
+
+    /**
+     * Remembers that the file of an editor was active, for the mostRecentlyUsed sort order.
+     * @param {vscode.TextEditor|undefined} editor - The active editor
+     */
+    recordUse(editor) {
+        if (!editor) {
+            return;
+        }
+        const key = editor.document.uri.toString();
+        // Re-inserting keeps the map in order of use, so the least recent is dropped first
+        this.lastUsed.delete(key);
+        this.lastUsed.set(key, ++this.useCount);
+        if (this.lastUsed.size > MAX_RECENTLY_USED) {
+            this.lastUsed.delete(this.lastUsed.keys().next().value);
+        }
+    }
+
+    onFileCreatedOrDeleted(uri) {
+        this.directoryCache.invalidate(uri.fsPath);
+        this.prefetcher.invalidate();
+    }
+
+    /**
+     * Cancels the search started by the last command, if it is still running.
+     */
+    cancelSearch() {
+        if (this.searchCancellation) {
+            this.searchCancellation.cancel();
+            this.searchCancellation = null;
+        }
+    }
+
+    /**
+     * Computes related file info for an editor in the background after a short delay
+     * (see Prefetcher.schedule).
+     * @param {vscode.TextEditor|undefined} editor - The editor to prefetch for
+     */
+    schedulePrefetch(editor) {
+        if (!editor || !vscode.workspace.getConfiguration('relatedsources').get('prefetch', true)
+            || !vscode.workspace.getWorkspaceFolder(editor.document.uri)) {
+            this.prefetcher.cancelScheduled();
+            return;
+        }
+        this.prefetcher.schedule(editor.document.uri.toString(), editor.document.uri);
+    }
+
+    getDirectoryCacheSize() {
+        return vscode.workspace.getConfiguration('relatedsources').get('directoryCacheSize', DirectoryCache.DEFAULT_MAX_ENTRIES);
+    }
+
+    getConcurrency() {
+        return vscode.workspace.getConfiguration('relatedsources').get('concurrency', DEFAULT_CONCURRENCY);
+    }
+
+    /**
+     * Finds out whether a workspace folder's file system is case-sensitive, from the
+     * relatedsources.caseSensitive setting or, if that is "auto", by probing the folder.
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder
+     * @returns {Promise<boolean>} - True if paths that differ only in case are different files
+     */
+    isCaseSensitive(workspaceFolder) {
+        const setting = vscode.workspace.getConfiguration('relatedsources', workspaceFolder.uri).get('caseSensitive', 'auto');
+        if (setting === 'sensitive' || setting === 'insensitive') {
+            return Promise.resolve(setting === 'sensitive');
+        }
+
+        const key = workspaceFolder.uri.toString();
+        if (!this.caseSensitivity.has(key)) {
+            const detection = detectCaseSensitivity(workspaceFolder.uri).then(caseSensitive => {
+                log(`Workspace folder ${workspaceFolder.uri.fsPath} is case-${caseSensitive ? 'sensitive' : 'insensitive'}`);
+                return caseSensitive;
+            });
+            this.caseSensitivity.set(key, detection);
+        }
+        return this.caseSensitivity.get(key);
+    }
+
+    /**
+     * Tells the user about a problem with a matcher's configuration, once until the
+     * configuration changes.
+     * @param {string} matcherName - The matcher's name
+     * @param {string} problem - What is wrong
+     */
+    reportMatcherProblem(matcherName, problem) {
+        const message = `Related Sources: Matcher "${matcherName}" is invalid: ${problem}`;
+        console.error('[RelatedSources] ' + message);
+        if (!this.reportedProblems.has(message)) {
+            this.reportedProblems.add(message);
+            vscode.window.showErrorMessage(message);
+        }
     }
 
     /**
      * Get a compiled regex from cache, or compile and cache it.
      * @param {string} pattern - The regex pattern string
+     * @param {string} [flags] - The regex flags
      * @returns {RegExp|null} - The compiled regex, or null if invalid
      */
-    getCompiledRegex(pattern) {
-        if (this.regexCache.has(pattern)) {
-            return this.regexCache.get(pattern);
+    getCompiledRegex(pattern, flags = '') {
+        const key = `${flags}/${pattern}`;
+        if (this.regexCache.has(key)) {
+            return this.regexCache.get(key);
         }
         try {
-            const regex = new RegExp(pattern);
-            this.regexCache.set(pattern, regex);
+            const regex = new RegExp(pattern, flags);
+            this.regexCache.set(key, regex);
             return regex;
         } catch (e) {
             console.error('[RelatedSources] invalid regex pattern:', pattern, e);
-            this.regexCache.set(pattern, null);
+            this.regexCache.set(key, null);
             return null;
         }
     }
 
+    /**
+     * Get a parsed when clause from cache, or parse and cache it.
+     * @param {string} text - The when clause
+     * @returns {object} - The parsed condition
+     * @throws {WhenClauseError} - If the clause is invalid
+     */
+    getParsedWhenClause(text) {
+        if (!this.whenClauseCache.has(text)) {
+            try {
+                this.whenClauseCache.set(text, parseWhenClause(text));
+            } catch (e) {
+                this.whenClauseCache.set(text, e);
+            }
+        }
+        const condition = this.whenClauseCache.get(text);
+        if (condition instanceof Error) {
+            throw condition;
+        }
+        return condition;
+    }
+
     async getPrevNextInfoHelper() {
         const editor = vscode.window.activeTextEditor;
         if (!editor) {
@@ -124,59 +476,224 @@ class RelatedSources {
         return this.getPrevNextInfoHelperForUri(fileUri);
     }
 
-    async getPrevNextInfoHelperForUri(fileUri) {
+    /**
+     * Orders related files by relatedsources.sortOrder. Stepping to another file of the
+     * group F4 last stepped through keeps the order the group started with.
+     *
+     * @param {Map<string, vscode.Uri>} uris - The related files by workspace relative path,
+     *     the current file included
+     * @param {object} options
+     * @param {vscode.WorkspaceFolder} options.workspaceFolder - The current file's workspace folder
+     * @param {string} options.currentPath - Workspace relative path of the current file
+     * @param {Map<string, number>} options.matcherIndexes - Position of the first matcher
+     *     that found each file
+     * @param {boolean} options.caseSensitive - Whether the workspace folder's file system is
+     * @returns {string[]} - The workspace relative paths in order
+     */
+    orderRelatedFiles(uris, { workspaceFolder, currentPath, matcherIndexes, caseSensitive }) {
+        const config = vscode.workspace.getConfiguration('relatedsources');
+        const sorted = sortRelatedFiles(Array.from(uris.keys()), {
+            sortOrder: config.get('sortOrder', DEFAULT_SORT_ORDER),
+            currentPath,
+            matcherIndexes,
+            extensionPriority: config.get('extensionPriority', []),
+            lastUsed: new Map(Array.from(uris, ([relPath, uri]) => [relPath, this.lastUsed.get(uri.toString())]).filter(([, used]) => used !== undefined)),
+            caseSensitive
+        });
+        const previous = this.cycleOrder;
+        return keepCycleOrder(sorted, currentPath, previous && previous.folder === workspaceFolder.uri.toString() ? previous.list : undefined);
+    }
+
+    /**
+     * Gets the related file info for a file, from the prefetched result if it is ready.
+     * @param {vscode.Uri} fileUri - The file to find related files for
+     * @param {object} [options]
+     * @param {function(vscode.Uri, number): void} [options.onResult] - Streaming mode: called
+     *     with each related file as it is found and the position of the matcher that found
+     *     it, if the search runs now rather than in a prefetch
+     * @param {boolean} [options.showProgress] - Show a progress notification for long searches
+     * @returns {Promise<object|undefined>} - The related file info, or undefined if there is
+     *     none or the search was cancelled
+     */
+    async getPrevNextInfoHelperForUri(fileUri, { onResult, showProgress = true } = {}) {
+        // A new command replaces any search an earlier one left running
+        this.cancelSearch();
+        const cancellation = new vscode.CancellationTokenSource();
+        this.searchCancellation = cancellation;
+
+        try {
+            const search = this.getPrevNextInfoForSearch(fileUri, cancellation.token, onResult);
+            return await (showProgress ? this.withSearchProgress(search, cancellation) : search);
+        } finally {
+            if (this.searchCancellation === cancellation) {
+                this.searchCancellation = null;
+            }
+            cancellation.dispose();
+        }
+    }
+
+    async getPrevNextInfoForSearch(fileUri, token, onResult) {
+        // Use the background result if it is for this file and nothing changed since it started
+        const info = await this.prefetcher.get(fileUri.toString(), token);
+        if (info) {
+            return info;
+        }
+
+        if (token.isCancellationRequested) {
+            return;
+        }
+        return this.computePrevNextInfo(fileUri, { token, onResult });
+    }
+
+    /**
+     * Waits for a search, showing a cancellable progress notification if it takes
+     * longer than PROGRESS_DELAY_MS.
+     * @param {Promise<T>} promise - The running search
+     * @param {vscode.CancellationTokenSource} cancellation - Cancels the search
+     * @returns {Promise<T>} - The search result
+     * @template T
+     */
+    async withSearchProgress(promise, cancellation) {
+        let timer;
+        const delay = new Promise(resolve => {
+            timer = setTimeout(resolve, PROGRESS_DELAY_MS);
+        });
+        const finishedQuickly = await Promise.race([promise.then(() => true, () => true), delay.then(() => false)]);
+        clearTimeout(timer);
+        if (finishedQuickly || cancellation.token.isCancellationRequested) {
+            return promise;
+        }
+
+        return vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Related Sources: Finding related files',
+            cancellable: true
+        }, async (progress, progressToken) => {
+            const listener = progressToken.onCancellationRequested(() => cancellation.cancel());
+            try {
+                return await promise;
+            } finally {
+                listener.dispose();
+            }
+        });
+    }
+
+    /**
+     * Finds the related files of a file and where it sits in their cycle.
+     * @param {vscode.Uri} fileUri - The file to find related files for
+     * @param {object} [options]
+     * @param {boolean} [options.quiet] - Don't show messages to the user, for background work
+     * @param {vscode.CancellationToken} [options.token] - Stops the search when cancelled
+     * @param {function(vscode.Uri, number): void} [options.onResult] - Streaming mode: called
+     *     with each related file as it is found and the position of the matcher that found it
+     * @returns {Promise<object|undefined>} - The related file info, or undefined if there is
+     *     none or the search was cancelled
+     */
+    async computePrevNextInfo(fileUri, { quiet = false, token, onResult } = {}) {
         const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri) || (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
         if (!workspaceFolder) {
-            vscode.window.showInformationMessage('Related Sources: No workspace folder found');
+            if (!quiet) {
+                vscode.window.showInformationMessage('Related Sources: No workspace folder found');
+            }
             return;
         }
 
         const workspaceRoot = workspaceFolder.uri.fsPath;
+        const caseSensitive = await this.isCaseSensitive(workspaceFolder);
 
         // Get related files using the helper
-        const candidateUris = await this.getTransitiveRelatedFiles(fileUri);
-
-        // include current file
-        candidateUris.push(fileUri);
+        // The current file comes first, so its own spelling wins over other letter cases
+        const candidates = await this.getTransitiveRelatedFiles(fileUri, token, onResult);
+        if (token && token.isCancellationRequested) {
+            log(`Search for ${fileUri.fsPath} cancelled`);
+            return;
+        }
 
         function fullPathToRelative(fullPath) {
             return path.relative(workspaceRoot, fullPath).replace(/\\/g, '/');
         }
 
-        // deduplicate by relative path
+        // deduplicate by relative path, ignoring case on case-insensitive file systems
         // map maps from workspace relative paths to file URI
         const map = new Map();
-        for (const candidateUri of candidateUris) {
+        // The matchers that found each file, the position of the first, and whether the
+        // file is in the next/previous cycle, by workspace relative path
+        const matchersByPath = new Map();
+        const matcherIndexes = new Map();
+        const inCyclePaths = new Set();
+        const pathsByKey = new Map();
+        const addMatchers = (relPath, matchers, matcherIndex, inCycle) => {
+            const kept = matchersByPath.get(relPath) || [];
+            matchersByPath.set(relPath, kept.concat(matchers.filter(matcher => !kept.includes(matcher))));
+            matcherIndexes.set(relPath, Math.min(matcherIndexes.has(relPath) ? matcherIndexes.get(relPath) : Infinity, matcherIndex));
+            if (inCycle) {
+                inCyclePaths.add(relPath);
+            }
+        };
+        for (const { uri: candidateUri, matchers, matcherIndex, inCycle } of candidates) {
             const fullPath = fullPathToRelative(candidateUri.fsPath);
-            if (!map.has(fullPath)) {
+            const key = toPathKey(fullPath, caseSensitive);
+            if (!pathsByKey.has(key)) {
+                pathsByKey.set(key, fullPath);
                 map.set(fullPath, candidateUri);
             }
+            addMatchers(pathsByKey.get(key), matchers, matcherIndex, inCycle);
         }
 
-        const list = Array.from(map.keys()).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+        // deduplicate files reached through symbolic links by real path, keeping
+        // the current file's own path and otherwise the first path in sort order
+        const currentKey = fullPathToRelative(fileUri.fsPath);
+        const relPaths = Array.from(map.keys()).sort(compareRelativePaths);
+        const realPaths = await Promise.all(relPaths.map(relPath => this.readLimiter(() => resolveRealPath(map.get(relPath)))));
+        const pathsByRealPath = new Map([[realPaths[relPaths.indexOf(currentKey)], currentKey]]);
+        relPaths.forEach((relPath, i) => {
+            if (relPath === currentKey) {
+                return;
+            }
+            const kept = pathsByRealPath.get(realPaths[i]);
+            if (kept !== undefined) {
+                addMatchers(kept, matchersByPath.get(relPath), matcherIndexes.get(relPath), inCyclePaths.has(relPath));
+                map.delete(relPath);
+            } else {
+                pathsByRealPath.set(realPaths[i], relPath);
+            }
+        });
+
+        const list = this.orderRelatedFiles(map, { workspaceFolder, currentPath: currentKey, matcherIndexes, caseSensitive });
+        this.cycleOrder = { folder: workspaceFolder.uri.toString(), list };
         if (!list.length) {
-            vscode.window.showInformationMessage('Related Sources: No related files found');
+            if (!quiet) {
+                vscode.window.showInformationMessage('Related Sources: No related files found');
+            }
             return;
         }
 
-        const currentKey = fullPathToRelative(fileUri.fsPath);
         let idx = list.indexOf(currentKey);
         if (idx === -1) {
             idx = 0;
             log(`Cant find current path (${currentKey}) in list ${JSON.stringify(list)}`)
         }
-        const nextIndex = ((idx + 1) % (list.length));
+
+        // Next and previous step only through the files in the cycle; the indexes are into list
+        const inCycle = list.map((relPath, i) => i === idx || inCyclePaths.has(relPath));
+        const cycle = list.map((relPath, i) => i).filter(i => inCycle[i]);
+        const cyclePos = cycle.indexOf(idx);
+        const nextIndex = cycle[(cyclePos + 1) % cycle.length];
         const nextUri = map.get(list[nextIndex]);
 
-        let prevIndex = idx - 1;
-        if (prevIndex < 0) {
-            prevIndex = list.length - 1;
+        let prevPos = cyclePos - 1;
+        if (prevPos < 0) {
+            prevPos = cycle.length - 1;
         }
+        const prevIndex = cycle[prevPos];
         const prevUri = map.get(list[prevIndex]);
 
         return {
             all: {
                 list,
+                uris: list.map(relPath => map.get(relPath)),
+                matchers: list.map(relPath => matchersByPath.get(relPath)),
+                inCycle,
                 currentIdx: idx
             },
             next: {
@@ -191,14 +708,24 @@ class RelatedSources {
     }
 
     /**
-     * Gets an array of related file URIs for a given file URI.
+     * Gets the related files of a given file URI, with the matcher that found each.
      * This applies all configured matchers to find related files.
      * 
      * @param {vscode.Uri} fileUri - The file URI to find related files for
      * @param {Map<string, Array>} [directoryCache] - Optional cache for readDirectory results
-     * @returns {Promise<vscode.Uri[]>} - Array of related file URIs (may contain duplicates)
+     * @param {vscode.CancellationToken} [token] - Optional token that stops the remaining matchers
+     * @param {function(vscode.Uri, number): void} [onResult] - Streaming mode: called with each
+     *     related file as a matcher finds it and the matcher's position (may repeat files)
+     * @param {object} [options]
+     * @param {boolean} [options.reached] - The file was reached through other related files,
+     *     so matchers with transitive: false are skipped
+     * @param {object[]} [options.trace] - Explain mode: gets what each matcher did, see
+     *     findMatcherTargets
+     * @returns {Promise<Array<{uri: vscode.Uri, matcher: object, matcherIndex: number}>>} - The
+     *     related files in matcher order (may contain duplicates), with the position of
+     *     their matcher among the matchers applied, reverse rules included
      */
-    async getRelatedFiles(fileUri, directoryCache) {
+    async getRelatedFiles(fileUri, directoryCache, token, onResult, { reached = false, trace } = {}) {
         const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri) || (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
         if (!workspaceFolder) {
             return [];
@@ -208,120 +735,452 @@ class RelatedSources {
         const relPath = path.relative(workspaceRoot, fileUri.fsPath).replace(/\\/g, '/');
 
         const config = vscode.workspace.getConfiguration('relatedsources');
-        const matchers = config.matchers || [];
+        const matchers = this.addReverseMatchers(config.matchers || []);
+        const search = {
+            workspaceFolder,
+            workspaceRoot,
+            relPath,
+            caseSensitive: await this.isCaseSensitive(workspaceFolder),
+            resolveVariable: createVariableResolver(fileUri, workspaceFolder),
+            whenContext: this.getWhenContext(fileUri, workspaceFolder, relPath),
+            // The start of the file's text, read once for all content matchers
+            readContent: () => {
+                if (!search.content) {
+                    search.content = readFileHead(fileUri, config.get('contentScanLimit', DEFAULT_CONTENT_SCAN_LIMIT_KB) * 1024);
+                }
+                return search.content;
+            },
+            // Results of exists: conditions, shared by the matchers
+            existsCache: new Map(),
+            globalExcludes: this.getGlobalExcludes(config, workspaceFolder),
+            matcherTimeout: config.get('matcherTimeout', 10000),
+            followSymlinks: config.get('followSymlinks', true),
+            directoryCache,
+            token,
+            onResult,
+            trace
+        };
 
-        let candidateUris = [];
+        // Matchers run concurrently; the read limiter bounds the file system work.
+        // Results are concatenated in matcher order so they don't depend on timing.
+        // Skipped matchers keep their place, so matcherIndex doesn't depend on the hop
+        const candidateLists = await Promise.all(matchers.map((matcher, i) => {
+            if (reached && isMatcherEnabled(matcher) && !appliesToReachedFiles(matcher)) {
+                if (trace) {
+                    trace.push({ matcher: matcher.name || 'unnamed', status: 'skipped', reason: 'transitive is false, so it only applies to the current file' });
+                }
+                return [];
+            }
+            // Streamed results carry the matcher's position, for the sort order
+            return this.findMatcherTargets(matcher, onResult ? { ...search, onResult: uri => onResult(uri, i) } : search);
+        }));
+        return [].concat(...candidateLists.map((uris, i) => uris.map(uri => ({ uri, matcher: matchers[i], matcherIndex: i }))));
+    }
 
+    /**
+     * Adds the reverse rules of bidirectional matchers, each right after its matcher.
+     * A matcher that can't be reversed is still applied in its own direction.
+     *
+     * @param {object[]} matchers - The relatedsources.matchers setting
+     * @returns {object[]} - The matchers to apply
+     */
+    addReverseMatchers(matchers) {
+        const expanded = [];
         for (const matcher of matchers) {
-            const matcherStartTime = Date.now();
-            const matcherName = matcher?.name || 'unnamed';
-
-            if (!matcher || !matcher.sourceRegexp || !matcher.targetPath) {
-                continue;
-            }
-            let target = matcher.targetPath;
-            let findFilesDuration = 0;
-            try {
-                const regex = this.getCompiledRegex(matcher.sourceRegexp);
-                if (!regex) {
-                    continue;
+            expanded.push(matcher);
+            if (isMatcherEnabled(matcher) && matcher.bidirectional === true) {
+                try {
+                    expanded.push(...deriveReverseMatchers(matcher));
+                } catch (e) {
+                    if (!(e instanceof MatcherError)) {
+                        throw e;
+                    }
+                    this.reportMatcherProblem(matcher.name || 'unnamed', e.message);
                 }
-                const m = relPath.match(regex);
-                if (!m) {
-                    continue;
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Gets the context keys when clauses are evaluated with for a file.
+     * 
+     * @param {vscode.Uri} fileUri - The file whose related files are searched for
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder containing it
+     * @param {string} relPath - The file's workspace relative path
+     * @returns {object} - The values of the keys in whenClause's CONTEXT_KEYS
+     */
+    getWhenContext(fileUri, workspaceFolder, relPath) {
+        // Files reached transitively usually aren't open, so their language comes from their name
+        const key = fileUri.toString();
+        const document = vscode.workspace.textDocuments.find(doc => doc.uri.toString() === key);
+        return {
+            languageId: document ? document.languageId : this.getLanguageId(fileUri, relPath),
+            workspaceFolderName: workspaceFolder.name,
+            platform: process.platform,
+            isWindows: process.platform === 'win32',
+            isMac: process.platform === 'darwin',
+            isLinux: process.platform === 'linux'
+        };
+    }
+
+    /**
+     * Works out the language of a file that isn't open from its name, as VS Code would
+     * when opening it.
+     * 
+     * @param {vscode.Uri} fileUri - The file
+     * @param {string} relPath - The file's workspace relative path
+     * @returns {string|undefined} - The language id, or undefined if the name doesn't tell
+     */
+    getLanguageId(fileUri, relPath) {
+        if (!this.languages) {
+            this.languages = getContributedLanguages(vscode.extensions.all);
+        }
+        const associations = vscode.workspace.getConfiguration('files', fileUri).get('associations', {});
+        return getLanguageId(relPath, { associations, languages: this.languages });
+    }
+
+    /**
+     * Evaluates a matcher's when clause.
+     * 
+     * @param {object} matcher - A matcher with a when property
+     * @param {RegExpMatchArray} match - The matcher's sourceRegexp match, for placeholders in exists:
+     * @param {object} search - The state shared by all matchers for one file, from getRelatedFiles
+     * @param {vscode.CancellationToken} token - Stops exists: searches
+     * @returns {Promise<boolean>} - Whether the matcher applies
+     * @throws {WhenClauseError|MatcherError} - If the clause is invalid
+     */
+    async evaluateMatcherWhen(matcher, match, search, token) {
+        const { workspaceFolder, workspaceRoot, caseSensitive, resolveVariable, whenContext, existsCache, followSymlinks, directoryCache } = search;
+        return evaluateWhenClause(this.getParsedWhenClause(matcher.when), {
+            getValue: key => whenContext[key],
+            exists: pattern => {
+                const target = expandTargetPath(pattern, match, resolveVariable, workspaceRoot);
+                if (!existsCache.has(target)) {
+                    existsCache.set(target, findFilesWithGlob(workspaceFolder, target, 1, undefined, directoryCache, {
+                        token,
+                        limit: this.readLimiter,
+                        followSymlinks,
+                        caseSensitive,
+                        log
+                    }).then(found => found.length > 0));
                 }
+                return existsCache.get(target);
+            }
+        });
+    }
 
-                // Replace placeholders ${name} and ${1}
-                target = target.replace(/\$\{([^}]+)\}/g, (full, name) => {
-                    if (/^\d+$/.test(name)) {
-                        const idx = parseInt(name, 10);
-                        return m[idx] || '';
-                    } else {
-                        return (m.groups && m.groups[name]) || '';
-                    }
-                });
+    /**
+     * Applies one matcher to a file and finds the files its target path names.
+     * 
+     * @param {object} matcher - A matcher from the relatedsources.matchers setting
+     * @param {object} search - The state shared by all matchers for one file, from getRelatedFiles.
+     *     If it has a trace array, what the matcher did is added to it as { matcher, status,
+     *     reason, groups, targets, found, excluded, durationMs }, status being 'skipped',
+     *     'no match', 'matched' or 'error'.
+     * @returns {Promise<vscode.Uri[]>} - The related file URIs this matcher found
+     */
+    async findMatcherTargets(matcher, search) {
+        const { workspaceFolder, workspaceRoot, relPath, caseSensitive, resolveVariable, globalExcludes, matcherTimeout, followSymlinks, directoryCache, token, onResult } = search;
+        const candidateUris = [];
+        const matcherExcludes = Array.isArray(matcher?.exclude) ? matcher.exclude : [];
+        const isExcluded = uri => {
+            const foundRelPath = path.relative(workspaceRoot, uri.fsPath).replace(/\\/g, '/');
+            return matchesAnyGlob(foundRelPath, globalExcludes, caseSensitive) || matchesAnyGlob(foundRelPath, matcherExcludes, caseSensitive);
+        };
 
-                // Normalize target to forward slashes and remove leading slash
-                target = target.replace(/\\/g, '/').replace(/^[\/]+/, '');
+        if (token && token.isCancellationRequested) {
+            return candidateUris;
+        }
+        const matcherStartTime = Date.now();
+        const matcherName = matcher?.name || 'unnamed';
 
-                const findFilesStartTime = Date.now();
-                const found = await findFilesWithGlob(workspaceFolder, target, undefined, undefined, directoryCache);
-                findFilesDuration = Date.now() - findFilesStartTime;
-                log(`Matcher "${matcherName}": findFilesWithGlob took ${findFilesDuration}ms, found ${found.length} files`);
+        const explanation = search.trace ? { matcher: matcherName, status: 'skipped' } : null;
+        const explain = details => {
+            if (explanation) {
+                Object.assign(explanation, details, { durationMs: Date.now() - matcherStartTime });
+            }
+        };
+        if (explanation) {
+            search.trace.push(explanation);
+        }
 
-                for (const f of found) {
-                    candidateUris.push(f);
+        if (!isMatcherEnabled(matcher) || !matcher.sourceRegexp || !hasTargets(matcher)) {
+            explain({ reason: isMatcherEnabled(matcher) ? 'it has no sourceRegexp or no targets' : 'it is disabled' });
+            return candidateUris;
+        }
+        const targetPaths = getTargetPaths(matcher);
+        let targets = [];
+        let findFilesDuration = 0;
+        let stopped = false;
+        try {
+            const flags = getRegexpFlags(matcher, caseSensitive);
+            const regex = this.getCompiledRegex(matcher.sourceRegexp, flags);
+            if (!regex) {
+                explain({ status: 'error', reason: `sourceRegexp "${matcher.sourceRegexp}" is not a valid regular expression` });
+                return candidateUris;
+            }
+            const m = relPath.match(regex);
+            if (!m) {
+                explain({ status: 'no match', reason: `sourceRegexp "${matcher.sourceRegexp}" doesn't match` });
+                return candidateUris;
+            }
+            if (matcher.when !== undefined && !(await this.evaluateMatcherWhen(matcher, m, search, token))) {
+                log(`Matcher "${matcherName}": skipped, when "${matcher.when}" is false`);
+                explain({ status: 'no match', reason: `when "${matcher.when}" is false` });
+                return candidateUris;
+            }
+            explain({ status: 'matched', groups: m.groups ? { ...m.groups } : m.slice(1) });
+
+            const contentMatcher = isContentMatcher(matcher);
+            const targetRegex = !contentMatcher && matcher.targetRegexp ? expandTargetRegexp(matcher.targetRegexp, m, resolveVariable, flags) : null;
+            if (contentMatcher) {
+                targets = [`contentRegexp ${matcher.contentRegexp}`];
+            } else {
+                targets = targetPaths.map(targetPath => expandTargetPath(targetPath, m, resolveVariable, workspaceRoot));
+                if (targetRegex) {
+                    targets.push(String(targetRegex));
                 }
-            } catch (e) {
-                console.error('[RelatedSources] invalid matcher', e);
-                continue;
             }
 
-            const matcherDuration = Date.now() - matcherStartTime;
-            log(`Matcher "${matcherName}": completed in ${matcherDuration}ms`);
-            if (matcherDuration > 1000) {
+            const findFilesStartTime = Date.now();
+            const budget = createBudgetToken(token, matcherTimeout);
+            const onMatcherResult = onResult && (uri => {
+                if (!isExcluded(uri)) {
+                    onResult(uri);
+                }
+            });
+            let foundLists;
+            try {
+                // The targets of one matcher share its time budget
+                const searches = contentMatcher ? [this.findContentTargets(matcher, search, budget.token, onMatcherResult)] : targetPaths.map((targetPath, i) => findFilesWithGlob(workspaceFolder, targets[i], undefined, undefined, directoryCache, {
+                    token: budget.token,
+                    limit: this.readLimiter,
+                    followSymlinks,
+                    caseSensitive,
+                    onResult: onMatcherResult,
+                    log
+                }));
+                if (targetRegex) {
+                    searches.push(this.findIndexedFiles(workspaceFolder, targetRegex, budget.token, onMatcherResult));
+                }
+                foundLists = await Promise.all(searches);
+                stopped = budget.token.isCancellationRequested;
+            } finally {
+                budget.dispose();
+            }
+            const found = [].concat(...foundLists);
+            findFilesDuration = Date.now() - findFilesStartTime;
+            log(`Matcher "${matcherName}": findFilesWithGlob took ${findFilesDuration}ms, found ${found.length} files`);
+            if (budget.timedOut) {
                 vscode.window.showWarningMessage(
-                    `Related Sources: Matcher "${matcherName}" took ${(matcherDuration / 1000).toFixed(1)}s ` +
-                    `and findFiles duration ${(findFilesDuration / 1000).toFixed(1)}s. ` +
-                    `Consider optimizing: sourceRegexp="${matcher.sourceRegexp}", targetPath="${matcher.targetPath}", target="${target}"`
+                    `Related Sources: Matcher "${matcherName}" was stopped after ${(matcherTimeout / 1000).toFixed(1)}s ` +
+                    `and its results may be incomplete. Consider optimizing: targetPath="${targetPaths.join('", "')}", target="${targets.join('", "')}"`
                 );
             }
+
+            for (const f of found) {
+                if (!isExcluded(f)) {
+                    candidateUris.push(f);
+                }
+            }
+            if (explanation) {
+                const toRelPath = uri => path.relative(workspaceRoot, uri.fsPath).replace(/\\/g, '/');
+                explain({
+                    targets,
+                    found: candidateUris.map(toRelPath),
+                    excluded: found.filter(isExcluded).map(toRelPath),
+                    reason: budget.timedOut ? 'stopped by relatedsources.matcherTimeout' : undefined
+                });
+            }
+        } catch (e) {
+            explain({ status: 'error', reason: e.message });
+            if (e instanceof MatcherError) {
+                this.reportMatcherProblem(matcherName, e.message);
+            } else if (e instanceof WhenClauseError) {
+                this.reportMatcherProblem(matcherName, `when: ${e.message}`);
+            } else {
+                console.error('[RelatedSources] invalid matcher', e);
+            }
+            return candidateUris;
+        }
+
+        const matcherDuration = Date.now() - matcherStartTime;
+        log(`Matcher "${matcherName}": completed in ${matcherDuration}ms`);
+        // A stopped matcher already reported its time budget running out, or was cancelled
+        if (matcherDuration > 1000 && !stopped) {
+            vscode.window.showWarningMessage(
+                `Related Sources: Matcher "${matcherName}" took ${(matcherDuration / 1000).toFixed(1)}s ` +
+                `and findFiles duration ${(findFilesDuration / 1000).toFixed(1)}s. ` +
+                `Consider optimizing: sourceRegexp="${matcher.sourceRegexp}", targetPath="${targetPaths.join('", "')}", target="${targets.join('", "')}"`
+            );
         }
 
         return candidateUris;
     }
 
     /**
-     * Gets an array of all transitively related file URIs for a given file URI.
+     * Finds the files a content matcher's contentRegexp finds mentioned in a file's text.
+     * Each mentioned path is looked for in the places resolveContentPath lists, and the
+     * first place it exists wins.
+     * 
+     * @param {object} matcher - A matcher with a contentRegexp
+     * @param {object} search - The state shared by all matchers for one file, from getRelatedFiles
+     * @param {vscode.CancellationToken} [token] - Stops the search
+     * @param {function(vscode.Uri): void} [onResult] - Called with each file found
+     * @returns {Promise<vscode.Uri[]>} - The files found, in order of mention
+     * @throws {MatcherError} - If the contentRegexp or a target path is invalid
+     */
+    async findContentTargets(matcher, search, token, onResult) {
+        const { workspaceFolder, relPath, caseSensitive, resolveVariable, followSymlinks, directoryCache } = search;
+        const contentRegex = this.getCompiledRegex(matcher.contentRegexp, getContentRegexpFlags(matcher));
+        if (!contentRegex) {
+            throw new MatcherError(`contentRegexp "${matcher.contentRegexp}" is not a valid regular expression`);
+        }
+
+        const text = await search.readContent();
+        if (text === null) {
+            return [];
+        }
+
+        let contentPaths;
+        try {
+            contentPaths = extractContentPaths(text, contentRegex, getTargetPaths(matcher), resolveVariable);
+        } catch (e) {
+            if (e instanceof PlaceholderError) {
+                throw new MatcherError(`targetPath: ${e.message}`);
+            }
+            throw e;
+        }
+
+        const includeDirs = Array.isArray(matcher.includeDirs) ? matcher.includeDirs : [];
+        const foundLists = await Promise.all(contentPaths.map(async contentPath => {
+            for (const candidate of resolveContentPath(contentPath, relPath, includeDirs)) {
+                const found = await findFilesWithGlob(workspaceFolder, candidate, undefined, undefined, directoryCache, {
+                    token,
+                    limit: this.readLimiter,
+                    followSymlinks,
+                    caseSensitive,
+                    onResult,
+                    log
+                });
+                if (found.length > 0 || (token && token.isCancellationRequested)) {
+                    return found;
+                }
+            }
+            return [];
+        }));
+        return [].concat(...foundLists);
+    }
+
+    /**
+     * Finds the files of a workspace folder whose relative path matches a regular expression,
+     * using the file index.
+     * 
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder to search
+     * @param {RegExp} targetRegex - Matched against workspace relative paths with forward slashes
+     * @param {vscode.CancellationToken} [token] - Stops waiting for the index to be built
+     * @param {function(vscode.Uri): void} [onResult] - Called with each file found
+     * @returns {Promise<vscode.Uri[]>} - The matching files, in path order
+     */
+    async findIndexedFiles(workspaceFolder, targetRegex, token, onResult) {
+        const relPaths = await this.fileIndex.getFiles(workspaceFolder, token);
+        const found = [];
+        for (const relPath of relPaths) {
+            if (targetRegex.test(relPath)) {
+                const uri = vscode.Uri.joinPath(workspaceFolder.uri, relPath);
+                found.push(uri);
+                if (onResult) {
+                    onResult(uri);
+                }
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Gets the exclude globs that apply to every matcher: relatedsources.exclude
+     * plus, if relatedsources.useFilesExclude is set, the enabled files.exclude patterns.
+     * 
+     * @param {vscode.WorkspaceConfiguration} config - The relatedsources configuration
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder being searched
+     * @returns {string[]} - Glob patterns matched against workspace relative paths
+     */
+    getGlobalExcludes(config, workspaceFolder) {
+        const excludes = (config.get('exclude', []) || []).slice();
+
+        if (config.get('useFilesExclude', true)) {
+            const filesExclude = vscode.workspace.getConfiguration('files', workspaceFolder.uri).get('exclude', {}) || {};
+            for (const [pattern, enabled] of Object.entries(filesExclude)) {
+                // Entries with a { when } condition depend on sibling files and are not supported
+                if (enabled === true) {
+                    excludes.push(pattern);
+                }
+            }
+        }
+
+        return excludes;
+    }
+
+    /**
+     * Gets all transitively related files of a given file URI.
      * This finds all files related to the input file, then finds files related to those,
-     * and continues until no new files are discovered.
+     * and continues until no new files are discovered or relatedsources.maxDepth hops
+     * have been made.
      * 
      * @param {vscode.Uri} fileUri - The file URI to find transitively related files for
-     * @returns {Promise<vscode.Uri[]>} - Array of unique related file URIs (deduplicated by fsPath)
+     * @param {vscode.CancellationToken} [token] - Optional token that stops the search
+     * @param {function(vscode.Uri, number): void} [onResult] - Streaming mode: called with each
+     *     related file as soon as any matcher finds it, before the search finishes, and
+     *     again if a matcher earlier in the list finds it too. Also gets that matcher's position.
+     * @param {object[]} [trace] - Explain mode: gets { uri, depth, via, matchers, durationMs }
+     *     for each file whose related files are looked up, matchers being what each matcher
+     *     did (see findMatcherTargets)
+     * @returns {Promise<Array<{uri: vscode.Uri, matchers: object[], matcherIndex: number, inCycle: boolean,
+     *     depth: number, via: ?{result: object, matcher: object}}>>} - The unique related files
+     *     (deduplicated by relative path), starting with the file itself, each with the
+     *     matchers that found it, the lowest of their positions (Infinity for the file
+     *     itself), whether it is reached through matchers in the cycle only, how many hops
+     *     away it was first found, and the file and matcher it was first found through
      */
-    async getTransitiveRelatedFiles(fileUri) {
+    async getTransitiveRelatedFiles(fileUri, token, onResult, trace) {
         const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri) || (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
         if (!workspaceFolder) {
             return [];
         }
 
         const workspaceRoot = workspaceFolder.uri.fsPath;
+        const caseSensitive = await this.isCaseSensitive(workspaceFolder);
+        const toKey = uri => toPathKey(path.relative(workspaceRoot, uri.fsPath).replace(/\\/g, '/'), caseSensitive);
         
-        // Cache for readDirectory calls to avoid repeated filesystem access
-        const directoryCache = new Map();
-        
-        // Track processed files by their relative path to avoid duplicates and cycles
-        const processedPaths = new Set();
-        // Map from relative path to URI for the final result
-        const resultMap = new Map();
-        // Queue of URIs to process
-        const queue = [fileUri];
-
-        while (queue.length > 0) {
-            const currentUri = queue.shift();
-            const currentRelPath = path.relative(workspaceRoot, currentUri.fsPath).replace(/\\/g, '/');
-
-            // Skip if already processed
-            if (processedPaths.has(currentRelPath)) {
-                continue;
-            }
-            processedPaths.add(currentRelPath);
-            resultMap.set(currentRelPath, currentUri);
-
-            // Get directly related files, passing the cache
-            const relatedUris = await this.getRelatedFiles(currentUri, directoryCache);
-
-            for (const relatedUri of relatedUris) {
-                const relatedRelPath = path.relative(workspaceRoot, relatedUri.fsPath).replace(/\\/g, '/');
-                // Add to queue if not already processed
-                if (!processedPaths.has(relatedRelPath)) {
-                    queue.push(relatedUri);
-                }
+        // Files already streamed to onResult, with the position of the matcher they were
+        // streamed for. Unlike the result this fills in the order matchers happen to finish in.
+        const streamedPaths = new Map([[toKey(fileUri), -1]]);
+        const onRelatedResult = onResult && ((uri, matcherIndex) => {
+            const key = toKey(uri);
+            if (!streamedPaths.has(key) || matcherIndex < streamedPaths.get(key)) {
+                streamedPaths.set(key, matcherIndex);
+                onResult(uri, matcherIndex);
             }
-        }
+        });
 
-        // Return all unique URIs (excluding the original file if desired, but including it for consistency)
-        return Array.from(resultMap.values());
+        // Get directly related files, passing the cache
+        return findTransitiveRelatedFiles(fileUri, {
+            getRelated: async (uri, depth, via) => {
+                const search = { uri, depth, via, matchers: [], durationMs: 0 };
+                if (trace) {
+                    trace.push(search);
+                }
+                const startTime = Date.now();
+                const related = await this.getRelatedFiles(uri, this.directoryCache, token, onRelatedResult, { reached: depth > 0, trace: trace && search.matchers });
+                search.durationMs = Date.now() - startTime;
+                return related;
+            },
+            toKey,
+            // How many hops to make from the file, 0 for no limit
+            maxDepth: vscode.workspace.getConfiguration('relatedsources').get('maxDepth', 0),
+            isCancelled: () => Boolean(token && token.isCancellationRequested)
+        });
     }
 
     async completePrevNextHelper(uri) {
@@ -361,8 +1220,287 @@ class RelatedSources {
         }
     }
 
+    /**
+     * Shows the related files of the active editor in a quick pick. The quick pick
+     * opens right away and fills in as matchers find files.
+     */
+    async showRelated() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showInformationMessage('Related Sources: No active editor');
+            return;
+        }
+
+        const fileUri = editor.document.uri;
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri) || (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
+        if (!workspaceFolder) {
+            vscode.window.showInformationMessage('Related Sources: No workspace folder found');
+            return;
+        }
+        const workspaceRoot = workspaceFolder.uri.fsPath;
+        const currentPath = path.relative(workspaceRoot, fileUri.fsPath).replace(/\\/g, '/');
+        const caseSensitive = await this.isCaseSensitive(workspaceFolder);
+
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.placeholder = 'Select a related file to open';
+        quickPick.busy = true;
+
+        const toItem = (relPath, uri) => ({
+            label: path.basename(relPath),
+            description: relPath,
+            uri
+        });
+
+        // Files found so far and the position of the first matcher that found each,
+        // keyed by workspace relative path. They are shown in the final order as far
+        // as it is known, so they don't move when the search finishes.
+        const found = new Map([[currentPath, fileUri]]);
+        const matcherIndexes = new Map();
+        let relatedItems = [];
+        let includedByItems = [];
+        const showItems = () => {
+            quickPick.items = relatedItems.concat(includedByItems);
+        };
+        const showFound = () => {
+            relatedItems = this.orderRelatedFiles(found, { workspaceFolder, currentPath, matcherIndexes, caseSensitive })
+                .map(relPath => toItem(relPath, found.get(relPath)));
+            showItems();
+        };
+        showFound();
+
+        let searching = true;
+        // Set once the quick pick is closed and disposed, after which it isn't updated
+        let hidden = false;
+        quickPick.onDidAccept(() => {
+            const [selected] = quickPick.selectedItems;
+            quickPick.hide();
+            if (selected) {
+                this.completePrevNextHelper(selected.uri);
+            }
+        });
+        quickPick.onDidHide(() => {
+            hidden = true;
+            if (searching) {
+                this.cancelSearch();
+            }
+            quickPick.dispose();
+        });
+        quickPick.show();
+
+        // Files including this one are looked up next to the matchers
+        const includedBy = this.getIncludedBy(fileUri, workspaceFolder).then(result => {
+            if (!hidden && result && result.relPaths.length > 0) {
+                const label = result.total > result.relPaths.length ? `Included by (first ${result.relPaths.length} of ${result.total})` : 'Included by';
+                includedByItems = [{ label, kind: vscode.QuickPickItemKind.Separator }]
+                    .concat(result.relPaths.map(relPath => toItem(relPath, vscode.Uri.joinPath(workspaceFolder.uri, relPath))));
+                showItems();
+            }
+        }, e => {
+            console.error('[RelatedSources] failed to find files including', fileUri.fsPath, e);
+        });
+
+        let info;
+        try {
+            info = await this.getPrevNextInfoHelperForUri(fileUri, {
+                showProgress: false,
+                onResult: (uri, matcherIndex) => {
+                    if (hidden) {
+                        return;
+                    }
+                    const relPath = path.relative(workspaceRoot, uri.fsPath).replace(/\\/g, '/');
+                    found.set(relPath, uri);
+                    matcherIndexes.set(relPath, Math.min(matcherIndexes.has(relPath) ? matcherIndexes.get(relPath) : Infinity, matcherIndex));
+                    showFound();
+                }
+            });
+        } finally {
+            searching = false;
+        }
+        if (hidden) {
+            return;
+        }
+
+        // The final list is authoritative: it drops duplicates streamed under other paths.
+        // Files outside the next/previous cycle follow in their own section.
+        if (info) {
+            const items = info.all.list.map((relPath, idx) => toItem(relPath, info.all.uris[idx]));
+            const otherItems = items.filter((item, idx) => !info.all.inCycle[idx]);
+            relatedItems = items.filter((item, idx) => info.all.inCycle[idx]);
+            if (otherItems.length > 0) {
+                relatedItems = relatedItems.concat([{ label: 'Other related files', kind: vscode.QuickPickItemKind.Separator }], otherItems);
+            }
+            showItems();
+        }
+
+        if (this.referenceIndex.isBuilding(workspaceFolder)) {
+            quickPick.placeholder = 'Select a related file to open (indexing includes...)';
+        }
+        await includedBy;
+        if (hidden) {
+            return;
+        }
+        quickPick.placeholder = 'Select a related file to open';
+        quickPick.busy = false;
+    }
+
+    /**
+     * Gets the files that include or import a file, if relatedsources.reverseIncludes is on.
+     *
+     * @param {vscode.Uri} fileUri - The file
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The file's workspace folder
+     * @returns {Promise<{relPaths: string[], total: number}|null>} - Workspace relative paths
+     *     of the first relatedsources.reverseIncludesMaxResults files and how many there are,
+     *     or null if the setting is off
+     */
+    async getIncludedBy(fileUri, workspaceFolder) {
+        const config = vscode.workspace.getConfiguration('relatedsources');
+        if (!config.get('reverseIncludes', false)) {
+            return null;
+        }
+
+        const relPath = path.relative(workspaceFolder.uri.fsPath, fileUri.fsPath).replace(/\\/g, '/');
+        const caseSensitive = await this.isCaseSensitive(workspaceFolder);
+        const globalExcludes = this.getGlobalExcludes(config, workspaceFolder);
+        const referencing = (await this.referenceIndex.getReferencingFiles(workspaceFolder, relPath, {
+            files: config.get('reverseIncludesFiles', DEFAULT_REFERENCING_FILES),
+            maxBytes: config.get('contentScanLimit', DEFAULT_CONTENT_SCAN_LIMIT_KB) * 1024
+        })).filter(referencingPath => !matchesAnyGlob(referencingPath, globalExcludes, caseSensitive));
+
+        const maxResults = Math.max(1, config.get('reverseIncludesMaxResults', 50));
+        return { relPaths: referencing.slice(0, maxResults), total: referencing.length };
+    }
+
+    /**
+     * Creates a matcher relating the active editor's file to a file the user picks:
+     * infers its sourceRegexp and targetPath, previews the other files it relates and
+     * adds it to the workspace or user settings.
+     */
+    async createMatcherFromExample() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showInformationMessage('Related Sources: No active editor');
+            return;
+        }
+
+        const sourceUri = editor.document.uri;
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(sourceUri);
+        if (!workspaceFolder) {
+            vscode.window.showInformationMessage('Related Sources: The current file is not in a workspace folder');
+            return;
+        }
+        const toRelPath = uri => path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+        const source = toRelPath(sourceUri);
+
+        const picked = await vscode.window.showOpenDialog({
+            defaultUri: vscode.Uri.joinPath(sourceUri, '..'),
+            canSelectFiles: true,
+            canSelectFolders: false,
+            canSelectMany: false,
+            openLabel: 'Relate',
+            title: `Related Sources: Pick a file related to ${path.basename(source)}`
+        });
+        if (!picked || picked.length === 0) {
+            return;
+        }
+        const targetFolder = vscode.workspace.getWorkspaceFolder(picked[0]);
+        if (!targetFolder || targetFolder.uri.toString() !== workspaceFolder.uri.toString()) {
+            vscode.window.showInformationMessage('Related Sources: Pick a file in the same workspace folder as the current file');
+            return;
+        }
+        const target = toRelPath(picked[0]);
+
+        let inferred;
+        try {
+            inferred = inferMatcher(source, target);
+        } catch (e) {
+            if (e instanceof InferenceError) {
+                vscode.window.showWarningMessage(`Related Sources: ${e.message}`);
+                return;
+            }
+            throw e;
+        }
+
+        const caseSensitive = await this.isCaseSensitive(workspaceFolder);
+        const files = await vscode.window.withProgress({
+            location: vscode.ProgressLocation.Notification,
+            title: 'Related Sources: Listing workspace files'
+        }, () => this.fileIndex.getFiles(workspaceFolder));
+        const preview = previewMatcher(inferred, files, { caseSensitive, maxPairs: PREVIEW_MAX_PAIRS });
+
+        const configurationTarget = await this.pickMatcherDestination(inferred, preview);
+        if (configurationTarget === undefined) {
+            return;
+        }
+
+        const name = await vscode.window.showInputBox({
+            title: 'Related Sources: Name the new matcher',
+            value: suggestMatcherName(source, target),
+            validateInput: value => (value.trim() ? undefined : 'Enter a name')
+        });
+        if (name === undefined) {
+            return;
+        }
+
+        // Writing the setting replaces the value it inherits, so start from that value
+        const config = vscode.workspace.getConfiguration('relatedsources', workspaceFolder.uri);
+        const inspected = config.inspect('matchers') || {};
+        const current = configurationTarget === vscode.ConfigurationTarget.Global
+            ? inspected.globalValue ?? inspected.defaultValue
+            : inspected.workspaceValue ?? inspected.globalValue ?? inspected.defaultValue;
+        const matcher = { sourceRegexp: inferred.sourceRegexp, targetPath: inferred.targetPath, name: name.trim() };
+        await config.update('matchers', [...(current || []), matcher], configurationTarget);
+
+        const where = configurationTarget === vscode.ConfigurationTarget.Global ? 'user' : 'workspace';
+        vscode.window.showInformationMessage(`Related Sources: Added matcher "${matcher.name}" to the ${where} settings`);
+    }
+
+    /**
+     * Shows the files an inferred matcher relates and asks where to save it.
+     *
+     * @param {{sourceRegexp: string, targetPath: string}} inferred - The matcher
+     * @param {{pairs: Array<{source: string, targets: string[]}>, complete: boolean}} preview - From previewMatcher
+     * @returns {Promise<vscode.ConfigurationTarget|undefined>} - Where to save it, or undefined if cancelled
+     */
+    pickMatcherDestination(inferred, preview) {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.title = `Related Sources: ${inferred.sourceRegexp} → ${inferred.targetPath}`;
+        quickPick.placeholder = 'Save the new matcher, or press Escape to cancel';
+        quickPick.matchOnDescription = true;
+
+        const items = [];
+        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
+            items.push({ label: '$(save) Add to Workspace Settings', configurationTarget: vscode.ConfigurationTarget.Workspace, alwaysShow: true });
+        }
+        items.push({ label: '$(save) Add to User Settings', configurationTarget: vscode.ConfigurationTarget.Global, alwaysShow: true });
+        const count = preview.complete ? `${preview.pairs.length}` : `first ${preview.pairs.length}`;
+        items.push({ label: `Files it relates (${count})`, kind: vscode.QuickPickItemKind.Separator });
+        for (const { source, targets } of preview.pairs) {
+            items.push({ label: source, description: `→ ${targets.join(', ')}` });
+        }
+        quickPick.items = items;
+
+        return new Promise(resolve => {
+            quickPick.onDidAccept(() => {
+                const [selected] = quickPick.selectedItems;
+                // The preview entries are only there to look at
+                if (selected && selected.configurationTarget !== undefined) {
+                    resolve(selected.configurationTarget);
+                    quickPick.hide();
+                }
+            });
+            quickPick.onDidHide(() => {
+                resolve(undefined);
+                quickPick.dispose();
+            });
+            quickPick.show();
+        });
+    }
+
     async next() {
         const info = await this.getPrevNextInfoHelper();
+        if (!info) {
+            return;
+        }
 
         if (!info.next.uri) {
             vscode.window.showInformationMessage('Related Sources: Next file not found');
@@ -374,6 +1512,9 @@ class RelatedSources {
 
     async prev() {
         const info = await this.getPrevNextInfoHelper();
+        if (!info) {
+            return;
+        }
 
         if (!info.prev.uri) {
             vscode.window.showInformationMessage('Related Sources: Previous file not found');
@@ -382,6 +1523,138 @@ class RelatedSources {
 
         await this.completePrevNextHelper(info.prev.uri);
     }
+
+    /**
+     * Opens the next related file found by the matchers with a tag or name, cycling
+     * through them when there are several.
+     * @param {{tag?: string, matcher?: string}} [args] - The tag or the matcher name; asked
+     *     for when neither is given
+     */
+    async openRelated(args) {
+        let selector = args && typeof args === 'object' ? args : {};
+        if (typeof selector.tag !== 'string' && typeof selector.matcher !== 'string') {
+            selector = await this.pickMatcherSelector();
+            if (!selector) {
+                return;
+            }
+        }
+
+        const info = await this.getPrevNextInfoHelper();
+        if (!info) {
+            return;
+        }
+
+        // Step through the cycle from the current file, so repeating the command
+        // visits each selected file in turn
+        const { uris, matchers, currentIdx } = info.all;
+        for (let step = 1; step < uris.length; step++) {
+            const idx = (currentIdx + step) % uris.length;
+            if (matchers[idx].some(matcher => isMatcherSelected(matcher, selector))) {
+                await this.completePrevNextHelper(uris[idx]);
+                return;
+            }
+        }
+
+        const selected = typeof selector.tag === 'string' ? `tagged "${selector.tag}"` : `found by matcher "${selector.matcher}"`;
+        vscode.window.showInformationMessage(`Related Sources: No related file ${selected}`);
+    }
+
+    /**
+     * Looks up the related files of the active editor with tracing and writes to the
+     * Related Sources output how each was found, what every matcher did for every file
+     * searched, and how long it took.
+     */
+    async explainRelated() {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor) {
+            vscode.window.showInformationMessage('Related Sources: No active editor');
+            return;
+        }
+
+        const fileUri = editor.document.uri;
+        const workspaceFolder = vscode.workspace.getWorkspaceFolder(fileUri) || (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0]);
+        if (!workspaceFolder) {
+            vscode.window.showInformationMessage('Related Sources: No workspace folder found');
+            return;
+        }
+        const toRelPath = uri => path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+        const getMatcherName = matcher => matcher.name || 'unnamed';
+
+        // A search of its own rather than the prefetched result, which has no trace
+        this.cancelSearch();
+        const cancellation = new vscode.CancellationTokenSource();
+        this.searchCancellation = cancellation;
+        const trace = [];
+        const startTime = Date.now();
+        let results;
+        try {
+            results = await this.withSearchProgress(this.getTransitiveRelatedFiles(fileUri, cancellation.token, undefined, trace), cancellation);
+            if (cancellation.token.isCancellationRequested) {
+                return;
+            }
+        } finally {
+            if (this.searchCancellation === cancellation) {
+                this.searchCancellation = null;
+            }
+            cancellation.dispose();
+        }
+        const durationMs = Date.now() - startTime;
+
+        // Follow each file back to the current file through what first found it
+        const getChain = result => {
+            const chain = [];
+            for (let hop = result; hop.via; hop = hop.via.result) {
+                chain.unshift({ matcher: getMatcherName(hop.via.matcher), file: toRelPath(hop.uri) });
+            }
+            return chain;
+        };
+
+        const lines = formatExplanation({
+            file: toRelPath(fileUri),
+            durationMs,
+            searches: trace.map(search => ({
+                file: toRelPath(search.uri),
+                depth: search.depth,
+                via: search.via && { file: toRelPath(search.via.result.uri), matcher: getMatcherName(search.via.matcher) },
+                durationMs: search.durationMs,
+                matchers: search.matchers
+            })),
+            // The first result is the current file
+            results: results.slice(1).map(result => ({ file: toRelPath(result.uri), chain: getChain(result), inCycle: result.inCycle }))
+        });
+
+        if (!this.explainChannel) {
+            this.explainChannel = vscode.window.createOutputChannel('Related Sources', { log: true });
+        }
+        for (const line of lines) {
+            this.explainChannel.info(line);
+        }
+        this.explainChannel.show(true);
+    }
+
+    /**
+     * Asks for the tag or matcher name to open related files by, from the configured matchers.
+     * @returns {Promise<{tag?: string, matcher?: string}|undefined>} - The selector, or
+     *     undefined if there is nothing to choose or the user cancelled
+     */
+    async pickMatcherSelector() {
+        const config = vscode.workspace.getConfiguration('relatedsources');
+        const matchers = (config.matchers || []).filter(isMatcherEnabled);
+        const tags = new Set();
+        for (const matcher of matchers) {
+            getMatcherTags(matcher).forEach(tag => tags.add(tag));
+        }
+        const names = matchers.map(matcher => matcher.name).filter(name => typeof name === 'string' && name.length > 0);
+        if (tags.size === 0 && names.length === 0) {
+            vscode.window.showInformationMessage('Related Sources: No matcher has tags or a name');
+            return;
+        }
+
+        const items = Array.from(tags).sort().map(tag => ({ label: `$(tag) ${tag}`, selector: { tag } }))
+            .concat(names.map(name => ({ label: name, description: 'matcher', selector: { matcher: name } })));
+        const picked = await vscode.window.showQuickPick(items, { placeHolder: 'Open the related file of a tag or matcher' });
+        return picked && picked.selector;
+    }
 }
 
 module.exports = {
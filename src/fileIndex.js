@@ -0,0 +1,214 @@
+const path = require('path');
+
+// Get vscode module - allows for dependency injection during testing
+let vscode;
+try {
+    vscode = require('vscode');
+} catch (e) {
+    // vscode not available (running tests outside VS Code)
+    vscode = null;
+}
+
+/**
+ * An index of the files in each workspace folder, for matchers with a targetRegexp.
+ *
+ * A folder's index is built with vscode.workspace.findFiles the first time it is
+ * needed, so it leaves out files.exclude like the Explorer does. Afterwards it is
+ * kept current with onFileCreated and onFileDeleted, which the owner calls from
+ * its file system watcher. Changes that arrive while an index is being built are
+ * applied once it is ready.
+ */
+class FileIndex {
+    /**
+     * @param {function(...*): void} [log] - Logs how long indexing took, such as the
+     *     extension's log; nothing is logged without it
+     * @param {object} [vscodeMock] - Optional vscode module for testing
+     */
+    constructor(log = () => {}, vscodeMock) {
+        this.log = log;
+        this.vs = vscodeMock || vscode;
+        // Index state keyed by workspace folder URI: { files: Set<string>|null, sorted: string[]|null,
+        // pending: Array, promise }
+        this.folders = new Map();
+    }
+
+    /**
+     * Gets the workspace relative paths of every file in a workspace folder.
+     *
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder
+     * @param {vscode.CancellationToken} [token] - Stops waiting for the index. The index
+     *     is still built, for the next caller.
+     * @returns {Promise<string[]>} - Sorted relative paths with forward slashes, or an
+     *     empty array if the token was cancelled first
+     */
+    async getFiles(workspaceFolder, token) {
+        const entry = this.getEntry(workspaceFolder);
+        if (!await this.waitForBuild(entry, token)) {
+            return [];
+        }
+        if (!entry.sorted) {
+            entry.sorted = Array.from(entry.files).sort();
+        }
+        return entry.sorted;
+    }
+
+    /**
+     * Gets the files of a workspace folder as the index's own Set, for looking files
+     * up without sorting or copying the index. The Set stays current with the changes
+     * the index is told about; callers must not change it.
+     *
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder
+     * @param {vscode.CancellationToken} [token] - Stops waiting for the index
+     * @returns {Promise<Set<string>>} - Relative paths with forward slashes, or an empty
+     *     Set if the token was cancelled first
+     */
+    async getFileSet(workspaceFolder, token) {
+        const entry = this.getEntry(workspaceFolder);
+        if (!await this.waitForBuild(entry, token)) {
+            return new Set();
+        }
+        return entry.files;
+    }
+
+    /**
+     * Waits until a folder's index is built.
+     * @returns {Promise<boolean>} - false if the token was cancelled first
+     */
+    async waitForBuild(entry, token) {
+        if (entry.files) {
+            return true;
+        }
+        if (token && token.isCancellationRequested) {
+            return false;
+        }
+        let listener;
+        const cancelled = new Promise(resolve => {
+            listener = token ? token.onCancellationRequested(() => resolve(true)) : null;
+        });
+        try {
+            return !await Promise.race([entry.promise.then(() => false), cancelled]);
+        } finally {
+            if (listener) {
+                listener.dispose();
+            }
+        }
+    }
+
+    getEntry(workspaceFolder) {
+        const key = workspaceFolder.uri.toString();
+        let entry = this.folders.get(key);
+        if (!entry) {
+            entry = { files: null, sorted: null, pending: [] };
+            entry.promise = this.build(workspaceFolder).then(files => {
+                entry.files = files;
+                for (const change of entry.pending) {
+                    this.applyChange(entry, change);
+                }
+                entry.pending = [];
+            }, e => {
+                console.error('[RelatedSources] failed to index', workspaceFolder.uri.fsPath, e);
+                // Try again next time
+                if (this.folders.get(key) === entry) {
+                    this.folders.delete(key);
+                }
+                entry.files = new Set();
+            });
+            this.folders.set(key, entry);
+        }
+        return entry;
+    }
+
+    async build(workspaceFolder) {
+        const startTime = Date.now();
+        const uris = await this.vs.workspace.findFiles(new this.vs.RelativePattern(workspaceFolder, '**/*'));
+        const files = new Set(uris.map(uri => toRelativePath(workspaceFolder, uri)));
+        this.log(`Indexed ${files.size} files in ${workspaceFolder.uri.fsPath} in ${Date.now() - startTime}ms`);
+        return files;
+    }
+
+    /**
+     * Records a created file or directory. The files of a created directory are
+     * listed and added, since files moved or copied in with it may not be reported
+     * one by one.
+     * @param {vscode.Uri} uri - The created file or directory
+     */
+    async onFileCreated(uri) {
+        const workspaceFolder = this.vs.workspace.getWorkspaceFolder(uri);
+        const entry = workspaceFolder && this.folders.get(workspaceFolder.uri.toString());
+        if (!entry) {
+            return;
+        }
+
+        let isDirectory = false;
+        try {
+            const stat = await this.vs.workspace.fs.stat(uri);
+            isDirectory = (stat.type & this.vs.FileType.Directory) !== 0;
+        } catch (e) {
+            // Already deleted again
+            return;
+        }
+
+        let uris = [uri];
+        if (isDirectory) {
+            try {
+                uris = await this.vs.workspace.findFiles(new this.vs.RelativePattern(uri, '**/*'));
+            } catch (e) {
+                console.error('[RelatedSources] failed to index', uri.fsPath, e);
+                return;
+            }
+        }
+        for (const fileUri of uris) {
+            this.recordChange(entry, { created: true, relPath: toRelativePath(workspaceFolder, fileUri) });
+        }
+    }
+
+    /**
+     * Records a deleted file or directory, dropping everything below a directory.
+     * @param {vscode.Uri} uri - The deleted file or directory
+     */
+    onFileDeleted(uri) {
+        const workspaceFolder = this.vs.workspace.getWorkspaceFolder(uri);
+        const entry = workspaceFolder && this.folders.get(workspaceFolder.uri.toString());
+        if (entry) {
+            this.recordChange(entry, { created: false, relPath: toRelativePath(workspaceFolder, uri) });
+        }
+    }
+
+    recordChange(entry, change) {
+        if (entry.files) {
+            this.applyChange(entry, change);
+        } else {
+            entry.pending.push(change);
+        }
+    }
+
+    applyChange(entry, { created, relPath }) {
+        entry.sorted = null;
+        if (created) {
+            entry.files.add(relPath);
+            return;
+        }
+        if (entry.files.delete(relPath)) {
+            return;
+        }
+        // Not a file, so possibly a directory
+        const prefix = relPath + '/';
+        for (const file of Array.from(entry.files)) {
+            if (file.startsWith(prefix)) {
+                entry.files.delete(file);
+            }
+        }
+    }
+
+    clear() {
+        this.folders.clear();
+    }
+}
+
+function toRelativePath(workspaceFolder, uri) {
+    return path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/');
+}
+
+module.exports = {
+    FileIndex
+};
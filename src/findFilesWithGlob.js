@@ -1,4 +1,6 @@
+const fs = require('fs');
 const path = require('path');
+const { createLimiter, DEFAULT_CONCURRENCY } = require('./concurrency');
 
 // Get vscode module - allows for dependency injection during testing
 let vscode;
@@ -25,6 +27,24 @@ Each segment can contain:
 
   - Literal text: matches exactly
   - '*' (asterisk): matches zero or more characters within a segment
+  - '?' (question mark): matches exactly one character within a segment
+  - '[abc]' / '[a-z]': matches one character from the class
+  - '[!abc]' / '[^abc]': matches one character not in the class
+
+A segment also matches an entry whose name equals it literally, so files with
+glob characters in their names (e.g. '[id].js') can still be named exactly.
+
+A segment consisting only of '**' (globstar) matches zero or more directory
+levels. A trailing '**' matches every file below that point.
+
+Brace expansion '{a,b}' is applied to the whole pattern before it is split
+into segments, so alternatives may contain '/' (e.g. '{src,include/gen}/x.h').
+Braces can be nested. A brace pair without a top-level ',' is literal text.
+Braces and commas inside a '[...]' class are part of the class. At most
+BRACE_MAX_EXPANSIONS patterns are made from one pattern.
+
+To match a glob character literally, put it in a class of its own ('[*]');
+escapeGlob does this for text substituted into a pattern.
 
 PATTERN RULES:
 --------------
@@ -33,7 +53,17 @@ PATTERN RULES:
   2. '*' can appear anywhere in a segment (start, middle, end, or multiple times)
   3. '*' does NOT match across path separators (it only matches within a segment)
   4. Patterns are matched from the workspace root
-  5. Matching is case-insensitive on Windows, case-sensitive on other platforms
+  5. Matching is case-sensitive unless the caseSensitive option is false. It
+     defaults to case-insensitive on Windows and case-sensitive elsewhere;
+     detectCaseSensitivity finds out what a workspace folder's file system does
+  6. '**' never descends into the directories listed in
+     GLOBSTAR_SKIPPED_DIRECTORIES (such as node_modules and .git), goes at
+     most GLOBSTAR_MAX_DEPTH levels deep and stops expanding once
+     GLOBSTAR_MAX_DIRECTORIES directories have been read by one search.
+     Name those directories with a literal segment to search inside them.
+  7. Symbolic links to directories are followed unless the followSymlinks
+     option is false. A link that leads back to a directory already on the
+     current path (by real path) is never followed, so link loops end.
 
 EXAMPLES:
 ---------
@@ -48,37 +78,297 @@ EXAMPLES:
   docs/readme.star               docs/readme.md, docs/readme.txt
   src/components/Buttonstar      src/components/Button.js, ButtonGroup.js
   star/star/star.c               Any .c file 3 levels deep
+  test/starstar/foo_unittest.cc  test/foo_unittest.cc, test/a/b/foo_unittest.cc
+  out/starstar/gen/file.h        out/Release/gen/file.h, out/x/y/gen/file.h
+  src/file?.js                   src/file1.js, src/fileA.js
+  src/file[0-9].js               src/file1.js, src/file2.js
+  src/foo.{h,hpp,hh}             src/foo.h, src/foo.hpp, src/foo.hh
+  {src,include}/foo.h            src/foo.h, include/foo.h
 
   (Note: "star" in the examples above represents the asterisk wildcard character)
 
 NOT SUPPORTED:
 --------------
 
-  - '**' (globstar / recursive matching)
-  - '?' (single character wildcard)
-  - '[abc]' (character classes)
-  - '{a,b}' (brace expansion)
+  - '**' combined with other text in a segment (e.g. 'foo**')
+  - '{1..3}' (brace sequence expressions)
   - '!' (negation patterns)
+  - Escaping glob characters with a backslash (use a class such as '[*]')
   - Backslash path separators (use forward slashes)
 
 ================================================================================
 */
 
+const GLOBSTAR = '**';
+
+// Directory names that '**' never descends into. They can still be searched by
+// naming them with a literal segment (e.g. 'node_modules/foo/*.js').
+const GLOBSTAR_SKIPPED_DIRECTORIES = new Set(['node_modules', '.git', '.svn', '.hg']);
+
+// Maximum number of directory levels a single '**' segment may match.
+const GLOBSTAR_MAX_DEPTH = 16;
+
+// Maximum number of directories a single search reads before '**' stops
+// expanding. Guards against walking all of a huge tree such as out/.
+const GLOBSTAR_MAX_DIRECTORIES = 10000;
+
+// Case sensitivity used when the caller doesn't say, from the platform's usual file system.
+const DEFAULT_CASE_SENSITIVE = process.platform !== 'win32';
+
+// Maximum number of patterns brace expansion may produce from one pattern.
+const BRACE_MAX_EXPANSIONS = 256;
+
+/**
+ * Escapes the characters that have a meaning in glob patterns.
+ *
+ * @param {string} text - Text to match literally, such as a file name
+ * @returns {string} - A glob matching exactly the text
+ */
+function escapeGlob(text) {
+    return text.replace(/[*?[\]{},]/g, '[$&]');
+}
+
+/**
+ * Expands '{a,b}' alternatives in a glob pattern, including nested braces.
+ * Alternatives may span path separators. A brace pair without a top-level
+ * comma is left as literal text.
+ * 
+ * @param {string} pattern - The glob pattern
+ * @param {function(): void} [onTruncated] - Called if the pattern has more than
+ *     BRACE_MAX_EXPANSIONS alternatives, of which only the first are returned
+ * @returns {string[]} - The expanded patterns, in alternative order and without duplicates
+ */
+function expandBraces(pattern, onTruncated) {
+    const expanded = [];
+    const pending = [pattern];
+
+    while (pending.length > 0 && expanded.length < BRACE_MAX_EXPANSIONS) {
+        const current = pending.shift();
+        const group = findBraceGroup(current);
+        if (!group) {
+            if (!expanded.includes(current)) {
+                expanded.push(current);
+            }
+            continue;
+        }
+
+        const prefix = current.slice(0, group.open);
+        const suffix = current.slice(group.close + 1);
+        const alternatives = [];
+        let start = group.open + 1;
+        for (const end of [...group.commas, group.close]) {
+            alternatives.push(prefix + current.slice(start, end) + suffix);
+            start = end + 1;
+        }
+        // Keep alternatives in order ahead of patterns that are still pending
+        pending.unshift(...alternatives);
+    }
+
+    if (pending.length > 0 && onTruncated) {
+        onTruncated();
+    }
+    return expanded;
+}
+
+/**
+ * Finds the first brace pair in a pattern that has a top-level comma.
+ * 
+ * @param {string} pattern - The glob pattern
+ * @returns {{open: number, close: number, commas: number[]}|null} - Character
+ *     indexes of the braces and top-level commas, or null if there is none
+ */
+function findBraceGroup(pattern) {
+    let depth = 0;
+    let open = -1;
+    let commas = [];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '[') {
+            // Skip a class, as segmentToRegexSource reads it, so '[,]' and '[{]' are literal
+            const start = pattern[i + 1] === '!' || pattern[i + 1] === '^' ? i + 2 : i + 1;
+            const close = pattern.indexOf(']', start + 1);
+            if (close !== -1 && !pattern.slice(i, close).includes('/')) {
+                i = close;
+            }
+        } else if (c === '{') {
+            if (depth === 0) {
+                open = i;
+                commas = [];
+            }
+            depth++;
+        } else if (c === ',' && depth === 1) {
+            commas.push(i);
+        } else if (c === '}' && depth > 0) {
+            depth--;
+            if (depth === 0 && commas.length > 0) {
+                return { open, close: i, commas };
+            }
+        }
+    }
+
+    return null;
+}
+
 /**
- * Converts a simple glob pattern segment to a RegExp.
- * Only supports '*' as a wildcard (matches zero or more characters).
+ * Converts a glob pattern segment to a RegExp.
+ * Supports '*' (zero or more characters), '?' (one character) and
+ * '[...]' character classes, negated with a leading '!' or '^'.
  * 
- * @param {string} segment - A single path segment (e.g., '*.js' or 'file-*-name')
+ * @param {string} segment - A single path segment (e.g., '*.js' or 'file-?-[a-z]')
+ * @param {boolean} [caseSensitive] - Whether letter case must match (default depends on platform)
  * @returns {RegExp} - A RegExp that matches the segment pattern
  */
-function segmentToRegex(segment) {
-    // Escape special regex characters except '*'
-    const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&');
-    // Replace '*' with '.*' (match zero or more characters)
-    const pattern = escaped.replace(/\*/g, '.*');
-    // Case sensitivity depends on platform
-    const flags = process.platform === 'win32' ? 'i' : '';
-    return new RegExp(`^${pattern}$`, flags);
+function segmentToRegex(segment, caseSensitive = DEFAULT_CASE_SENSITIVE) {
+    const flags = caseSensitive ? '' : 'i';
+    return new RegExp(`^${segmentToRegexSource(segment)}$`, flags);
+}
+
+/**
+ * Converts a glob pattern segment to unanchored RegExp source.
+ * Wildcards never match '/', so the source can be joined into a whole-path regex.
+ * 
+ * @param {string} segment - A single path segment
+ * @returns {string} - The RegExp source for the segment
+ */
+function segmentToRegexSource(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const c = segment[i];
+        if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            // A ']' right after '[' or '[!' is part of the class, as in shell globs
+            let body = segment.slice(i + 1);
+            let negate = false;
+            if (body[0] === '!' || body[0] === '^') {
+                negate = true;
+                body = body.slice(1);
+            }
+            const close = body.indexOf(']', 1);
+            if (close === -1) {
+                source += '\\[';
+                continue;
+            }
+            i += (negate ? 2 : 1) + close;
+            const members = body.slice(0, close).replace(/[\\^\]]/g, '\\$&');
+            source += negate ? `[^/${members}]` : `[${members}]`;
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Normalizes a pattern to forward slashes without leading or trailing slashes.
+ * 
+ * @param {string} pattern - The glob pattern
+ * @returns {string} - The normalized pattern
+ */
+function normalizePattern(pattern) {
+    return pattern.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+}
+
+// Maximum number of compiled whole-path regexes kept. Patterns come from settings and
+// from target paths expanded for each file, so there is no natural limit.
+const GLOB_REGEX_CACHE_SIZE = 500;
+
+// Compiled whole-path regexes keyed by glob pattern, least recently used first
+const globRegexCache = new Map();
+
+/**
+ * Converts a whole glob pattern, including braces and '**', to a RegExp
+ * that matches a workspace-relative path.
+ * 
+ * @param {string} pattern - The glob pattern (see module documentation for syntax)
+ * @param {boolean} [caseSensitive] - Whether letter case must match (default depends on platform)
+ * @returns {RegExp} - A RegExp that matches the full relative path
+ */
+function globToRegex(pattern, caseSensitive = DEFAULT_CASE_SENSITIVE) {
+    const cacheKey = `${caseSensitive ? 's' : 'i'}:${pattern}`;
+    if (globRegexCache.has(cacheKey)) {
+        // Move to the most recently used position
+        const cached = globRegexCache.get(cacheKey);
+        globRegexCache.delete(cacheKey);
+        globRegexCache.set(cacheKey, cached);
+        return cached;
+    }
+
+    const normalizedPattern = normalizePattern(pattern);
+    const alternatives = expandBraces(normalizedPattern).map(expandedPattern => {
+        const segments = expandedPattern.split('/').filter(segment => segment.length > 0);
+        return segments.map((segment, idx) => {
+            const isLastSegment = idx === segments.length - 1;
+            if (isGlobstar(segment)) {
+                return isLastSegment ? '.*' : '(?:[^/]+/)*';
+            }
+            return segmentToRegexSource(segment) + (isLastSegment ? '' : '/');
+        }).join('');
+    });
+
+    const flags = caseSensitive ? '' : 'i';
+    const regex = new RegExp(`^(?:${alternatives.join('|')})$`, flags);
+    globRegexCache.set(cacheKey, regex);
+    if (globRegexCache.size > GLOB_REGEX_CACHE_SIZE) {
+        globRegexCache.delete(globRegexCache.keys().next().value);
+    }
+    return regex;
+}
+
+/**
+ * Checks whether a workspace-relative path matches a glob pattern.
+ * A pattern without '/' is matched against each path segment, so '*.orig'
+ * matches files at any depth. A pattern that matches one of the path's parent
+ * directories matches the path as well, so 'out/*' or '**\/.git' cover
+ * everything below them.
+ * 
+ * @param {string} relPath - Workspace-relative path using forward slashes
+ * @param {string} pattern - The glob pattern (see module documentation for syntax)
+ * @param {boolean} [caseSensitive] - Whether letter case must match (default depends on platform)
+ * @returns {boolean} - True if the path matches
+ */
+function matchesGlob(relPath, pattern, caseSensitive = DEFAULT_CASE_SENSITIVE) {
+    if (!relPath || !pattern) {
+        return false;
+    }
+
+    const regex = globToRegex(pattern, caseSensitive);
+    const segments = relPath.split('/');
+    if (!normalizePattern(pattern).includes('/')) {
+        return segments.some(segment => regex.test(segment));
+    }
+
+    for (let i = segments.length; i > 0; i--) {
+        if (regex.test(segments.slice(0, i).join('/'))) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Checks whether a workspace-relative path matches any of several glob patterns.
+ * 
+ * @param {string} relPath - Workspace-relative path using forward slashes
+ * @param {string[]} patterns - The glob patterns
+ * @param {boolean} [caseSensitive] - Whether letter case must match (default depends on platform)
+ * @returns {boolean} - True if the path matches at least one pattern
+ */
+function matchesAnyGlob(relPath, patterns, caseSensitive = DEFAULT_CASE_SENSITIVE) {
+    return Array.isArray(patterns) && patterns.some(pattern => typeof pattern === 'string' && matchesGlob(relPath, pattern, caseSensitive));
+}
+
+/**
+ * Checks if a segment is a globstar ('**') segment.
+ * 
+ * @param {string} segment - A path segment
+ * @returns {boolean} - True if the segment matches zero or more directories
+ */
+function isGlobstar(segment) {
+    return segment === GLOBSTAR;
 }
 
 /**
@@ -88,41 +378,268 @@ function segmentToRegex(segment) {
  * @returns {boolean} - True if the segment contains wildcards
  */
 function hasWildcard(segment) {
-    return segment.includes('*');
+    return /[*?[]/.test(segment);
 }
 
 /**
  * Finds files matching a glob pattern using vscode.workspace.fs.readDirectory.
  * This is faster than vscode.workspace.findFiles for many use cases.
  * 
+ * Sibling directories and brace alternatives are searched concurrently, with at
+ * most options.limit readDirectory calls running at once, unless maxResults is
+ * given. Results are always in pattern order (alternatives in order, then
+ * directory entries in readDirectory order), whatever order the reads finish in.
+ * 
  * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder to search in
  * @param {string} pattern - The glob pattern (see module documentation for syntax)
- * @param {number} [maxResults] - Optional maximum number of results to return
+ * @param {number} [maxResults] - Optional maximum number of results to return. The
+ *     search runs sequentially so it can stop as soon as it has enough.
  * @param {object} [vscodeMock] - Optional vscode module for testing
- * @param {Map<string, Array>} [directoryCache] - Optional cache for readDirectory results
+ * @param {Map<string, Array>} [directoryCache] - Optional cache for readDirectory results.
+ *     Reads in flight are stored as promises so concurrent searches share them.
+ * @param {object} [options] - Optional search options
+ * @param {vscode.CancellationToken} [options.token] - Once cancelled the search stops
+ *     reading directories and returns the results found so far
+ * @param {function} [options.limit] - A limiter from createLimiter for readDirectory
+ *     calls, to share one concurrency limit between several searches
+ * @param {function(vscode.Uri): void} [options.onResult] - Streaming mode: called with
+ *     each matching file as soon as it is found, once per file, in discovery order
+ * @param {boolean} [options.followSymlinks] - Whether to search inside symbolic links to
+ *     directories (default true). Links to files are matched either way.
+ * @param {function(vscode.Uri): Promise<string>} [options.realPath] - Resolves the real path
+ *     of a URI for symlink cycle detection (default resolveRealPath)
+ * @param {boolean} [options.caseSensitive] - Whether letter case must match (default
+ *     depends on platform; see detectCaseSensitivity)
+ * @param {function(string): void} [options.log] - Logs problems with the pattern, such
+ *     as brace alternatives beyond BRACE_MAX_EXPANSIONS that aren't searched
  * @returns {Promise<vscode.Uri[]>} - Array of URIs matching the pattern
  */
-async function findFilesWithGlob(workspaceFolder, pattern, maxResults, vscodeMock, directoryCache) {
+async function findFilesWithGlob(workspaceFolder, pattern, maxResults, vscodeMock, directoryCache, options = {}) {
     const vs = vscodeMock || vscode;
     
     if (!workspaceFolder || !pattern) {
         return [];
     }
 
-    // Normalize pattern: remove leading/trailing slashes, normalize to forward slashes
-    const normalizedPattern = pattern.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+    const normalizedPattern = normalizePattern(pattern);
     
     if (!normalizedPattern) {
         return [];
     }
 
-    const segments = normalizedPattern.split('/');
-    const results = [];
+    const search = {
+        // fsPaths of files matched so far, to stop once maxResults files were found
+        found: new Set(),
+        maxResults,
+        concurrent: maxResults === undefined,
+        // Globstar reads each directory more than once, so always cache within a search
+        directoryCache: directoryCache || new Map(),
+        directoriesRead: 0,
+        token: options.token,
+        limit: options.limit || createLimiter(DEFAULT_CONCURRENCY),
+        onResult: options.onResult,
+        followSymlinks: options.followSymlinks !== false,
+        realPath: options.realPath || resolveRealPath,
+        caseSensitive: options.caseSensitive === undefined ? DEFAULT_CASE_SENSITIVE : options.caseSensitive
+    };
     const rootUri = workspaceFolder.uri;
+    const rootAncestry = { realPath: await search.realPath(rootUri), parent: null };
+
+    const onTruncated = options.log
+        ? () => options.log(`Pattern "${pattern}" has more than ${BRACE_MAX_EXPANSIONS} brace alternatives, only the first ${BRACE_MAX_EXPANSIONS} are searched`)
+        : undefined;
+    const branches = expandBraces(normalizedPattern, onTruncated)
+        .map(patternToSegments)
+        .filter(segments => segments.length > 0)
+        .map(segments => () => searchDirectory(vs, rootUri, segments, 0, search, 0, rootAncestry));
+    const found = await collectBranches(branches, search);
+
+    // Brace alternatives and globstars can reach the same file twice
+    const seen = new Set();
+    const results = [];
+    for (const uri of found) {
+        if (!seen.has(uri.fsPath)) {
+            seen.add(uri.fsPath);
+            results.push(uri);
+        }
+    }
+    return maxResults === undefined ? results : results.slice(0, maxResults);
+}
+
+/**
+ * Splits a brace-expanded pattern into the segments searchDirectory matches.
+ * 
+ * @param {string} pattern - A normalized pattern without brace alternatives
+ * @returns {string[]} - The non-empty path segments
+ */
+function patternToSegments(pattern) {
+    const segments = pattern.split('/')
+        // Alternatives like '{,gen/}' can leave empty segments behind
+        .filter(segment => segment.length > 0)
+        // Consecutive globstars match the same thing as a single one
+        .filter((segment, idx, all) => !(isGlobstar(segment) && idx > 0 && isGlobstar(all[idx - 1])));
+    if (segments.length && isGlobstar(segments[segments.length - 1])) {
+        // A trailing globstar matches every file below it
+        segments.push('*');
+    }
+    return segments;
+}
+
+/**
+ * Swaps the case of every letter in a string.
+ * 
+ * @param {string} text - The text
+ * @returns {string} - The text with upper case letters lowered and lower case letters raised
+ */
+function swapCase(text) {
+    return Array.from(text, c => (c === c.toUpperCase() ? c.toLowerCase() : c.toUpperCase())).join('');
+}
+
+/**
+ * Detects whether a folder's file system treats names that differ only in case
+ * as different files. It looks up an entry of the folder with the case of its
+ * name swapped: if that finds something the file system is case-insensitive.
+ * 
+ * @param {vscode.Uri} folderUri - The folder to probe, normally a workspace folder root
+ * @param {object} [vscodeMock] - Optional vscode module for testing
+ * @returns {Promise<boolean>} - True if the file system is case-sensitive. Falls back
+ *     to the platform default if no entry has letters or the folder can't be read.
+ */
+async function detectCaseSensitivity(folderUri, vscodeMock) {
+    const vs = vscodeMock || vscode;
+
+    let entries;
+    try {
+        entries = await vs.workspace.fs.readDirectory(folderUri);
+    } catch (e) {
+        return DEFAULT_CASE_SENSITIVE;
+    }
+
+    const names = new Set(entries.map(([name]) => name));
+    const casedNames = Array.from(names).filter(name => swapCase(name) !== name);
+
+    // Two entries differing only in case can only exist on a case-sensitive file system
+    if (casedNames.some(name => names.has(swapCase(name)))) {
+        return true;
+    }
+    if (casedNames.length === 0) {
+        return DEFAULT_CASE_SENSITIVE;
+    }
+
+    try {
+        await vs.workspace.fs.stat(vs.Uri.joinPath(folderUri, swapCase(casedNames[0])));
+        return false;
+    } catch (e) {
+        return true;
+    }
+}
+
+/**
+ * Resolves the real path of a URI, following symbolic links. URIs that are not
+ * on the local file system, or that can't be resolved, keep their own path.
+ * 
+ * @param {vscode.Uri} uri - The URI to resolve
+ * @returns {Promise<string>} - The real path
+ */
+async function resolveRealPath(uri) {
+    if (uri.scheme !== undefined && uri.scheme !== 'file') {
+        return uri.fsPath;
+    }
+    try {
+        return await fs.promises.realpath(uri.fsPath);
+    } catch (e) {
+        return uri.fsPath;
+    }
+}
+
+/**
+ * Checks whether a real path is already on the directory chain being searched.
+ * 
+ * @param {{realPath: string, parent: object}|null} ancestry - The current directory
+ *     and its parents, innermost first
+ * @param {string} realPath - The real path of a directory about to be searched
+ * @returns {boolean} - True if searching it would loop
+ */
+function isAncestor(ancestry, realPath) {
+    for (let dir = ancestry; dir; dir = dir.parent) {
+        if (dir.realPath === realPath) {
+            return true;
+        }
+    }
+    return false;
+}
 
-    await searchDirectory(vs, rootUri, segments, 0, results, maxResults, directoryCache);
+/**
+ * Reads a directory, using the directory cache if one is provided. The pending
+ * read is cached right away, so concurrent reads of one directory share it.
+ * 
+ * @param {object} vs - The vscode module (or mock)
+ * @param {vscode.Uri} uri - The directory URI
+ * @param {Map<string, Array>} [directoryCache] - Optional cache for readDirectory results
+ * @param {function} limit - A limiter from createLimiter for the readDirectory call
+ * @param {vscode.CancellationToken} [token] - Optional token; a read still waiting
+ *     for the limiter when it is cancelled fails instead of running
+ * @returns {Promise<Array<[string, number]>>} - The directory entries
+ */
+async function readDirectoryCached(vs, uri, directoryCache, limit, token) {
+    const cacheKey = uri.fsPath;
+    if (directoryCache && directoryCache.has(cacheKey)) {
+        return directoryCache.get(cacheKey);
+    }
+    const read = limit(() => {
+        if (token && token.isCancellationRequested) {
+            throw new Error(`Read of ${uri.fsPath} cancelled`);
+        }
+        return vs.workspace.fs.readDirectory(uri);
+    });
+    if (directoryCache) {
+        directoryCache.set(cacheKey, read);
+        // Don't cache failures, the directory may exist later
+        read.catch(() => {
+            if (directoryCache.has(cacheKey) && directoryCache.get(cacheKey) === read) {
+                directoryCache.delete(cacheKey);
+            }
+        });
+    }
+    return read;
+}
+
+/**
+ * Checks whether the search has found maxResults files or was cancelled.
+ * 
+ * @param {object} search - The search state
+ * @returns {boolean} - True if no more results are wanted
+ */
+function isSearchDone(search) {
+    if (search.token && search.token.isCancellationRequested) {
+        return true;
+    }
+    return search.maxResults !== undefined && search.found.size >= search.maxResults;
+}
 
-    return results;
+/**
+ * Runs the branches of a search and concatenates their results in branch order.
+ * Branches run concurrently, or one at a time until the search is done when it
+ * is sequential.
+ * 
+ * @param {Array<function(): (vscode.Uri[]|Promise<vscode.Uri[]>)>} branches - The branches
+ * @param {object} search - The search state
+ * @returns {Promise<vscode.Uri[]>} - The results of all branches that ran
+ */
+async function collectBranches(branches, search) {
+    let lists;
+    if (search.concurrent) {
+        lists = await Promise.all(branches.map(branch => branch()));
+    } else {
+        lists = [];
+        for (const branch of branches) {
+            if (isSearchDone(search)) {
+                break;
+            }
+            lists.push(await branch());
+        }
+    }
+    return [].concat(...lists);
 }
 
 /**
@@ -132,95 +649,141 @@ async function findFilesWithGlob(workspaceFolder, pattern, maxResults, vscodeMoc
  * @param {vscode.Uri} currentUri - The current directory URI
  * @param {string[]} segments - The pattern segments
  * @param {number} segmentIndex - Current segment index being matched
- * @param {vscode.Uri[]} results - Accumulator for matching file URIs
- * @param {number} [maxResults] - Optional maximum number of results
- * @param {Map<string, Array>} [directoryCache] - Optional cache for readDirectory results
- * @returns {Promise<boolean>} - True if max results reached
+ * @param {object} search - The search state created by findFilesWithGlob
+ * @param {Set<string>} search.found - fsPaths of files matched so far
+ * @param {number} [search.maxResults] - Optional maximum number of results
+ * @param {boolean} search.concurrent - Whether sibling directories are searched concurrently
+ * @param {Map<string, Array>} [search.directoryCache] - Optional cache for readDirectory results
+ * @param {number} search.directoriesRead - Count of directories read so far
+ * @param {vscode.CancellationToken} [search.token] - Optional token that stops the search
+ * @param {function} search.limit - Limiter for readDirectory calls
+ * @param {function(vscode.Uri): void} [search.onResult] - Optional callback for each newly found file
+ * @param {boolean} search.followSymlinks - Whether to search inside symbolic links to directories
+ * @param {function(vscode.Uri): Promise<string>} search.realPath - Resolves real paths of links
+ * @param {boolean} search.caseSensitive - Whether letter case must match
+ * @param {number} [globstarDepth] - Directory levels matched so far by the current globstar segment
+ * @param {{realPath: string, parent: object}|null} [ancestry] - Real paths of this directory
+ *     and its parents, innermost first, for symlink cycle detection
+ * @returns {Promise<vscode.Uri[]>} - Matching file URIs in pattern order, possibly with duplicates
  */
-async function searchDirectory(vs, currentUri, segments, segmentIndex, results, maxResults, directoryCache) {
-    // Check if we've collected enough results
-    if (maxResults !== undefined && results.length >= maxResults) {
-        return true;
+async function searchDirectory(vs, currentUri, segments, segmentIndex, search, globstarDepth = 0, ancestry = null) {
+    // Check if we've collected enough results or were cancelled
+    if (isSearchDone(search)) {
+        return [];
     }
 
     // If we've processed all segments, we shouldn't be here
     if (segmentIndex >= segments.length) {
-        return false;
+        return [];
     }
 
     const segment = segments[segmentIndex];
+    const branches = [];
+
+    if (isGlobstar(segment)) {
+        // Zero levels: match the rest of the pattern against this directory
+        branches.push(() => searchDirectory(vs, currentUri, segments, segmentIndex + 1, search, 0, ancestry));
+        if (globstarDepth >= GLOBSTAR_MAX_DEPTH || search.directoriesRead >= GLOBSTAR_MAX_DIRECTORIES) {
+            return collectBranches(branches, search);
+        }
+    }
+
     const isLastSegment = segmentIndex === segments.length - 1;
     const segmentHasWildcard = hasWildcard(segment);
-    const segmentRegex = segmentHasWildcard ? segmentToRegex(segment) : null;
+    const segmentRegex = segmentHasWildcard ? segmentToRegex(segment, search.caseSensitive) : null;
 
+    let entries;
     try {
-        // Use cache if available
-        const cacheKey = currentUri.fsPath;
-        let entries;
-        if (directoryCache && directoryCache.has(cacheKey)) {
-            entries = directoryCache.get(cacheKey);
-        } else {
-            entries = await vs.workspace.fs.readDirectory(currentUri);
-            if (directoryCache) {
-                directoryCache.set(cacheKey, entries);
+        search.directoriesRead++;
+        entries = await readDirectoryCached(vs, currentUri, search.directoryCache, search.limit, search.token);
+    } catch (error) {
+        // Directory doesn't exist or can't be read - silently continue
+        // This can happen for permission issues or if the path doesn't exist
+        return collectBranches(branches, search);
+    }
+
+    // Searches a subdirectory, first checking that a symbolic link may be followed
+    // and doesn't lead back to a directory already on the current path
+    const descend = (entryUri, name, fileType, nextIndex, nextGlobstarDepth) => async () => {
+        let realPath = ancestry ? path.join(ancestry.realPath, name) : entryUri.fsPath;
+        if (fileType & vs.FileType.SymbolicLink) {
+            if (!search.followSymlinks) {
+                return [];
+            }
+            realPath = await search.realPath(entryUri);
+            if (isAncestor(ancestry, realPath)) {
+                return [];
             }
         }
+        return searchDirectory(vs, entryUri, segments, nextIndex, search, nextGlobstarDepth, { realPath, parent: ancestry });
+    };
 
-        for (const [name, fileType] of entries) {
-            // Check if we've collected enough results
-            if (maxResults !== undefined && results.length >= maxResults) {
-                return true;
+    for (const [name, fileType] of entries) {
+        const isDirectory = fileType === vs.FileType.Directory || (fileType & vs.FileType.Directory);
+
+        if (isGlobstar(segment)) {
+            // One or more levels: descend and keep matching the globstar
+            if (isDirectory && !GLOBSTAR_SKIPPED_DIRECTORIES.has(name)) {
+                branches.push(descend(vs.Uri.joinPath(currentUri, name), name, fileType, segmentIndex, globstarDepth + 1));
             }
+            continue;
+        }
 
-            // Check if the name matches the current segment
-            const matches = segmentHasWildcard
-                ? segmentRegex.test(name)
-                : (process.platform === 'win32'
-                    ? name.toLowerCase() === segment.toLowerCase()
-                    : name === segment);
+        // Check if the name matches the current segment, either as a
+        // pattern or literally for names that contain glob characters
+        const literalMatch = search.caseSensitive
+            ? name === segment
+            : name.toLowerCase() === segment.toLowerCase();
+        const matches = literalMatch || (segmentHasWildcard && segmentRegex.test(name));
 
-            if (!matches) {
-                continue;
-            }
+        if (!matches) {
+            continue;
+        }
 
-            const entryUri = vs.Uri.joinPath(currentUri, name);
-
-            if (isLastSegment) {
-                // Last segment: we're looking for the final file/folder
-                // FileType.File = 1, FileType.Directory = 2, FileType.SymbolicLink = 64
-                if (fileType === vs.FileType.File || (fileType & vs.FileType.File)) {
-                    results.push(entryUri);
-                }
-            } else {
-                // Not the last segment: continue searching in subdirectories
-                if (fileType === vs.FileType.Directory || (fileType & vs.FileType.Directory)) {
-                    const maxReached = await searchDirectory(
-                        vs,
-                        entryUri,
-                        segments,
-                        segmentIndex + 1,
-                        results,
-                        maxResults,
-                        directoryCache
-                    );
-                    if (maxReached) {
-                        return true;
+        const entryUri = vs.Uri.joinPath(currentUri, name);
+
+        if (isLastSegment) {
+            // Last segment: we're looking for the final file/folder
+            // FileType.File = 1, FileType.Directory = 2, FileType.SymbolicLink = 64
+            if (fileType === vs.FileType.File || (fileType & vs.FileType.File)) {
+                branches.push(() => {
+                    if (!search.found.has(entryUri.fsPath)) {
+                        search.found.add(entryUri.fsPath);
+                        if (search.onResult) {
+                            search.onResult(entryUri);
+                        }
                     }
-                }
+                    return [entryUri];
+                });
             }
+        } else if (isDirectory) {
+            // Not the last segment: continue searching in subdirectories
+            branches.push(descend(entryUri, name, fileType, segmentIndex + 1, 0));
         }
-    } catch (error) {
-        // Directory doesn't exist or can't be read - silently continue
-        // This can happen for permission issues or if the path doesn't exist
     }
 
-    return false;
+    return collectBranches(branches, search);
 }
 
 module.exports = {
     findFilesWithGlob,
     segmentToRegex,
+    globToRegex,
+    matchesGlob,
+    matchesAnyGlob,
     hasWildcard,
+    isGlobstar,
+    expandBraces,
+    escapeGlob,
+    resolveRealPath,
+    detectCaseSensitivity,
+    DEFAULT_CASE_SENSITIVE,
+    BRACE_MAX_EXPANSIONS,
+    GLOB_REGEX_CACHE_SIZE,
+    GLOBSTAR_SKIPPED_DIRECTORIES,
+    GLOBSTAR_MAX_DEPTH,
+    GLOBSTAR_MAX_DIRECTORIES,
     // Export for testing
-    _searchDirectory: searchDirectory
+    _searchDirectory: searchDirectory,
+    _globRegexCache: globRegexCache
 };
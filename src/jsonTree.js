@@ -0,0 +1,98 @@
+const jsonc = require('jsonc-parser');
+
+/**
+ * Parses the JSON with comments VS Code uses for settings.json and .code-workspace
+ * files, with jsonc-parser as VS Code itself does. Unlike JSON.parse it keeps the
+ * position of every value, so problems can be shown where they are.
+ *
+ * Comments (// and /* *\/) and trailing commas are allowed, as VS Code allows them.
+ * Anything else that isn't JSON throws a JsonSyntaxError; a settings file being typed
+ * is often invalid for a moment, and callers simply try again on the next change.
+ */
+
+/**
+ * Thrown when the text isn't valid JSON with comments.
+ */
+class JsonSyntaxError extends Error {
+    constructor(message, offset) {
+        super(`${message} at offset ${offset}`);
+        this.name = 'JsonSyntaxError';
+        this.offset = offset;
+    }
+}
+
+/**
+ * Parses JSON with comments into a tree of nodes.
+ *
+ * Every node has a type ('object', 'array', 'string', 'number', 'boolean' or 'null'),
+ * the offset and length of its text, and its parsed value. Objects also have
+ * properties, an array of { key, keyOffset, node }, and arrays have items, an array
+ * of nodes.
+ *
+ * @param {string} text - The document text
+ * @returns {object} - The root node
+ * @throws {JsonSyntaxError} - If the text is not valid
+ */
+function parseTree(text) {
+    const errors = [];
+    const root = jsonc.parseTree(text, errors, { allowTrailingComma: true, disallowComments: false });
+    if (errors.length > 0) {
+        throw new JsonSyntaxError(jsonc.printParseErrorCode(errors[0].error), errors[0].offset);
+    }
+    if (!root) {
+        throw new JsonSyntaxError('ValueExpected', 0);
+    }
+    return toNode(root);
+}
+
+/**
+ * Converts a jsonc-parser node and its children.
+ */
+function toNode(node) {
+    const { type, offset, length } = node;
+    if (type === 'object') {
+        const properties = node.children.map(({ children: [key, value] }) => ({ key: key.value, keyOffset: key.offset, node: toNode(value) }));
+        const objectValue = {};
+        for (const property of properties) {
+            objectValue[property.key] = property.node.value;
+        }
+        return { type, offset, length, properties, value: objectValue };
+    }
+    if (type === 'array') {
+        const items = node.children.map(toNode);
+        return { type, offset, length, items, value: items.map(item => item.value) };
+    }
+    return { type, offset, length, value: node.value };
+}
+
+/**
+ * Finds the node at a path of property names and array indexes.
+ *
+ * @param {object} node - The node to start from
+ * @param {Array<string|number>} path - Property names and array indexes
+ * @returns {object|undefined} - The node, or undefined if there is none at that path
+ */
+function findNode(node, path) {
+    let current = node;
+    for (const segment of path) {
+        if (!current) {
+            return undefined;
+        }
+        if (current.type === 'object' && typeof segment === 'string') {
+            // The last of duplicate properties wins, as in JSON.parse
+            const property = current.properties.filter(p => p.key === segment).pop();
+            current = property && property.node;
+        } else if (current.type === 'array' && typeof segment === 'number') {
+            current = current.items[segment];
+        } else {
+            return undefined;
+        }
+    }
+    return current;
+}
+
+module.exports = {
+    parseTree,
+    findNode,
+    JsonSyntaxError
+};
@@ -0,0 +1,97 @@
+const { globToRegex } = require('./findFilesWithGlob');
+
+/**
+ * Works out the language of a file from its name, for the languageId of when clauses.
+ *
+ * Only open documents have a language in VS Code, and files reached through other
+ * related files usually aren't open. Their language comes from the same places VS Code
+ * takes it from when it opens a file: the files.associations setting first, then the
+ * languages extensions contribute, by file name, file name pattern and extension.
+ * Languages detected from the first line or the content aren't known this way.
+ */
+
+/**
+ * Gets the languages contributed by extensions.
+ *
+ * @param {Array<{packageJSON: object}>} extensions - Such as vscode.extensions.all
+ * @returns {Array<{id: string, extensions?: string[], filenames?: string[], filenamePatterns?: string[]}>} -
+ *     The language contributions, in extension order
+ */
+function getContributedLanguages(extensions) {
+    const languages = [];
+    for (const extension of extensions) {
+        const contributes = (extension.packageJSON && extension.packageJSON.contributes) || {};
+        if (Array.isArray(contributes.languages)) {
+            languages.push(...contributes.languages.filter(language => language && typeof language.id === 'string'));
+        }
+    }
+    return languages;
+}
+
+/**
+ * Checks whether a file matches a files.associations or filenamePatterns glob. Globs
+ * with a '/' are matched against the path, others against the file name, as in VS Code.
+ *
+ * @param {string} relPath - Workspace relative path using forward slashes
+ * @param {string} pattern - The glob
+ * @returns {boolean} - True if the file matches
+ */
+function matchesFilePattern(relPath, pattern) {
+    const target = pattern.includes('/') ? relPath : relPath.slice(relPath.lastIndexOf('/') + 1);
+    try {
+        return globToRegex(pattern, false).test(target);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Picks the language of the longest of the matching patterns, the most specific one.
+ *
+ * @param {Array<[string, string]>} candidates - [pattern, language id] pairs that match
+ * @returns {string|undefined} - The language id, or undefined if there are none
+ */
+function longestMatch(candidates) {
+    let best;
+    for (const candidate of candidates) {
+        if (!best || candidate[0].length > best[0].length) {
+            best = candidate;
+        }
+    }
+    return best && best[1];
+}
+
+/**
+ * Finds the language of a file from its name.
+ *
+ * @param {string} relPath - Workspace relative path using forward slashes
+ * @param {object} options
+ * @param {object} [options.associations] - The files.associations setting, globs to language ids
+ * @param {object[]} [options.languages] - From getContributedLanguages
+ * @returns {string|undefined} - The language id, or undefined if the name doesn't tell
+ */
+function getLanguageId(relPath, { associations = {}, languages = [] } = {}) {
+    const fromSetting = longestMatch(Object.entries(associations || {})
+        .filter(([pattern, id]) => typeof id === 'string' && matchesFilePattern(relPath, pattern)));
+    if (fromSetting) {
+        return fromSetting;
+    }
+
+    const fileName = relPath.slice(relPath.lastIndexOf('/') + 1).toLowerCase();
+    const byName = languages.find(language => Array.isArray(language.filenames)
+        && language.filenames.some(name => typeof name === 'string' && name.toLowerCase() === fileName));
+    if (byName) {
+        return byName.id;
+    }
+
+    const candidates = pick => languages.flatMap(language => (Array.isArray(language[pick]) ? language[pick] : [])
+        .filter(value => typeof value === 'string' && value.length > 0)
+        .map(value => [value, language.id]));
+    return longestMatch(candidates('filenamePatterns').filter(([pattern]) => matchesFilePattern(relPath, pattern)))
+        || longestMatch(candidates('extensions').filter(([extension]) => fileName.endsWith(extension.toLowerCase())));
+}
+
+module.exports = {
+    getContributedLanguages,
+    getLanguageId
+};
@@ -0,0 +1,221 @@
+const path = require('path');
+const { escapeRegExp, expandTargetPath } = require('./matchers');
+const { CASE_TRANSFORMS } = require('./placeholders');
+const { globToRegex, escapeGlob } = require('./findFilesWithGlob');
+
+/**
+ * Infers a matcher from an example pair of files, for the "Create Matcher From
+ * Example" command.
+ *
+ * The longest end of the source file's path without its extension that also
+ * appears in the target path becomes the path group, starting at a directory
+ * boundary. What comes before and after it stays literal. So src/app/Foo.java and
+ * tests/app/FooTest.java give
+ *
+ *   sourceRegexp  ^src/(?<path>.*)\.java$    targetPath  tests/${path}Test.java
+ *
+ * If the target only contains the source file's name in another case, as in
+ * foo_bar.py and test/FooBarTest.java, the directories and the name become separate
+ * groups and the name is transformed with one of the placeholder case transforms.
+ * Literal parts of the target path have their glob characters escaped.
+ */
+
+/**
+ * Thrown when no matcher relates the two files.
+ */
+class InferenceError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InferenceError';
+    }
+}
+
+/**
+ * Splits a workspace relative path into its directory (with a trailing '/'), the
+ * file name without its last extension, and that extension.
+ *
+ * @param {string} relPath - A workspace relative path
+ * @returns {{dir: string, stem: string, ext: string}}
+ */
+function splitPath(relPath) {
+    const slash = relPath.lastIndexOf('/');
+    const dir = relPath.slice(0, slash + 1);
+    const base = relPath.slice(slash + 1);
+    const dot = base.lastIndexOf('.');
+    // A leading dot, as in .eslintrc, starts the name rather than an extension
+    return dot > 0 ? { dir, stem: base.slice(0, dot), ext: base.slice(dot) } : { dir, stem: base, ext: '' };
+}
+
+/**
+ * Finds the longest end of text, starting at a directory boundary, that occurs in
+ * another string.
+ *
+ * @param {string} text - The text whose end is looked for
+ * @param {function(string): boolean} occurs - Whether a candidate occurs in the other string
+ * @returns {string} - The longest such end, or '' if there is none
+ */
+function longestCommonEnd(text, occurs) {
+    for (let i = 0; i < text.length; i++) {
+        if ((i === 0 || text[i - 1] === '/') && occurs(text.slice(i))) {
+            return text.slice(i);
+        }
+    }
+    return '';
+}
+
+/**
+ * Infers a matcher whose path group covers the source path up to its extension.
+ */
+function inferWithPathGroup(source, target) {
+    const { dir, stem, ext } = splitPath(source);
+    const common = longestCommonEnd(dir + stem, candidate => target.includes(candidate));
+    if (!common.endsWith(stem) || stem === '') {
+        return null;
+    }
+
+    // The last occurrence, so a repeated directory name in front doesn't take it
+    const targetIndex = target.lastIndexOf(common);
+    const sourcePrefix = (dir + stem).slice(0, -common.length);
+    return {
+        sourceRegexp: `^${escapeRegExp(sourcePrefix)}(?<path>.*)${escapeRegExp(ext)}$`,
+        targetPath: `${escapeGlob(target.slice(0, targetIndex))}\${path}${escapeGlob(target.slice(targetIndex + common.length))}`
+    };
+}
+
+/**
+ * Infers a matcher with separate directory and name groups, the name transformed
+ * to another case.
+ */
+function inferWithNameTransform(source, target) {
+    const { dir, stem, ext } = splitPath(source);
+    const targetParts = splitPath(target);
+    const targetBase = target.slice(targetParts.dir.length);
+
+    for (const [transformName, transform] of Object.entries(CASE_TRANSFORMS)) {
+        const transformed = transform(stem);
+        const nameIndex = transformed && transformed !== stem ? targetBase.indexOf(transformed) : -1;
+        if (nameIndex === -1) {
+            continue;
+        }
+
+        // Directories common to the end of both keep their place in the dir group
+        const commonDir = longestCommonEnd(dir, candidate => targetParts.dir.endsWith(candidate));
+        let sourceRegexp = '^';
+        let targetPath = '';
+        if (commonDir) {
+            sourceRegexp += `${escapeRegExp(dir.slice(0, -commonDir.length))}(?<dir>.*/)`;
+            targetPath += `${escapeGlob(targetParts.dir.slice(0, -commonDir.length))}\${dir}`;
+        } else {
+            sourceRegexp += escapeRegExp(dir);
+            targetPath += escapeGlob(targetParts.dir);
+        }
+        sourceRegexp += `(?<name>[^/]+)${escapeRegExp(ext)}$`;
+        targetPath += `${escapeGlob(targetBase.slice(0, nameIndex))}\${name:/${transformName}}${escapeGlob(targetBase.slice(nameIndex + transformed.length))}`;
+        return { sourceRegexp, targetPath };
+    }
+    return null;
+}
+
+/**
+ * Expands a target path the way the matcher will be when it runs.
+ *
+ * @param {string} targetPath - The matcher's targetPath
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @returns {string} - The workspace relative glob
+ */
+function expandTarget(targetPath, match) {
+    return expandTargetPath(targetPath, match, () => undefined, '');
+}
+
+/**
+ * Infers a matcher relating one file to another.
+ *
+ * @param {string} source - The workspace relative path of the file the matcher applies to
+ * @param {string} target - The workspace relative path of the file it should find
+ * @returns {{sourceRegexp: string, targetPath: string}} - The matcher's sourceRegexp and targetPath
+ * @throws {InferenceError} - If the files have nothing in common to relate them by
+ */
+function inferMatcher(source, target) {
+    if (source === target) {
+        throw new InferenceError('Pick a file other than the current one');
+    }
+
+    const matcher = inferWithPathGroup(source, target) || inferWithNameTransform(source, target);
+    if (!matcher) {
+        throw new InferenceError(`"${target}" does not contain the name of "${source}", in any case`);
+    }
+
+    // Make sure the matcher really relates the example
+    const match = source.match(new RegExp(matcher.sourceRegexp));
+    if (!match || !globToRegex(expandTarget(matcher.targetPath, match), true).test(target)) {
+        throw new InferenceError(`No matcher found that relates "${source}" to "${target}"`);
+    }
+    return matcher;
+}
+
+/**
+ * Finds the files a matcher would relate, to preview it.
+ *
+ * @param {{sourceRegexp: string, targetPath: string}} matcher - The matcher
+ * @param {string[]} files - The workspace relative paths of every file
+ * @param {object} [options]
+ * @param {boolean} [options.caseSensitive] - Whether letter case matters
+ * @param {number} [options.maxPairs] - Stop after this many related pairs
+ * @returns {{pairs: Array<{source: string, targets: string[]}>, complete: boolean}} - Each
+ *     file the matcher relates to at least one existing file, and whether all files were
+ *     looked at
+ */
+function previewMatcher(matcher, files, { caseSensitive = true, maxPairs = 100 } = {}) {
+    const regex = new RegExp(matcher.sourceRegexp, caseSensitive ? '' : 'i');
+    const toKey = relPath => (caseSensitive ? relPath : relPath.toLowerCase());
+    const fileKeys = new Map(files.map(relPath => [toKey(relPath), relPath]));
+
+    const pairs = [];
+    for (const source of files) {
+        if (pairs.length >= maxPairs) {
+            return { pairs, complete: false };
+        }
+        const match = source.match(regex);
+        if (!match) {
+            continue;
+        }
+
+        let targets;
+        const target = expandTarget(matcher.targetPath, match);
+        if (/[*?[{]/.test(target)) {
+            const targetRegex = globToRegex(target, caseSensitive);
+            targets = files.filter(relPath => targetRegex.test(relPath));
+        } else {
+            targets = fileKeys.has(toKey(target)) ? [fileKeys.get(toKey(target))] : [];
+        }
+        targets = targets.filter(relPath => relPath !== source);
+        if (targets.length > 0) {
+            pairs.push({ source, targets });
+        }
+    }
+    return { pairs, complete: true };
+}
+
+/**
+ * Suggests a name for an inferred matcher, such as "*.cc to *_unittest.cc".
+ *
+ * @param {string} source - The example source file
+ * @param {string} target - The example target file
+ * @returns {string} - The name
+ */
+function suggestMatcherName(source, target) {
+    const { stem } = splitPath(source);
+    const sourceBase = path.posix.basename(source);
+    const targetBase = path.posix.basename(target);
+    if (stem && targetBase.includes(stem)) {
+        return `${sourceBase.replace(stem, '*')} to ${targetBase.replace(stem, '*')}`;
+    }
+    return `${sourceBase} to ${targetBase}`;
+}
+
+module.exports = {
+    inferMatcher,
+    previewMatcher,
+    suggestMatcherName,
+    InferenceError
+};
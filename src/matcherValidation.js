@@ -0,0 +1,376 @@
+const { getTargetPaths, isContentMatcher, escapeRegExp, MatcherError } = require('./matchers');
+const { getPlaceholders, expandPlaceholders, PlaceholderError, VARIABLE_NAMES } = require('./placeholders');
+const { parseWhenClause, WhenClauseError } = require('./whenClause');
+const { deriveReverseMatchers } = require('./bidirectional');
+
+/**
+ * Checks the relatedsources.matchers setting for mistakes that would otherwise only
+ * show up as missing related files: invalid regular expressions and flags,
+ * placeholders naming groups that don't exist, glob syntax findFilesWithGlob doesn't
+ * support, and duplicate matchers.
+ *
+ * Each problem names the value it is about by its path in the setting, such as
+ * [2, 'targetPaths', 0], so callers can point at it. Problems with an obvious
+ * correction carry a fix: a new value for that path, or the removal of the matcher.
+ */
+
+// Regular expression flags matchers accept, as in the flags pattern of package.json
+const VALID_FLAGS = 'dimsuv';
+
+// Values of a matcher's visibility (see isInCycle)
+const VISIBILITIES = ['all', 'quickPickOnly'];
+
+// How different a placeholder name may be from a group name to be taken as a typo of it
+const MAX_TYPO_DISTANCE = 2;
+
+/**
+ * Gets the groups of a regular expression.
+ *
+ * @param {RegExp} regex - The regular expression
+ * @returns {{count: number, names: string[]}} - How many capturing groups it has and the
+ *     names of the named ones
+ */
+function getRegexpGroups(regex) {
+    // An empty alternative always matches, with every group undefined
+    const match = new RegExp(`${regex.source}|`, regex.flags).exec('');
+    return { count: match.length - 1, names: Object.keys(match.groups || {}) };
+}
+
+/**
+ * Counts the single character edits turning one string into another.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Compiles a regular expression from the setting.
+ *
+ * @returns {RegExp|string} - The regular expression, or the error message if it is invalid
+ */
+function compile(source, flags) {
+    try {
+        return new RegExp(source, flags.replace(/[gy]/g, ''));
+    } catch (e) {
+        return e.message;
+    }
+}
+
+/**
+ * Checks the placeholders of a target path or targetRegexp.
+ *
+ * @param {string} template - The target path or targetRegexp
+ * @param {Array<string|number>} path - Where it is in the setting
+ * @param {{count: number, names: string[]}} groups - The groups placeholders can name
+ * @param {string} groupsOf - The property the groups come from, for messages
+ * @param {function(object)} report - Adds a problem
+ * @returns {boolean} - False if a placeholder is malformed
+ */
+function checkPlaceholders(template, path, groups, groupsOf, report) {
+    let placeholders;
+    try {
+        placeholders = getPlaceholders(template);
+    } catch (e) {
+        if (e instanceof PlaceholderError) {
+            report({ path, severity: 'error', message: e.message });
+            return false;
+        }
+        throw e;
+    }
+
+    for (const { start, end, name } of placeholders) {
+        const placeholder = template.slice(start, end);
+        if (/^\d+$/.test(name)) {
+            if (parseInt(name, 10) > groups.count) {
+                report({ path, severity: 'error', message: `"${placeholder}" refers to group ${name}, but ${groupsOf} has ${groups.count} group${groups.count === 1 ? '' : 's'}` });
+            }
+            continue;
+        }
+        if (groups.names.includes(name) || VARIABLE_NAMES.includes(name) || /^(?:env|config):/.test(name)) {
+            continue;
+        }
+
+        const problem = { path, severity: 'error', message: `"${placeholder}" is neither a group of ${groupsOf} nor a variable, so the matcher is skipped` };
+        const closest = groups.names
+            .map(groupName => ({ groupName, distance: editDistance(name, groupName) }))
+            .filter(({ distance }) => distance <= MAX_TYPO_DISTANCE)
+            .sort((a, b) => a.distance - b.distance)[0];
+        if (closest) {
+            const fixed = placeholder.replace(name, closest.groupName);
+            problem.fix = {
+                title: `Change "${placeholder}" to "${fixed}"`,
+                value: template.slice(0, start) + fixed + template.slice(end)
+            };
+        }
+        report(problem);
+    }
+    return true;
+}
+
+/**
+ * Checks a target path for glob syntax findFilesWithGlob doesn't support.
+ *
+ * @param {string} targetPath - The target path
+ * @param {Array<string|number>} path - Where it is in the setting
+ * @param {function(object)} report - Adds a problem
+ */
+function checkGlob(targetPath, path, report) {
+    // Placeholders may contain anything, so only the text around them is glob
+    const placeholders = getPlaceholders(targetPath);
+    let glob = '';
+    let index = 0;
+    for (const { start, end } of placeholders) {
+        glob += targetPath.slice(index, start) + 'x'.repeat(end - start);
+        index = end;
+    }
+    glob += targetPath.slice(index);
+    const outsidePlaceholders = (pattern, replacement) => {
+        let result = '';
+        let last = 0;
+        for (const { start, end } of placeholders.concat([{ start: targetPath.length, end: targetPath.length }])) {
+            result += targetPath.slice(last, start).replace(pattern, replacement) + targetPath.slice(start, end);
+            last = end;
+        }
+        return result;
+    };
+
+    if (glob.includes('\\')) {
+        report({
+            path,
+            severity: 'warning',
+            message: 'Target paths separate directories with "/"; a "\\" is not an escape character',
+            fix: { title: 'Replace "\\" with "/"', value: outsidePlaceholders(/\\/g, '/') }
+        });
+    }
+    if (/[!@+]\(/.test(glob)) {
+        report({ path, severity: 'error', message: 'Extended glob patterns such as !(...), @(...) and +(...) are not supported' });
+    }
+
+    const segments = glob.replace(/\\/g, '/').split('/');
+    if (segments.some(segment => segment === '..' || segment === '.')) {
+        report({ path, severity: 'warning', message: 'Target paths are relative to the workspace folder root; "." and ".." segments are not supported' });
+    }
+    if (segments.some(segment => segment.includes('**') && segment !== '**')) {
+        const problem = { path, severity: 'warning', message: '"**" only matches any number of directories as a whole path segment; here it acts like "*"' };
+        if (/(^|\/)\*\*[^/*]/.test(glob)) {
+            problem.fix = { title: 'Change "**x" to "**/*x"', value: outsidePlaceholders(/(^|\/)\*\*(?=[^/*])/g, '$1**/*') };
+        }
+        report(problem);
+    }
+    for (const segment of segments) {
+        const open = segment.indexOf('[');
+        if (open !== -1 && segment.indexOf(']', open + 2) === -1) {
+            report({ path, severity: 'warning', message: `"[" without a closing "]" in "${segment}" matches a literal "["` });
+            break;
+        }
+    }
+    let depth = 0;
+    for (const c of glob) {
+        depth += c === '{' ? 1 : c === '}' ? -1 : 0;
+        if (depth < 0) {
+            break;
+        }
+    }
+    if (depth !== 0) {
+        report({ path, severity: 'warning', message: 'Unbalanced "{" and "}"; braces only expand alternatives when they match up' });
+    }
+}
+
+/**
+ * Gets what makes two matchers find the same files, to spot duplicates.
+ */
+function getMatcherIdentity(matcher) {
+    return JSON.stringify([
+        matcher.sourceRegexp, getTargetPaths(matcher), matcher.targetRegexp, matcher.contentRegexp,
+        matcher.includeDirs, matcher.flags || '', matcher.when, matcher.exclude, Boolean(matcher.bidirectional)
+    ]);
+}
+
+/**
+ * Checks the relatedsources.matchers setting.
+ *
+ * @param {Array} matchers - The setting's value
+ * @returns {Array<{path: Array<string|number>, severity: string, message: string,
+ *     fix?: {title: string, value?: *, remove?: boolean}}>} - The problems found.
+ *     severity is 'error' or 'warning'. A fix either replaces the value at path with
+ *     value or, with remove, deletes the matcher.
+ */
+function validateMatchers(matchers) {
+    const problems = [];
+    if (!Array.isArray(matchers)) {
+        return [{ path: [], severity: 'error', message: 'relatedsources.matchers must be an array of matchers' }];
+    }
+
+    const seen = new Map();
+    matchers.forEach((matcher, index) => {
+        const report = problem => problems.push(problem);
+        if (!matcher || typeof matcher !== 'object' || Array.isArray(matcher)) {
+            report({ path: [index], severity: 'error', message: 'A matcher must be an object' });
+            return;
+        }
+
+        const identity = getMatcherIdentity(matcher);
+        if (seen.has(identity)) {
+            const original = seen.get(identity);
+            report({
+                path: [index],
+                severity: 'warning',
+                message: `This matcher finds the same files as matcher ${original + 1}${matchers[original].name ? ` "${matchers[original].name}"` : ''}`,
+                fix: { title: 'Remove the duplicate matcher', remove: true }
+            });
+        } else {
+            seen.set(identity, index);
+        }
+
+        let flags = '';
+        if (matcher.flags !== undefined) {
+            if (typeof matcher.flags !== 'string') {
+                report({ path: [index, 'flags'], severity: 'error', message: 'flags must be a string such as "i"' });
+            } else {
+                flags = Array.from(new Set(matcher.flags)).join('');
+                const unsupported = Array.from(new Set(matcher.flags.replace(new RegExp(`[${VALID_FLAGS}]`, 'g'), ''))).join('');
+                if (unsupported || flags !== matcher.flags) {
+                    const valid = flags.replace(new RegExp(`[^${VALID_FLAGS}]`, 'g'), '');
+                    report({
+                        path: [index, 'flags'],
+                        severity: 'error',
+                        message: unsupported ? `Unsupported regular expression flags "${unsupported}"` : 'Regular expression flags may only be given once',
+                        fix: { title: `Change flags to "${valid}"`, value: valid }
+                    });
+                    flags = valid;
+                }
+            }
+        }
+
+        if (typeof matcher.sourceRegexp !== 'string') {
+            report({ path: [index], severity: 'error', message: 'A matcher needs a sourceRegexp' });
+            return;
+        }
+        const sourceRegex = compile(matcher.sourceRegexp, flags);
+        if (typeof sourceRegex === 'string') {
+            report({ path: [index, 'sourceRegexp'], severity: 'error', message: `Invalid sourceRegexp: ${sourceRegex}` });
+        }
+
+        const hasTargetRegexp = typeof matcher.targetRegexp === 'string' && matcher.targetRegexp.length > 0;
+        if (getTargetPaths(matcher).length === 0 && !hasTargetRegexp && !isContentMatcher(matcher)) {
+            report({ path: [index], severity: 'error', message: 'A matcher needs a targetPath, targetPaths, targetRegexp or contentRegexp' });
+        }
+
+        // Content matchers expand their target paths with the groups of contentRegexp
+        let groups = null;
+        let groupsOf = 'sourceRegexp';
+        if (isContentMatcher(matcher)) {
+            groupsOf = 'contentRegexp';
+            const contentRegex = compile(matcher.contentRegexp, flags);
+            if (typeof contentRegex === 'string') {
+                report({ path: [index, 'contentRegexp'], severity: 'error', message: `Invalid contentRegexp: ${contentRegex}` });
+            } else {
+                groups = getRegexpGroups(contentRegex);
+            }
+        } else if (typeof sourceRegex !== 'string') {
+            groups = getRegexpGroups(sourceRegex);
+        }
+
+        const targetPathEntries = [];
+        if (typeof matcher.targetPath === 'string') {
+            targetPathEntries.push([matcher.targetPath, [index, 'targetPath']]);
+        }
+        if (Array.isArray(matcher.targetPaths)) {
+            matcher.targetPaths.forEach((targetPath, i) => {
+                if (typeof targetPath === 'string') {
+                    targetPathEntries.push([targetPath, [index, 'targetPaths', i]]);
+                } else {
+                    report({ path: [index, 'targetPaths', i], severity: 'error', message: 'Target paths must be strings' });
+                }
+            });
+        }
+        for (const [targetPath, path] of targetPathEntries) {
+            const wellFormed = groups ? checkPlaceholders(targetPath, path, groups, groupsOf, report) : true;
+            if (wellFormed) {
+                try {
+                    checkGlob(targetPath, path, report);
+                } catch (e) {
+                    if (!(e instanceof PlaceholderError)) {
+                        throw e;
+                    }
+                    report({ path, severity: 'error', message: e.message });
+                }
+            }
+        }
+
+        if (hasTargetRegexp && groups) {
+            const path = [index, 'targetRegexp'];
+            if (checkPlaceholders(matcher.targetRegexp, path, groups, groupsOf, report)) {
+                // Check the regular expression with every placeholder standing for some text
+                const source = expandPlaceholders(matcher.targetRegexp, new Array(groups.count + 1).fill('x'), () => 'x', escapeRegExp);
+                const targetRegex = compile(source, flags);
+                if (typeof targetRegex === 'string') {
+                    report({ path, severity: 'error', message: `Invalid targetRegexp: ${targetRegex}` });
+                }
+            }
+        }
+
+        if (matcher.transitive !== undefined && typeof matcher.transitive !== 'boolean') {
+            report({ path: [index, 'transitive'], severity: 'error', message: 'transitive must be true or false' });
+        }
+        if (matcher.cycle !== undefined && typeof matcher.cycle !== 'boolean') {
+            report({ path: [index, 'cycle'], severity: 'error', message: 'cycle must be true or false' });
+        }
+        if (matcher.visibility !== undefined && !VISIBILITIES.includes(matcher.visibility)) {
+            report({ path: [index, 'visibility'], severity: 'error', message: `visibility must be ${VISIBILITIES.map(v => `"${v}"`).join(' or ')}` });
+        }
+
+        if (matcher.tags !== undefined) {
+            if (!Array.isArray(matcher.tags)) {
+                report({
+                    path: [index, 'tags'],
+                    severity: 'error',
+                    message: 'tags must be an array of strings',
+                    fix: typeof matcher.tags === 'string' ? { title: 'Put the tag in an array', value: [matcher.tags] } : undefined
+                });
+            } else {
+                matcher.tags.forEach((tag, i) => {
+                    if (typeof tag !== 'string' || tag.length === 0) {
+                        report({ path: [index, 'tags', i], severity: 'error', message: 'Tags must be non-empty strings' });
+                    }
+                });
+            }
+        }
+
+        if (typeof matcher.when === 'string') {
+            try {
+                parseWhenClause(matcher.when);
+            } catch (e) {
+                if (!(e instanceof WhenClauseError)) {
+                    throw e;
+                }
+                report({ path: [index, 'when'], severity: 'error', message: `Invalid when clause: ${e.message}` });
+            }
+        }
+
+        if (matcher.bidirectional === true && typeof sourceRegex !== 'string') {
+            try {
+                deriveReverseMatchers(matcher);
+            } catch (e) {
+                if (!(e instanceof MatcherError)) {
+                    throw e;
+                }
+                report({ path: [index, 'bidirectional'], severity: 'warning', message: e.message });
+            }
+        }
+    });
+    return problems;
+}
+
+module.exports = {
+    validateMatchers,
+    getRegexpGroups
+};
@@ -0,0 +1,263 @@
+const path = require('path');
+const { expandPlaceholders, PlaceholderError } = require('./placeholders');
+const { escapeGlob } = require('./findFilesWithGlob');
+
+/**
+ * Helpers for reading entries of the relatedsources.matchers setting.
+ *
+ * A matcher has a sourceRegexp, optional regex flags, and one or more targets:
+ * globs given as targetPath, targetPaths or both, and a targetRegexp matched
+ * against the workspace file index. A content matcher has a contentRegexp
+ * instead, and its target paths are expanded with the groups of each match in
+ * the file's text (see contentMatcher.js). Matchers with enabled: false are skipped.
+ */
+
+/**
+ * Thrown when a matcher's targets can't be expanded for a file.
+ */
+class MatcherError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MatcherError';
+    }
+}
+
+// Flags that change what String.prototype.match returns, so they are ignored
+const IGNORED_FLAGS = /[gy]/g;
+
+/**
+ * Checks whether a matcher should be applied.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - False for entries that are malformed or disabled
+ */
+function isMatcherEnabled(matcher) {
+    return Boolean(matcher) && typeof matcher === 'object' && matcher.enabled !== false;
+}
+
+/**
+ * Gets every target path of a matcher: targetPath first, then targetPaths.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {string[]} - The non-empty target paths, in order
+ */
+function getTargetPaths(matcher) {
+    const targetPaths = [];
+    if (typeof matcher.targetPath === 'string') {
+        targetPaths.push(matcher.targetPath);
+    }
+    if (Array.isArray(matcher.targetPaths)) {
+        targetPaths.push(...matcher.targetPaths.filter(targetPath => typeof targetPath === 'string'));
+    }
+    return targetPaths.filter(targetPath => targetPath.length > 0);
+}
+
+/**
+ * Checks whether a matcher has anything to search for.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - True if it has a target path or a targetRegexp
+ */
+function hasTargets(matcher) {
+    return getTargetPaths(matcher).length > 0 || isContentMatcher(matcher) ||
+        (typeof matcher.targetRegexp === 'string' && matcher.targetRegexp.length > 0);
+}
+
+/**
+ * Checks whether a matcher finds related files in the file's text.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - True if it has a contentRegexp
+ */
+function isContentMatcher(matcher) {
+    return typeof matcher.contentRegexp === 'string' && matcher.contentRegexp.length > 0;
+}
+
+/**
+ * Checks whether the files a matcher finds have their own related files looked up
+ * too. Matchers with transitive: false aren't, and neither are content matchers
+ * unless they have transitive: true, or a file's includes would pull in their
+ * includes and soon the whole workspace.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - True if files it finds are searched further
+ */
+function isTransitive(matcher) {
+    if (isContentMatcher(matcher)) {
+        return matcher.transitive === true;
+    }
+    return matcher.transitive !== false;
+}
+
+/**
+ * Checks whether a matcher is applied to files reached through other related files,
+ * rather than only to the file related files are looked up for. Matchers with
+ * transitive: false only relate files to that file.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - True if it applies at every hop
+ */
+function appliesToReachedFiles(matcher) {
+    return matcher.transitive !== false;
+}
+
+/**
+ * Checks whether the files a matcher finds are part of the cycle the next and previous
+ * commands step through. Files of matchers with cycle: false or visibility:
+ * "quickPickOnly" are only listed in the related files quick pick.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {boolean} - True if files it finds are in the cycle
+ */
+function isInCycle(matcher) {
+    return matcher.cycle !== false && matcher.visibility !== 'quickPickOnly';
+}
+
+/**
+ * Gets the tags of a matcher, which the openRelated command selects matchers by.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {string[]} - The non-empty tags, in order
+ */
+function getMatcherTags(matcher) {
+    if (!Array.isArray(matcher.tags)) {
+        return [];
+    }
+    return matcher.tags.filter(tag => typeof tag === 'string' && tag.length > 0);
+}
+
+/**
+ * Checks whether a matcher is selected by the arguments of the openRelated command.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @param {{tag?: string, matcher?: string}} selector - A tag the matcher must have,
+ *     or the name it must have
+ * @returns {boolean} - True if the matcher has the tag or the name
+ */
+function isMatcherSelected(matcher, selector) {
+    if (typeof selector.tag === 'string' && getMatcherTags(matcher).includes(selector.tag)) {
+        return true;
+    }
+    return typeof selector.matcher === 'string' && matcher.name === selector.matcher;
+}
+
+/**
+ * Gets the flags to compile a matcher's sourceRegexp and targetRegexp with.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @param {boolean} caseSensitive - Whether the workspace folder's file system is case-sensitive
+ * @returns {string} - The matcher's flags without g and y, plus i on case-insensitive
+ *     file systems
+ */
+function getRegexpFlags(matcher, caseSensitive) {
+    let flags = typeof matcher.flags === 'string' ? matcher.flags.replace(IGNORED_FLAGS, '') : '';
+    if (!caseSensitive && !flags.includes('i')) {
+        flags += 'i';
+    }
+    return flags;
+}
+
+/**
+ * Gets the flags to compile a matcher's contentRegexp with. Unlike paths, file text
+ * is matched with the matcher's own flags whatever the file system does with case.
+ *
+ * @param {object} matcher - A matcher from the relatedsources.matchers setting
+ * @returns {string} - The matcher's flags without g and y, plus g to find every match
+ */
+function getContentRegexpFlags(matcher) {
+    return (typeof matcher.flags === 'string' ? matcher.flags.replace(IGNORED_FLAGS, '') : '') + 'g';
+}
+
+/**
+ * Expands a target path for a sourceRegexp match into a glob relative to the
+ * workspace folder. Placeholders are replaced with their values escaped, so a
+ * file name such as "[id].ts" matches itself rather than "i.ts" or "d.ts".
+ *
+ * @param {string} targetPath - One of the matcher's target paths
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {function(string): (string|undefined)} resolveVariable - Looks up variables
+ * @param {string} workspaceRoot - The workspace folder's fsPath
+ * @returns {string} - The glob, with forward slashes and no leading slash
+ * @throws {MatcherError} - If a placeholder is invalid; the message names the target path
+ */
+function expandTargetPath(targetPath, match, resolveVariable, workspaceRoot) {
+    let target;
+    try {
+        // Replace placeholders such as ${name}, ${1}, ${name:/snakecase} and ${workspaceFolder}
+        target = expandPlaceholders(targetPath, match, resolveVariable, escapeGlob);
+    } catch (e) {
+        if (e instanceof PlaceholderError) {
+            throw new MatcherError(`targetPath "${targetPath}": ${e.message}`);
+        }
+        throw e;
+    }
+
+    // Variables like ${workspaceFolder} make absolute paths, but targets are relative
+    // to the workspace folder. Any other leading slash is dropped below.
+    if (path.isAbsolute(target)) {
+        const relTarget = path.relative(escapeGlob(workspaceRoot), target);
+        if (!relTarget.startsWith('..') && !path.isAbsolute(relTarget)) {
+            target = relTarget;
+        }
+    }
+
+    // Normalize target to forward slashes and remove leading slash
+    return target.replace(/\\/g, '/').replace(/^[\/]+/, '');
+}
+
+/**
+ * Escapes the characters that have a meaning in regular expressions.
+ *
+ * @param {string} text - Text to match literally
+ * @returns {string} - A regular expression source matching exactly the text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Expands a matcher's targetRegexp for a sourceRegexp match. Placeholders are
+ * replaced with their values escaped, so they match literally.
+ *
+ * @param {string} targetRegexp - The matcher's targetRegexp
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {function(string): (string|undefined)} resolveVariable - Looks up variables
+ * @param {string} flags - The flags to compile it with, from getRegexpFlags
+ * @returns {RegExp} - A regular expression for workspace relative paths
+ * @throws {MatcherError} - If a placeholder or the expanded regular expression is invalid
+ */
+function expandTargetRegexp(targetRegexp, match, resolveVariable, flags) {
+    let source;
+    try {
+        source = expandPlaceholders(targetRegexp, match, resolveVariable, escapeRegExp);
+    } catch (e) {
+        if (e instanceof PlaceholderError) {
+            throw new MatcherError(`targetRegexp "${targetRegexp}": ${e.message}`);
+        }
+        throw e;
+    }
+
+    try {
+        return new RegExp(source, flags);
+    } catch (e) {
+        throw new MatcherError(`targetRegexp "${targetRegexp}": ${e.message}`);
+    }
+}
+
+module.exports = {
+    isMatcherEnabled,
+    getTargetPaths,
+    hasTargets,
+    isContentMatcher,
+    isTransitive,
+    appliesToReachedFiles,
+    isInCycle,
+    getMatcherTags,
+    isMatcherSelected,
+    getRegexpFlags,
+    getContentRegexpFlags,
+    expandTargetPath,
+    expandTargetRegexp,
+    escapeRegExp,
+    MatcherError
+};
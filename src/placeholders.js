@@ -0,0 +1,361 @@
+const path = require('path');
+
+// Get vscode module - allows for dependency injection during testing
+let vscode;
+try {
+    vscode = require('vscode');
+} catch (e) {
+    // vscode not available (running tests outside VS Code)
+    vscode = null;
+}
+
+/**
+ * Placeholder expansion for matcher target paths.
+ *
+ * SUPPORTED SYNTAX (similar to VS Code snippet variables):
+ *   ${name} / ${1}           - The named or numbered capture group of the sourceRegexp match
+ *   ${workspaceFolder}, ${fileBasename}, ${env:VAR}, ${config:some.setting}, ...
+ *                            - A built-in variable (see createVariableResolver). A capture
+ *                              group with the same name as a variable takes precedence.
+ *   ${name:-default}         - The group, or default if it didn't match or is empty
+ *   ${name:/upcase}          - The group with a case transform applied: upcase, downcase,
+ *                              capitalize, camelcase, pascalcase, snakecase or kebabcase
+ *   ${name/regex/replacement/flags}
+ *                            - The group with String.prototype.replace applied. The
+ *                              replacement may use $1, $<name> and $&. Escape '/' as '\/'.
+ *
+ * Every form takes a variable as well as a group, as in ${env:USER:/downcase}.
+ * Groups that didn't match and unset variables expand to an empty string, but a name
+ * that is neither a group nor a variable throws a PlaceholderError: a typo would
+ * otherwise quietly look for the wrong files. Case
+ * transforms that split words (camelcase, pascalcase, snakecase, kebabcase) treat
+ * '_', '-', spaces and changes from lower to upper case as word boundaries, and
+ * transform each path segment separately.
+ * Malformed placeholders throw a PlaceholderError rather than expanding to nothing.
+ */
+
+/**
+ * Thrown when a target path contains a placeholder that can't be expanded.
+ */
+class PlaceholderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PlaceholderError';
+    }
+}
+
+/**
+ * Splits a name into words at separators and case changes.
+ * 'fooBar', 'FooBar', 'foo_bar' and 'foo-bar' all give ['foo', 'Bar'] or ['foo', 'bar'].
+ *
+ * @param {string} text - The name to split
+ * @returns {string[]} - The words, with their case unchanged
+ */
+function splitWords(text) {
+    return text
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[\s_-]+/)
+        .filter(Boolean);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Built-in variables, besides env:VAR and config:some.setting (see createVariableResolver)
+const VARIABLE_NAMES = [
+    'workspaceFolder',
+    'workspaceFolderBasename',
+    'fileBasename',
+    'fileBasenameNoExtension',
+    'fileExtname',
+    'relativeFileDirname'
+];
+
+const CASE_TRANSFORMS = {
+    upcase: text => text.toUpperCase(),
+    downcase: text => text.toLowerCase(),
+    capitalize,
+    camelcase: text => splitWords(text).map((word, i) => (i === 0 ? word.toLowerCase() : capitalize(word.toLowerCase()))).join(''),
+    pascalcase: text => splitWords(text).map(word => capitalize(word.toLowerCase())).join(''),
+    snakecase: text => splitWords(text).map(word => word.toLowerCase()).join('_'),
+    kebabcase: text => splitWords(text).map(word => word.toLowerCase()).join('-')
+};
+
+/**
+ * Finds the '}' that closes a placeholder, skipping escaped characters and balanced
+ * braces such as regex quantifiers.
+ *
+ * @param {string} template - The target path
+ * @param {number} index - The index just after '${'
+ * @returns {number} - The index of the closing brace, or -1 if there is none
+ */
+function findPlaceholderEnd(template, index) {
+    let depth = 0;
+    for (let i = index; i < template.length; i++) {
+        const c = template[i];
+        if (c === '\\') {
+            i++;
+        } else if (c === '{') {
+            depth++;
+        } else if (c === '}') {
+            if (depth === 0) {
+                return i;
+            }
+            depth--;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits text at '/' characters that aren't escaped with a backslash.
+ *
+ * @param {string} text - The text to split
+ * @returns {string[]} - The parts, with escapes left in place
+ */
+function splitAtSlashes(text) {
+    const parts = [''];
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\\' && i + 1 < text.length) {
+            parts[parts.length - 1] += c + text[i + 1];
+            i++;
+        } else if (c === '/') {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += c;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Gets the value of a capture group or, if there is no group of that name, a variable.
+ *
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {string} name - A group number or name, or a variable name
+ * @param {function(string): (string|undefined)} [resolveVariable] - Looks up variables
+ * @returns {string|undefined} - The value, or undefined if the group didn't match or
+ *     the variable isn't set
+ */
+function getValue(match, name, resolveVariable) {
+    if (/^\d+$/.test(name)) {
+        return match[parseInt(name, 10)];
+    }
+    if (match.groups && Object.prototype.hasOwnProperty.call(match.groups, name)) {
+        return match.groups[name];
+    }
+    return resolveVariable ? resolveVariable(name) : undefined;
+}
+
+/**
+ * Checks whether a name is a group of the match or a variable, as opposed to a typo.
+ *
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {string} name - A group number or name, or a variable name
+ * @param {function(string): (string|undefined)} [resolveVariable] - Looks up variables
+ * @returns {boolean} - True if the name is known, even if it has no value
+ */
+function isKnownName(match, name, resolveVariable) {
+    if (/^\d+$/.test(name)) {
+        return parseInt(name, 10) < match.length;
+    }
+    if (match.groups && Object.prototype.hasOwnProperty.call(match.groups, name)) {
+        return true;
+    }
+    if (name.startsWith('env:') || name.startsWith('config:') || VARIABLE_NAMES.includes(name)) {
+        return true;
+    }
+    return Boolean(resolveVariable) && resolveVariable(name) !== undefined;
+}
+
+/**
+ * Gets the group or variable name a placeholder starts with.
+ *
+ * @param {string} body - The text between '${' and '}'
+ * @returns {string} - The name
+ * @throws {PlaceholderError} - If it doesn't start with a name
+ */
+function getPlaceholderName(body) {
+    const nameMatch = /^(?:env:\w+|config:[\w.-]*\w|\d+|[\p{L}_$][\p{L}\p{N}_$]*)/u.exec(body);
+    if (!nameMatch) {
+        throw new PlaceholderError(`Invalid placeholder "\${${body}}": expected a capture group or variable name`);
+    }
+    return nameMatch[0];
+}
+
+/**
+ * Expands the inside of one placeholder.
+ *
+ * @param {string} body - The text between '${' and '}'
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {function(string): (string|undefined)} [resolveVariable] - Looks up variables
+ * @returns {string} - The expansion
+ */
+function expandPlaceholder(body, match, resolveVariable) {
+    const name = getPlaceholderName(body);
+    const rest = body.slice(name.length);
+    const value = getValue(match, name, resolveVariable) || '';
+
+    if (rest === '') {
+        return value;
+    }
+
+    if (rest.startsWith(':-')) {
+        return value || rest.slice(2);
+    }
+
+    if (rest.startsWith(':/')) {
+        const transformName = rest.slice(2);
+        const transform = CASE_TRANSFORMS[transformName];
+        if (!transform) {
+            throw new PlaceholderError(
+                `Unknown transform "${transformName}" in "\${${body}}": expected one of ${Object.keys(CASE_TRANSFORMS).join(', ')}`
+            );
+        }
+        return value.split('/').map(transform).join('/');
+    }
+
+    if (rest.startsWith('/')) {
+        const parts = splitAtSlashes(rest.slice(1));
+        if (parts.length !== 3) {
+            throw new PlaceholderError(`Invalid placeholder "\${${body}}": expected \${${name}/regex/replacement/flags}`);
+        }
+        const [source, replacement, flags] = parts;
+        let regex;
+        try {
+            regex = new RegExp(source, flags);
+        } catch (e) {
+            throw new PlaceholderError(`Invalid regular expression in "\${${body}}": ${e.message}`);
+        }
+        return value.replace(regex, replacement.replace(/\\\//g, '/'));
+    }
+
+    throw new PlaceholderError(`Invalid placeholder "\${${body}}"`);
+}
+
+/**
+ * Expands the placeholders of a target path with the groups of a sourceRegexp match
+ * and built-in variables. See the module documentation for the syntax.
+ *
+ * @param {string} template - The target path
+ * @param {RegExpMatchArray} match - The sourceRegexp match
+ * @param {function(string): (string|undefined)} [resolveVariable] - Looks up variables,
+ *     usually from createVariableResolver
+ * @param {function(string): string} [escapeValue] - Applied to each expansion, for
+ *     templates in another syntax such as regular expressions
+ * @returns {string} - The target path with every placeholder expanded
+ * @throws {PlaceholderError} - If a placeholder is malformed or unterminated, or names
+ *     neither a group of the match nor a variable
+ */
+function expandPlaceholders(template, match, resolveVariable, escapeValue) {
+    let result = '';
+    let index = 0;
+    while (index < template.length) {
+        const start = template.indexOf('${', index);
+        if (start === -1) {
+            result += template.slice(index);
+            break;
+        }
+        result += template.slice(index, start);
+
+        const end = findPlaceholderEnd(template, start + 2);
+        if (end === -1) {
+            throw new PlaceholderError(`Unterminated placeholder "${template.slice(start)}"`);
+        }
+        const body = template.slice(start + 2, end);
+        const name = getPlaceholderName(body);
+        if (!isKnownName(match, name, resolveVariable)) {
+            throw new PlaceholderError(`Unknown placeholder "\${${name}}": it is neither a capture group nor a variable`);
+        }
+        const value = expandPlaceholder(body, match, resolveVariable);
+        result += escapeValue ? escapeValue(value) : value;
+        index = end + 1;
+    }
+    return result;
+}
+
+/**
+ * Lists the placeholders of a target path, for checking them without a match.
+ *
+ * @param {string} template - The target path
+ * @returns {Array<{start: number, end: number, name: string}>} - Each placeholder's
+ *     offsets (end is just past its '}') and the group or variable it names
+ * @throws {PlaceholderError} - If a placeholder is malformed or unterminated
+ */
+function getPlaceholders(template) {
+    const placeholders = [];
+    let index = 0;
+    while (index < template.length) {
+        const start = template.indexOf('${', index);
+        if (start === -1) {
+            break;
+        }
+        const end = findPlaceholderEnd(template, start + 2);
+        if (end === -1) {
+            throw new PlaceholderError(`Unterminated placeholder "${template.slice(start)}"`);
+        }
+        const body = template.slice(start + 2, end);
+        // Expanding an empty value checks transforms and replacements too
+        expandPlaceholder(body, [], () => '');
+        placeholders.push({ start, end: end + 1, name: getPlaceholderName(body) });
+        index = end + 1;
+    }
+    return placeholders;
+}
+
+/**
+ * Creates the variable lookup for expanding the target paths of one file. Supports
+ * the VS Code variables workspaceFolder, workspaceFolderBasename, fileBasename,
+ * fileBasenameNoExtension, fileExtname and relativeFileDirname, plus env:VAR for
+ * environment variables and config:some.setting for settings of the file's folder.
+ *
+ * @param {vscode.Uri} fileUri - The file whose related files are searched for
+ * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder containing it
+ * @param {object} [vscodeMock] - Optional vscode module for testing
+ * @returns {function(string): (string|undefined)} - Gets a variable's value, or undefined
+ *     if it is unknown or unset
+ */
+function createVariableResolver(fileUri, workspaceFolder, vscodeMock) {
+    const vs = vscodeMock || vscode;
+    const workspaceRoot = workspaceFolder.uri.fsPath;
+    const fileBasename = path.basename(fileUri.fsPath);
+    const fileExtname = path.extname(fileBasename);
+    const relativeFileDirname = path.dirname(path.relative(workspaceRoot, fileUri.fsPath)).replace(/\\/g, '/');
+    const values = {
+        workspaceFolder: workspaceRoot,
+        workspaceFolderBasename: path.basename(workspaceRoot),
+        fileBasename,
+        fileBasenameNoExtension: fileBasename.slice(0, fileBasename.length - fileExtname.length),
+        fileExtname,
+        // Files at the root of the workspace folder have no directory rather than '.'
+        relativeFileDirname: relativeFileDirname === '.' ? '' : relativeFileDirname
+    };
+
+    return name => {
+        if (name.startsWith('env:')) {
+            return process.env[name.slice('env:'.length)];
+        }
+        if (name.startsWith('config:')) {
+            const setting = name.slice('config:'.length);
+            const value = vs.workspace.getConfiguration(undefined, workspaceFolder.uri).get(setting);
+            if (value !== null && typeof value === 'object') {
+                throw new PlaceholderError(`Setting "${setting}" used in "\${${name}}" is not a string, number or boolean`);
+            }
+            return value === undefined || value === null ? undefined : String(value);
+        }
+        return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+    };
+}
+
+module.exports = {
+    expandPlaceholders,
+    getPlaceholders,
+    createVariableResolver,
+    splitWords,
+    PlaceholderError,
+    CASE_TRANSFORMS,
+    VARIABLE_NAMES
+};
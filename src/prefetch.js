@@ -0,0 +1,124 @@
+/**
+ * Computes the related files of the active editor in the background, so the next
+ * command finds them ready.
+ *
+ * There is one prefetched result at a time, for the file last scheduled. It is only
+ * used while nothing changed since it started: invalidate bumps a generation on any
+ * file system or configuration change, which drops the result and cancels the search.
+ *
+ * The search itself and its cancellation are passed in, so this doesn't depend on vscode.
+ */
+
+// Delay after the active editor changes before related files are prefetched
+const DEFAULT_PREFETCH_DELAY_MS = 250;
+
+class Prefetcher {
+    /**
+     * @param {object} options
+     * @param {function(*, object): Promise<*>} options.compute - Finds the related files of a
+     *     file, given a cancellation token
+     * @param {function(): {token: object, cancel: function(): void}} options.createCancellation -
+     *     Creates a cancellation source, such as vscode.CancellationTokenSource
+     * @param {function(Error): void} [options.onError] - Called when a prefetch fails
+     * @param {number} [options.delayMs] - How long to wait after a file is scheduled
+     */
+    constructor({ compute, createCancellation, onError = () => {}, delayMs = DEFAULT_PREFETCH_DELAY_MS }) {
+        this.compute = compute;
+        this.createCancellation = createCancellation;
+        this.onError = onError;
+        this.delayMs = delayMs;
+        // { key, generation, promise, cancellation } of the last prefetch started
+        this.prefetched = null;
+        this.timer = null;
+        this.generation = 0;
+    }
+
+    /**
+     * Drops the prefetched result and cancels it if it is still running. The next
+     * command computes it again.
+     */
+    invalidate() {
+        this.generation++;
+        this.cancelPrefetched();
+    }
+
+    cancelPrefetched() {
+        if (this.prefetched) {
+            this.prefetched.cancellation.cancel();
+            this.prefetched = null;
+        }
+    }
+
+    /**
+     * Prefetches the related files of a file after a short delay. A newer call replaces
+     * a pending one and cancels a prefetch that is still running for a different file.
+     * @param {string} key - Identifies the file, such as its URI string
+     * @param {*} file - The file, as compute takes it
+     */
+    schedule(key, file) {
+        this.cancelScheduled();
+        if (this.isCurrent(this.prefetched, key)) {
+            return;
+        }
+        this.cancelPrefetched();
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const cancellation = this.createCancellation();
+            const promise = this.compute(file, cancellation.token).catch(e => {
+                this.onError(e);
+                return undefined;
+            });
+            this.prefetched = { key, generation: this.generation, promise, cancellation };
+        }, this.delayMs);
+    }
+
+    /**
+     * Stops a prefetch that is scheduled but hasn't started.
+     */
+    cancelScheduled() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    isCurrent(prefetched, key) {
+        return Boolean(prefetched) && prefetched.key === key && prefetched.generation === this.generation;
+    }
+
+    /**
+     * Gets the prefetched result for a file, waiting for it if it is still running.
+     * @param {string} key - Identifies the file
+     * @param {object} [token] - A cancellation token; cancelling it cancels the prefetch
+     * @returns {Promise<*>} - The result, or undefined if there is none for the file, it
+     *     was cancelled or failed, or something changed while it ran
+     */
+    async get(key, token) {
+        const prefetched = this.prefetched;
+        if (!this.isCurrent(prefetched, key)) {
+            return undefined;
+        }
+        const listener = token ? token.onCancellationRequested(() => prefetched.cancellation.cancel()) : null;
+        let result;
+        try {
+            result = await prefetched.promise;
+        } finally {
+            if (listener) {
+                listener.dispose();
+            }
+        }
+        if (prefetched.generation !== this.generation || prefetched.cancellation.token.isCancellationRequested) {
+            return undefined;
+        }
+        return result;
+    }
+
+    dispose() {
+        this.cancelScheduled();
+        this.invalidate();
+    }
+}
+
+module.exports = {
+    Prefetcher,
+    DEFAULT_PREFETCH_DELAY_MS
+};
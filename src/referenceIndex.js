@@ -0,0 +1,263 @@
+const path = require('path');
+const { matchesAnyGlob } = require('./findFilesWithGlob');
+const { readFileHead, resolveContentPath } = require('./contentMatcher');
+const { createLimiter, DEFAULT_CONCURRENCY } = require('./concurrency');
+
+// Get vscode module - allows for dependency injection during testing
+let vscode;
+try {
+    vscode = require('vscode');
+} catch (e) {
+    // vscode not available (running tests outside VS Code)
+    vscode = null;
+}
+
+/**
+ * An index of which files include or import which, for the "Included by" section of
+ * the related files list.
+ *
+ * The first query for a workspace folder reads the start of every file matching the
+ * files globs (from the FileIndex) and records the include and import statements
+ * found by REFERENCE_PATTERNS. A referenced path is resolved like the C preprocessor
+ * and module bundlers do: next to the referencing file, then from the workspace root,
+ * trying RESOLVE_EXTENSIONS and index files for extensionless imports. Only references
+ * to files that exist are kept. The owner keeps the index current by calling
+ * onFileChanged and onFileDeleted.
+ */
+
+// Include and import statements. The first group is the referenced path.
+const REFERENCE_PATTERNS = [
+    // C, C++, Objective-C: #include "foo/bar.h", #import <foo/bar.h>
+    /^[ \t]*#[ \t]*(?:include|import)[ \t]*["<]([^">\r\n]+)[">]/gm,
+    // JavaScript, TypeScript, Mojo, protobuf: import x from './y', import './y', import "foo.proto"
+    /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?["']([^"'\r\n]+)["']/g,
+    // JavaScript and TypeScript re-exports: export { x } from './y'
+    /\bexport\s+[\w*{}\s,$]+\s+from\s+["']([^"'\r\n]+)["']/g,
+    // CommonJS and dynamic imports: require('./y'), import('./y')
+    /\b(?:require|import)\s*\(\s*["']([^"'\r\n]+)["']\s*\)/g
+];
+
+// Extensions tried for references without one, as in import x from './y'
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.d.ts', '.js', '.jsx', '.mjs', '.cjs', '.json'];
+
+// Files whose references are indexed unless relatedsources.reverseIncludesFiles says otherwise
+const DEFAULT_REFERENCING_FILES = ['*.{c,cc,cpp,cxx,h,hh,hpp,hxx,m,mm,idl,mojom,proto,js,jsx,mjs,cjs,ts,tsx}'];
+
+/**
+ * Finds the paths a file's text includes or imports.
+ *
+ * @param {string} text - The start of the file
+ * @returns {string[]} - The referenced paths as written, without duplicates
+ */
+function extractReferences(text) {
+    const references = new Set();
+    for (const pattern of REFERENCE_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            references.add(match[1].trim());
+        }
+    }
+    references.delete('');
+    return Array.from(references);
+}
+
+/**
+ * Resolves a referenced path to an existing file.
+ *
+ * @param {string} reference - A path from extractReferences
+ * @param {string} relPath - The workspace relative path of the referencing file
+ * @param {Set<string>} files - The workspace relative paths of all files
+ * @returns {string|undefined} - The workspace relative path of the referenced file, if it exists
+ */
+function resolveReference(reference, relPath, files) {
+    for (const candidate of resolveContentPath(reference, relPath)) {
+        if (files.has(candidate)) {
+            return candidate;
+        }
+        for (const extension of RESOLVE_EXTENSIONS) {
+            if (files.has(candidate + extension)) {
+                return candidate + extension;
+            }
+        }
+        for (const extension of RESOLVE_EXTENSIONS) {
+            if (files.has(`${candidate}/index${extension}`)) {
+                return `${candidate}/index${extension}`;
+            }
+        }
+    }
+    return undefined;
+}
+
+class ReferenceIndex {
+    /**
+     * @param {FileIndex} fileIndex - Lists the files of each workspace folder
+     * @param {function(...*): void} [log] - Logs how long indexing took, such as the
+     *     extension's log; nothing is logged without it
+     * @param {object} [vscodeMock] - Optional vscode module for testing
+     */
+    constructor(fileIndex, log = () => {}, vscodeMock) {
+        this.log = log;
+        this.vs = vscodeMock || vscode;
+        this.fileIndex = fileIndex;
+        this.limit = createLimiter(DEFAULT_CONCURRENCY);
+        // Index state keyed by workspace folder URI: { workspaceFolder, options, promise, ready,
+        // references: Map<string, Set<string>> from file to the files it references,
+        // referencedBy: Map<string, Set<string>> from file to the files referencing it }
+        this.folders = new Map();
+    }
+
+    /**
+     * Gets the files that include or import a file.
+     *
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder of the file
+     * @param {string} relPath - The file's workspace relative path
+     * @param {object} options
+     * @param {string[]} options.files - Globs of the files whose references are indexed
+     * @param {number} options.maxBytes - How much of each file to read
+     * @returns {Promise<string[]>} - Workspace relative paths of the referencing files, sorted
+     */
+    async getReferencingFiles(workspaceFolder, relPath, options) {
+        const entry = this.getEntry(workspaceFolder, options);
+        await entry.promise;
+        return Array.from(entry.referencedBy.get(relPath) || []).sort();
+    }
+
+    /**
+     * Checks whether a workspace folder's index is being built, so callers can say why
+     * they are waiting.
+     * @param {vscode.WorkspaceFolder} workspaceFolder - The workspace folder
+     * @returns {boolean} - True until the first build of the folder's index finishes
+     */
+    isBuilding(workspaceFolder) {
+        const entry = this.folders.get(workspaceFolder.uri.toString());
+        return Boolean(entry && !entry.ready);
+    }
+
+    getEntry(workspaceFolder, options) {
+        const key = workspaceFolder.uri.toString();
+        let entry = this.folders.get(key);
+        // Different settings mean a different index
+        if (entry && JSON.stringify(entry.options) !== JSON.stringify(options)) {
+            entry = null;
+        }
+        if (!entry) {
+            entry = { workspaceFolder, options, ready: false, references: new Map(), referencedBy: new Map() };
+            entry.promise = this.build(entry).then(() => {
+                entry.ready = true;
+            }, e => {
+                console.error('[RelatedSources] failed to index includes of', workspaceFolder.uri.fsPath, e);
+                if (this.folders.get(key) === entry) {
+                    this.folders.delete(key);
+                }
+            });
+            this.folders.set(key, entry);
+        }
+        return entry;
+    }
+
+    async build(entry) {
+        const startTime = Date.now();
+        const files = await this.fileIndex.getFileSet(entry.workspaceFolder);
+        const relPaths = Array.from(files).filter(relPath => this.isIndexed(entry, relPath));
+        await Promise.all(relPaths.map(relPath => this.indexFile(entry, relPath, files)));
+        this.log(`Indexed includes of ${relPaths.length} files in ${entry.workspaceFolder.uri.fsPath} in ${Date.now() - startTime}ms`);
+    }
+
+    isIndexed(entry, relPath) {
+        return matchesAnyGlob(relPath, entry.options.files);
+    }
+
+    /**
+     * Reads a file and records what it references, replacing what it referenced before.
+     * @param {object} entry - The index state of the file's workspace folder
+     * @param {string} relPath - The file's workspace relative path
+     * @param {Set<string>} files - The workspace relative paths of all files
+     */
+    async indexFile(entry, relPath, files) {
+        const uri = this.vs.Uri.joinPath(entry.workspaceFolder.uri, relPath);
+        const text = await this.limit(() => readFileHead(uri, entry.options.maxBytes, this.vs));
+
+        const referenced = new Set();
+        for (const reference of text ? extractReferences(text) : []) {
+            const resolved = resolveReference(reference, relPath, files);
+            if (resolved && resolved !== relPath) {
+                referenced.add(resolved);
+            }
+        }
+        this.removeFile(entry, relPath);
+        entry.references.set(relPath, referenced);
+        for (const target of referenced) {
+            if (!entry.referencedBy.has(target)) {
+                entry.referencedBy.set(target, new Set());
+            }
+            entry.referencedBy.get(target).add(relPath);
+        }
+    }
+
+    removeFile(entry, relPath) {
+        for (const target of entry.references.get(relPath) || []) {
+            const referencing = entry.referencedBy.get(target);
+            referencing.delete(relPath);
+            if (referencing.size === 0) {
+                entry.referencedBy.delete(target);
+            }
+        }
+        entry.references.delete(relPath);
+    }
+
+    findEntry(uri) {
+        const workspaceFolder = this.vs.workspace.getWorkspaceFolder(uri);
+        const entry = workspaceFolder && this.folders.get(workspaceFolder.uri.toString());
+        if (!entry) {
+            return {};
+        }
+        return { entry, relPath: path.relative(workspaceFolder.uri.fsPath, uri.fsPath).replace(/\\/g, '/') };
+    }
+
+    /**
+     * Indexes a created or changed file again, once the index is built.
+     * @param {vscode.Uri} uri - The created or changed file
+     */
+    async onFileChanged(uri) {
+        const { entry, relPath } = this.findEntry(uri);
+        if (entry && this.isIndexed(entry, relPath)) {
+            await entry.promise;
+            await this.indexFile(entry, relPath, await this.fileIndex.getFileSet(entry.workspaceFolder));
+        }
+    }
+
+    /**
+     * Forgets what a deleted file, or every file below a deleted directory, referenced.
+     * Files referencing them keep their entries until they change, and they can't be
+     * looked up anyway.
+     * @param {vscode.Uri} uri - The deleted file or directory
+     */
+    async onFileDeleted(uri) {
+        const { entry, relPath } = this.findEntry(uri);
+        if (!entry) {
+            return;
+        }
+        await entry.promise;
+        if (entry.references.has(relPath)) {
+            this.removeFile(entry, relPath);
+            return;
+        }
+        // Not an indexed file, so possibly a directory
+        const prefix = relPath + '/';
+        for (const file of Array.from(entry.references.keys())) {
+            if (file.startsWith(prefix)) {
+                this.removeFile(entry, file);
+            }
+        }
+    }
+
+    clear() {
+        this.folders.clear();
+    }
+}
+
+module.exports = {
+    ReferenceIndex,
+    extractReferences,
+    resolveReference,
+    DEFAULT_REFERENCING_FILES
+};
@@ -0,0 +1,169 @@
+const { parseTree, findNode, JsonSyntaxError } = require('./jsonTree');
+const { validateMatchers } = require('./matcherValidation');
+
+// Get vscode module - allows for dependency injection during testing
+let vscode;
+try {
+    vscode = require('vscode');
+} catch (e) {
+    // vscode not available (running tests outside VS Code)
+    vscode = null;
+}
+
+/**
+ * Shows the problems validateMatchers finds in the relatedsources.matchers setting
+ * of open settings.json and .code-workspace files as diagnostics, and offers their
+ * fixes as quick fixes.
+ *
+ * Documents are checked when they are opened and as they change. While a document
+ * isn't valid JSON its previous diagnostics stay, as they would be back once it is.
+ */
+
+// Property holding the matchers in settings.json, and in the settings of .code-workspace files
+const MATCHERS_SETTING = 'relatedsources.matchers';
+
+// Shown as the source of every diagnostic
+const DIAGNOSTIC_SOURCE = 'Related Sources';
+
+class SettingsDiagnostics {
+    /**
+     * @param {object} [vscodeMock] - Optional vscode module for testing
+     */
+    constructor(vscodeMock) {
+        this.vs = vscodeMock || vscode;
+        this.collection = this.vs.languages.createDiagnosticCollection('relatedsources');
+        // Problems with a fix, by document URI: Array<{range, message, fix: {title, range, newText}}>
+        this.fixes = new Map();
+
+        this.disposables = [
+            this.collection,
+            this.vs.workspace.onDidOpenTextDocument(document => this.validate(document)),
+            this.vs.workspace.onDidChangeTextDocument(e => this.validate(e.document)),
+            this.vs.workspace.onDidCloseTextDocument(document => {
+                this.collection.delete(document.uri);
+                this.fixes.delete(document.uri.toString());
+            }),
+            this.vs.languages.registerCodeActionsProvider(
+                [{ language: 'json' }, { language: 'jsonc' }],
+                this,
+                { providedCodeActionKinds: [this.vs.CodeActionKind.QuickFix] }
+            )
+        ];
+        for (const document of this.vs.workspace.textDocuments) {
+            this.validate(document);
+        }
+    }
+
+    /**
+     * Checks whether a document is a settings file whose matchers are checked.
+     * @param {vscode.TextDocument} document - The document
+     * @returns {boolean} - True for settings.json and .code-workspace files
+     */
+    isSettingsDocument(document) {
+        return /(?:^|\/)settings\.json$|\.code-workspace$/i.test(document.uri.path);
+    }
+
+    /**
+     * Checks the matchers of a settings document and updates its diagnostics.
+     * @param {vscode.TextDocument} document - The document
+     */
+    validate(document) {
+        if (!this.isSettingsDocument(document)) {
+            return;
+        }
+
+        let root;
+        try {
+            root = parseTree(document.getText());
+        } catch (e) {
+            if (e instanceof JsonSyntaxError) {
+                return;
+            }
+            throw e;
+        }
+
+        const basePath = /\.code-workspace$/i.test(document.uri.path) ? ['settings', MATCHERS_SETTING] : [MATCHERS_SETTING];
+        const matchersNode = findNode(root, basePath);
+        const diagnostics = [];
+        const fixes = [];
+        if (matchersNode) {
+            for (const problem of validateMatchers(matchersNode.value)) {
+                const node = findNode(matchersNode, problem.path) || matchersNode;
+                const range = this.toRange(document, node.offset, node.offset + node.length);
+                const severity = problem.severity === 'warning' ? this.vs.DiagnosticSeverity.Warning : this.vs.DiagnosticSeverity.Error;
+                const diagnostic = new this.vs.Diagnostic(range, problem.message, severity);
+                diagnostic.source = DIAGNOSTIC_SOURCE;
+                diagnostics.push(diagnostic);
+
+                if (problem.fix) {
+                    const edit = problem.fix.remove
+                        ? this.getRemoval(document, matchersNode, problem.path[0])
+                        : { range, newText: JSON.stringify(problem.fix.value) };
+                    fixes.push({ range, message: problem.message, fix: { title: problem.fix.title, ...edit } });
+                }
+            }
+        }
+        this.collection.set(document.uri, diagnostics);
+        this.fixes.set(document.uri.toString(), fixes);
+    }
+
+    toRange(document, start, end) {
+        return new this.vs.Range(document.positionAt(start), document.positionAt(end));
+    }
+
+    /**
+     * Gets the edit removing a matcher, with the comma separating it from its neighbour.
+     */
+    getRemoval(document, matchersNode, index) {
+        const items = matchersNode.items;
+        const item = items[index];
+        let start = item.offset;
+        let end = item.offset + item.length;
+        if (index + 1 < items.length) {
+            end = items[index + 1].offset;
+        } else if (index > 0) {
+            start = items[index - 1].offset + items[index - 1].length;
+        }
+        return { range: this.toRange(document, start, end), newText: '' };
+    }
+
+    /**
+     * Offers the fixes of the diagnostics in a range.
+     * @param {vscode.TextDocument} document - The document
+     * @param {vscode.Range} range - The range code actions are asked for
+     * @param {vscode.CodeActionContext} context - Holds the diagnostics in the range
+     * @returns {vscode.CodeAction[]} - The quick fixes
+     */
+    provideCodeActions(document, range, context) {
+        const fixes = this.fixes.get(document.uri.toString()) || [];
+        const actions = [];
+        for (const diagnostic of context.diagnostics) {
+            if (diagnostic.source !== DIAGNOSTIC_SOURCE) {
+                continue;
+            }
+            const match = fixes.find(({ range: fixRange, message }) => message === diagnostic.message && fixRange.isEqual(diagnostic.range));
+            if (!match) {
+                continue;
+            }
+            const action = new this.vs.CodeAction(match.fix.title, this.vs.CodeActionKind.QuickFix);
+            action.edit = new this.vs.WorkspaceEdit();
+            action.edit.replace(document.uri, match.fix.range, match.fix.newText);
+            action.diagnostics = [diagnostic];
+            action.isPreferred = true;
+            actions.push(action);
+        }
+        return actions;
+    }
+
+    dispose() {
+        for (const disposable of this.disposables) {
+            disposable.dispose();
+        }
+        this.disposables = [];
+        this.fixes.clear();
+    }
+}
+
+module.exports = {
+    SettingsDiagnostics
+};
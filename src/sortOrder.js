@@ -0,0 +1,164 @@
+const path = require('path');
+
+/**
+ * Orders the related files of a file, which is the order F4 and Shift+F4 step
+ * through them and the order the related files list shows them in.
+ *
+ * The relatedsources.sortOrder setting picks one of SORT_ORDERS. Every order other
+ * than alphabetical ranks the files by something else first and falls back to
+ * alphabetical order for files of equal rank, so the order never depends on timing.
+ *
+ * Some orders rank the files against the current file, so each file of a group would
+ * sort the group differently. keepCycleOrder keeps the order the group had when F4
+ * first entered it, so stepping through the group reaches every file.
+ */
+
+const SORT_ORDERS = ['alphabetical', 'matcherOrder', 'extensionPriority', 'directoryDistance', 'mostRecentlyUsed'];
+
+const DEFAULT_SORT_ORDER = 'alphabetical';
+
+/**
+ * Orders workspace relative paths alphabetically, ignoring case and accents.
+ * @param {string} a - A workspace relative path
+ * @param {string} b - A workspace relative path
+ * @returns {number} - Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareRelativePaths(a, b) {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Counts the directory levels between two directories: up from the first to the
+ * directory they share, then down to the second.
+ * @param {string} from - A workspace relative directory, '.' for the root
+ * @param {string} to - A workspace relative directory, '.' for the root
+ * @returns {number} - 0 for the same directory
+ */
+function getDirectoryDistance(from, to) {
+    const fromParts = from === '.' ? [] : from.split('/');
+    const toParts = to === '.' ? [] : to.split('/');
+    let shared = 0;
+    while (shared < fromParts.length && shared < toParts.length && fromParts[shared] === toParts[shared]) {
+        shared++;
+    }
+    return (fromParts.length - shared) + (toParts.length - shared);
+}
+
+/**
+ * Gets the position of a path's ending in an extension priority list. When several
+ * entries match, as ".cc" and "_unittest.cc" both do for foo_unittest.cc, the
+ * longest wins.
+ * @param {string} relPath - A workspace relative path
+ * @param {string[]} priorities - Endings such as ".h", ".cc" and "_unittest.cc"
+ * @param {boolean} caseSensitive - Whether endings must match case
+ * @returns {number} - The index of the matching ending, or priorities.length for none
+ */
+function getExtensionRank(relPath, priorities, caseSensitive) {
+    const name = caseSensitive ? relPath : relPath.toLowerCase();
+    let rank = priorities.length;
+    let longest = 0;
+    priorities.forEach((ending, i) => {
+        if (typeof ending !== 'string' || ending.length <= longest) {
+            return;
+        }
+        if (name.endsWith(caseSensitive ? ending : ending.toLowerCase())) {
+            rank = i;
+            longest = ending.length;
+        }
+    });
+    return rank;
+}
+
+/**
+ * Sorts the related files of a file.
+ *
+ * @param {string[]} relPaths - Workspace relative paths of the related files,
+ *     including the current file
+ * @param {object} options
+ * @param {string} [options.sortOrder] - One of SORT_ORDERS; unknown values sort alphabetically
+ * @param {string} options.currentPath - Workspace relative path of the current file
+ * @param {Map<string, number>} [options.matcherIndexes] - For matcherOrder: the position
+ *     of the first matcher that found each file
+ * @param {string[]} [options.extensionPriority] - For extensionPriority: file endings
+ *     in the order their files come in
+ * @param {Map<string, number>} [options.lastUsed] - For mostRecentlyUsed: when each
+ *     file was last active, larger being more recent
+ * @param {boolean} [options.caseSensitive] - Whether extensionPriority endings match case
+ * @returns {string[]} - The paths in order, as a new array
+ */
+function sortRelatedFiles(relPaths, {
+    sortOrder = DEFAULT_SORT_ORDER,
+    currentPath,
+    matcherIndexes = new Map(),
+    extensionPriority = [],
+    lastUsed = new Map(),
+    caseSensitive = true
+}) {
+    let getRank;
+    switch (sortOrder) {
+    case 'matcherOrder':
+        // The current file comes first, so F4 opens what the first matcher found
+        getRank = relPath => relPath === currentPath ? -1 : (matcherIndexes.has(relPath) ? matcherIndexes.get(relPath) : Infinity);
+        break;
+
+    case 'extensionPriority': {
+        const priorities = Array.isArray(extensionPriority) ? extensionPriority : [];
+        getRank = relPath => getExtensionRank(relPath, priorities, caseSensitive);
+        break;
+    }
+
+    case 'directoryDistance': {
+        const currentDir = path.posix.dirname(currentPath);
+        getRank = relPath => getDirectoryDistance(currentDir, path.posix.dirname(relPath));
+        break;
+    }
+
+    case 'mostRecentlyUsed':
+        // The current file comes first, so F4 opens the file used before it
+        getRank = relPath => relPath === currentPath ? -Infinity : (lastUsed.has(relPath) ? -lastUsed.get(relPath) : Infinity);
+        break;
+
+    default:
+        return relPaths.slice().sort(compareRelativePaths);
+    }
+
+    const ranks = new Map(relPaths.map(relPath => [relPath, getRank(relPath)]));
+    return relPaths.slice().sort((a, b) => {
+        const rankA = ranks.get(a);
+        const rankB = ranks.get(b);
+        if (rankA !== rankB) {
+            return rankA < rankB ? -1 : 1;
+        }
+        return compareRelativePaths(a, b);
+    });
+}
+
+/**
+ * Keeps the order of a group of related files while stepping through it.
+ *
+ * When the current file is in the previous order, that order is kept: the files it
+ * has, in its order, then files new to the group in the order they were sorted in.
+ * Otherwise the current file starts a new group and the sorted order is used.
+ *
+ * @param {string[]} sorted - The related files of the current file from sortRelatedFiles
+ * @param {string} currentPath - Workspace relative path of the current file
+ * @param {string[]} [previousOrder] - What this returned for the previous file
+ * @returns {string[]} - The paths in order, as a new array
+ */
+function keepCycleOrder(sorted, currentPath, previousOrder) {
+    if (!previousOrder || !previousOrder.includes(currentPath)) {
+        return sorted.slice();
+    }
+    const kept = previousOrder.filter(relPath => sorted.includes(relPath));
+    return kept.concat(sorted.filter(relPath => !kept.includes(relPath)));
+}
+
+module.exports = {
+    sortRelatedFiles,
+    keepCycleOrder,
+    compareRelativePaths,
+    getDirectoryDistance,
+    getExtensionRank,
+    SORT_ORDERS,
+    DEFAULT_SORT_ORDER
+};
@@ -0,0 +1,91 @@
+const { isTransitive, isInCycle } = require('./matchers');
+
+/**
+ * Follows related files transitively: the related files of the current file, then
+ * theirs, and so on, the way the next/previous cycle and the related files list
+ * see them.
+ *
+ * Files are opaque here. The caller looks up the files directly related to a file
+ * and says which files are the same, so the search doesn't depend on vscode.
+ */
+
+/**
+ * Finds the files transitively related to a file.
+ *
+ * Breadth-first, one level at a time: the files of a level are looked up
+ * concurrently and their results merged in order, so the result is deterministic.
+ *
+ * @param {*} fileUri - The current file
+ * @param {object} options
+ * @param {function(*, number, ?{result: object, matcher: object}): Promise<Array<{uri: *, matcher: object, matcherIndex: number}>>} options.getRelated -
+ *     Looks up the files directly related to a file, given how many hops from the
+ *     current file and through what it was found, with the matcher that found each
+ *     and its position in the matcher list. The files of a level are looked up in order.
+ * @param {function(*): string} options.toKey - Maps a file to a key that is equal for
+ *     the same file
+ * @param {number} [options.maxDepth] - How many hops to make from the current file,
+ *     0 for no limit
+ * @param {function(): boolean} [options.isCancelled] - Stops the search before the next
+ *     level once it returns true
+ * @returns {Promise<Array<{uri: *, matchers: object[], matcherIndex: number, inCycle: boolean,
+ *     depth: number, via: ?{result: object, matcher: object}}>>} - Every file found, the
+ *     current file first, with the matchers that found it, the position of the first,
+ *     whether it is reached through matchers in the next/previous cycle only, how many
+ *     hops away it was first found, and the result and matcher it was first found through
+ */
+async function findTransitiveRelatedFiles(fileUri, { getRelated, toKey, maxDepth = 0, isCancelled = () => false }) {
+    // Discovered files by key, to avoid duplicates and cycles and to build the result
+    const resultMap = new Map();
+    resultMap.set(toKey(fileUri), { uri: fileUri, matchers: [], matcherIndex: Infinity, inCycle: true, depth: 0, via: null });
+    // Files discovered in the previous round, whose related files are found next
+    let level = [resultMap.get(toKey(fileUri))];
+    // Files whose related files have been or will be found, and whether they were in the
+    // cycle then. Files found only by matchers that aren't transitive are in resultMap
+    // but not here. A file found outside the cycle first is searched again once it
+    // turns out to be in it, so what it leads to is in the cycle too.
+    const expandedKeys = new Map([[toKey(fileUri), true]]);
+
+    for (let depth = 0; level.length > 0 && !(maxDepth > 0 && depth >= maxDepth) && !isCancelled(); depth++) {
+        const relatedLists = await Promise.all(level.map(({ uri, via }) => getRelated(uri, depth, via)));
+
+        const previousLevel = level;
+        const nextLevel = new Set();
+        relatedLists.forEach((related, i) => {
+            const parent = previousLevel[i];
+            const parentKey = toKey(parent.uri);
+            for (const { uri: relatedUri, matcher, matcherIndex } of related) {
+                const relatedKey = toKey(relatedUri);
+                // A matcher finding the file it was applied to says nothing about it
+                if (relatedKey === parentKey) {
+                    continue;
+                }
+                if (!resultMap.has(relatedKey)) {
+                    resultMap.set(relatedKey, { uri: relatedUri, matchers: [], matcherIndex, inCycle: false, depth: depth + 1, via: { result: parent, matcher } });
+                }
+                const result = resultMap.get(relatedKey);
+                if (!result.matchers.includes(matcher)) {
+                    result.matchers.push(matcher);
+                }
+                result.matcherIndex = Math.min(result.matcherIndex, matcherIndex);
+                if (parent.inCycle && isInCycle(matcher)) {
+                    result.inCycle = true;
+                }
+                // Add to the next level if not already discovered by a transitive matcher,
+                // or only outside the cycle
+                if (isTransitive(matcher) && (!expandedKeys.has(relatedKey) || (result.inCycle && !expandedKeys.get(relatedKey)))) {
+                    nextLevel.add(result);
+                }
+            }
+        });
+        level = Array.from(nextLevel);
+        for (const result of level) {
+            expandedKeys.set(toKey(result.uri), result.inCycle);
+        }
+    }
+
+    return Array.from(resultMap.values());
+}
+
+module.exports = {
+    findTransitiveRelatedFiles
+};
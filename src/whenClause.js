@@ -0,0 +1,279 @@
+/**
+ * Conditions for the `when` property of matchers, in the style of VS Code when clauses.
+ *
+ * SUPPORTED SYNTAX:
+ *   languageId == idl        - Compare a context key with a value (== or !=). Values are
+ *                              bare words or 'quoted strings'
+ *   languageId =~ /^c(pp)?$/ - Match a context key against a regular expression
+ *   isWindows                - A context key on its own is true if it is set and not false
+ *   exists:BUILD.gn          - True if a file matching the glob exists in the workspace
+ *                              folder. Quote globs that contain spaces or parentheses
+ *   !, &&, || and ( )        - Negation, conjunction, disjunction and grouping, with
+ *                              ! binding tighter than && and && tighter than ||
+ *
+ * Context keys are listed in CONTEXT_KEYS. Conditions are parsed once with
+ * parseWhenClause and evaluated with evaluateWhenClause, which only checks for
+ * files when the result still depends on them.
+ */
+
+/**
+ * Thrown when a when clause can't be parsed.
+ */
+class WhenClauseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WhenClauseError';
+    }
+}
+
+// Context keys a when clause may use
+const CONTEXT_KEYS = new Set([
+    'languageId',
+    'workspaceFolderName',
+    'platform',
+    'isWindows',
+    'isMac',
+    'isLinux'
+]);
+
+const EXISTS_PREFIX = 'exists:';
+
+/**
+ * Splits a when clause into tokens.
+ *
+ * @param {string} text - The when clause
+ * @returns {Array<{type: string, value: string, flags?: string}>} - The tokens. Types are
+ *     'op' for operators and parentheses, 'word', 'string' and 'regex'.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = quote => {
+        let value = '';
+        i++;
+        while (i < text.length && text[i] !== quote) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                i++;
+            }
+            value += text[i];
+            i++;
+        }
+        if (i >= text.length) {
+            throw new WhenClauseError(`Unterminated string in "${text}"`);
+        }
+        i++;
+        return value;
+    };
+
+    while (i < text.length) {
+        const c = text[i];
+        const two = text.slice(i, i + 2);
+        if (/\s/.test(c)) {
+            i++;
+        } else if (['&&', '||', '==', '!=', '=~'].includes(two)) {
+            tokens.push({ type: 'op', value: two });
+            i += 2;
+        } else if (c === '!' || c === '(' || c === ')') {
+            tokens.push({ type: 'op', value: c });
+            i++;
+        } else if (c === '\'' || c === '"') {
+            tokens.push({ type: 'string', value: readQuoted(c) });
+        } else if (c === '/' && tokens.length > 0 && tokens[tokens.length - 1].value === '=~') {
+            let source = '';
+            i++;
+            while (i < text.length && text[i] !== '/') {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    source += text[i];
+                    i++;
+                }
+                source += text[i];
+                i++;
+            }
+            if (i >= text.length) {
+                throw new WhenClauseError(`Unterminated regular expression in "${text}"`);
+            }
+            i++;
+            const flags = /^[a-z]*/.exec(text.slice(i))[0];
+            i += flags.length;
+            tokens.push({ type: 'regex', value: source, flags });
+        } else {
+            const word = /^[^\s()!=&|'"]+/.exec(text.slice(i));
+            if (!word) {
+                throw new WhenClauseError(`Unexpected "${c}" in "${text}"`);
+            }
+            i += word[0].length;
+            // exists:'some path' keeps the quoted path with the prefix
+            if (word[0] === EXISTS_PREFIX && (text[i] === '\'' || text[i] === '"')) {
+                tokens.push({ type: 'word', value: EXISTS_PREFIX + readQuoted(text[i]) });
+            } else {
+                tokens.push({ type: 'word', value: word[0] });
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a when clause.
+ *
+ * @param {string} text - The when clause
+ * @returns {object} - The parsed condition, for evaluateWhenClause
+ * @throws {WhenClauseError} - If the clause is empty, malformed or uses an unknown key
+ */
+function parseWhenClause(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new WhenClauseError('Expected a non-empty string');
+    }
+
+    const tokens = tokenize(text);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = value => peek() && peek().type === 'op' && peek().value === value;
+
+    function parseOr() {
+        let node = parseAnd();
+        while (isOp('||')) {
+            index++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseUnary();
+        while (isOp('&&')) {
+            index++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp('!')) {
+            index++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (!token) {
+            throw new WhenClauseError(`Unexpected end of "${text}"`);
+        }
+        if (isOp('(')) {
+            index++;
+            const node = parseOr();
+            if (!isOp(')')) {
+                throw new WhenClauseError(`Missing ")" in "${text}"`);
+            }
+            index++;
+            return node;
+        }
+        if (token.type !== 'word') {
+            throw new WhenClauseError(`Unexpected "${token.value}" in "${text}"`);
+        }
+        index++;
+
+        if (token.value.startsWith(EXISTS_PREFIX)) {
+            const pattern = token.value.slice(EXISTS_PREFIX.length);
+            if (!pattern) {
+                throw new WhenClauseError(`Missing file after "${EXISTS_PREFIX}" in "${text}"`);
+            }
+            return { type: 'exists', pattern };
+        }
+
+        const key = token.value;
+        if (!CONTEXT_KEYS.has(key)) {
+            throw new WhenClauseError(`Unknown context key "${key}" in "${text}": expected ${Array.from(CONTEXT_KEYS).join(', ')} or ${EXISTS_PREFIX}`);
+        }
+
+        if (isOp('==') || isOp('!=')) {
+            const operator = tokens[index++].value;
+            const value = peek();
+            if (!value || (value.type !== 'word' && value.type !== 'string')) {
+                throw new WhenClauseError(`Expected a value after "${key} ${operator}" in "${text}"`);
+            }
+            index++;
+            return { type: operator === '==' ? 'equals' : 'notEquals', key, value: value.value };
+        }
+
+        if (isOp('=~')) {
+            index++;
+            const value = peek();
+            if (!value || value.type !== 'regex') {
+                throw new WhenClauseError(`Expected /regex/ after "${key} =~" in "${text}"`);
+            }
+            index++;
+            let regex;
+            try {
+                // A global regex would remember where its last test stopped
+                regex = new RegExp(value.value, value.flags.replace(/[gy]/g, ''));
+            } catch (e) {
+                throw new WhenClauseError(`Invalid regular expression in "${text}": ${e.message}`);
+            }
+            return { type: 'matches', key, regex };
+        }
+
+        return { type: 'key', key };
+    }
+
+    const condition = parseOr();
+    if (index < tokens.length) {
+        throw new WhenClauseError(`Unexpected "${peek().value}" in "${text}"`);
+    }
+    return condition;
+}
+
+/**
+ * Evaluates a parsed when clause.
+ *
+ * @param {object} condition - The result of parseWhenClause
+ * @param {object} context
+ * @param {function(string): (string|boolean|undefined)} context.getValue - Gets a context key's value
+ * @param {function(string): Promise<boolean>} context.exists - Checks whether a file
+ *     matching a glob exists
+ * @returns {Promise<boolean>} - Whether the condition holds
+ */
+async function evaluateWhenClause(condition, context) {
+    switch (condition.type) {
+    case 'or':
+        return (await evaluateWhenClause(condition.left, context)) || evaluateWhenClause(condition.right, context);
+
+    case 'and':
+        return (await evaluateWhenClause(condition.left, context)) && evaluateWhenClause(condition.right, context);
+
+    case 'not':
+        return !(await evaluateWhenClause(condition.operand, context));
+
+    case 'exists':
+        return context.exists(condition.pattern);
+
+    case 'equals':
+        return String(context.getValue(condition.key)) === condition.value;
+
+    case 'notEquals':
+        return String(context.getValue(condition.key)) !== condition.value;
+
+    case 'matches': {
+        const value = context.getValue(condition.key);
+        return value !== undefined && condition.regex.test(String(value));
+    }
+
+    default:
+    case 'key': {
+        const value = context.getValue(condition.key);
+        return value !== undefined && value !== false && value !== '';
+    }
+    }
+}
+
+module.exports = {
+    parseWhenClause,
+    evaluateWhenClause,
+    WhenClauseError,
+    CONTEXT_KEYS
+};
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { deriveReverseMatchers } = require('../../src/bidirectional.js');
+const { expandTargetPath, MatcherError } = require('../../src/matchers.js');
+const { matchesGlob } = require('../../src/findFilesWithGlob.js');
+
+/**
+ * Test suite for deriving the reverse rules of bidirectional matchers.
+ */
+
+/**
+ * Applies a matcher's sourceRegexp and targetPath to a path.
+ */
+function applyMatcher(matcher, relPath) {
+    const match = relPath.match(new RegExp(matcher.sourceRegexp, matcher.flags || ''));
+    return match ? expandTargetPath(matcher.targetPath, match, undefined, '/work') : null;
+}
+
+describe('deriveReverseMatchers', () => {
+    it('should reverse the generated files matcher', () => {
+        const matcher = { name: 'Generated files', sourceRegexp: '^(?<path>.*)\\.[^.]*$', targetPath: 'out/*/gen/${path}.*', bidirectional: true };
+        const [reverse] = deriveReverseMatchers(matcher);
+        assert.strictEqual(reverse.name, 'Generated files (reverse)');
+        assert.strictEqual(reverse.sourceRegexp, '^out/[^/]*/gen/(?<path>.*)\\.[^/]*$');
+        assert.strictEqual(reverse.targetPath, '${path}.*');
+        assert.strictEqual(reverse.derivedFrom, matcher);
+
+        assert.strictEqual(applyMatcher(reverse, 'out/Debug/gen/chrome/foo.pb.h'), 'chrome/foo.pb.*');
+        assert.strictEqual(applyMatcher(reverse, 'chrome/foo.h'), null);
+    });
+
+    it('should derive one reverse rule per target path', () => {
+        const reverses = deriveReverseMatchers({
+            name: 'Suffix files',
+            sourceRegexp: '^(?<path>.*)\\.[^.]*$',
+            targetPaths: ['${path}_base.*', '${path}_impl.*']
+        });
+        assert.deepStrictEqual(reverses.map(reverse => applyMatcher(reverse, 'a/foo_impl.cc')), [null, 'a/foo.*']);
+    });
+
+    it('should name numbered groups and keep flags, when, exclude and transitive but not cycle, visibility or tags', () => {
+        const matcher = {
+            name: 'Tests',
+            sourceRegexp: '^src/(.*)/(\\w+)\\.cc$',
+            targetPath: 'test/${1}/${2}_unittest.cc',
+            flags: 'i',
+            when: 'isLinux',
+            transitive: false,
+            cycle: false,
+            visibility: 'quickPickOnly',
+            exclude: ['*_fuzzer.cc'],
+            tags: ['test']
+        };
+        const [reverse] = deriveReverseMatchers(matcher);
+        assert.strictEqual(reverse.sourceRegexp, '^test/(?<_1>.*)/(?<_2>\\w+)_unittest\\.cc$');
+        assert.strictEqual(reverse.targetPath, 'src/${_1}/${_2}.cc');
+        assert.strictEqual(reverse.flags, 'i');
+        assert.strictEqual(reverse.when, 'isLinux');
+        assert.strictEqual(reverse.transitive, false);
+        assert.deepStrictEqual(reverse.exclude, ['*_fuzzer.cc']);
+        assert.notStrictEqual(reverse.exclude, matcher.exclude);
+        // These describe the test files, and the reverse rule finds the sources
+        assert.strictEqual(reverse.cycle, undefined);
+        assert.strictEqual(reverse.visibility, undefined);
+        assert.strictEqual(reverse.tags, undefined);
+        assert.strictEqual(applyMatcher(reverse, 'TEST/net/Socket_unittest.cc'), 'src/net/Socket.cc');
+    });
+
+    it('should turn globs into regular expressions and back', () => {
+        const [reverse] = deriveReverseMatchers({
+            name: 'Headers',
+            sourceRegexp: '^(?<path>.*)\\.(?:cc|mm)$',
+            targetPath: '{src,include}/**/${path}.h'
+        });
+        assert.strictEqual(reverse.targetPath, '${path}.{cc,mm}');
+        assert.strictEqual(applyMatcher(reverse, 'include/a/b/foo.h'), 'foo.{cc,mm}');
+        assert.ok(matchesGlob('foo.mm', applyMatcher(reverse, 'src/foo.h')));
+
+        const [digits] = deriveReverseMatchers({ name: 'Versions', sourceRegexp: '^v\\d{2}/(?<name>[^/]+)$', targetPath: 'current/${name}' });
+        assert.strictEqual(digits.targetPath, 'v[0-9][0-9]/${name}');
+    });
+
+    it('should use a backreference for a group used twice', () => {
+        const [reverse] = deriveReverseMatchers({ name: 'Twice', sourceRegexp: '^(?<name>\\w+)\\.idl$', targetPath: 'gen/${name}/${name}.h' });
+        assert.strictEqual(reverse.sourceRegexp, '^gen/(?<name>\\w+)/\\k<name>\\.h$');
+        assert.strictEqual(applyMatcher(reverse, 'gen/foo/bar.h'), null);
+        assert.strictEqual(applyMatcher(reverse, 'gen/foo/foo.h'), 'foo.idl');
+    });
+
+    it('should explain why a rule can not be reversed', () => {
+        const cases = [
+            [{ sourceRegexp: '(?<path>.*)\\.h$', targetPath: '${path}.cc' }, /must start with \^ and end with \$/],
+            [{ sourceRegexp: '^(?<path>.*)s?\\.h$', targetPath: '${path}.cc' }, /quantifier "\?" after "s"/],
+            [{ sourceRegexp: '^(?<path>.*)\\.h|x\\.h$', targetPath: '${path}.cc' }, /alternative/],
+            [{ sourceRegexp: '^(?<path>.*)\\.h$', targetPath: '${workspaceFolder}/${path}.cc' }, /\$\{workspaceFolder\}, which is not a group/],
+            [{ sourceRegexp: '^(?<path>.*)\\.h$', targetPath: '${path:/snakecase}.cc' }, /plain \$\{group\}/],
+            [{ sourceRegexp: '^(?<path>.*)\\.h$', targetPath: '{${path},x}.cc' }, /inside braces/],
+            [{ sourceRegexp: '^(?:(?<path>.*)/)?x\\.h$', targetPath: '${path}/x.cc' }, /inside another group/],
+            [{ sourceRegexp: '^(?<path>.*)(?=\\.h)\\.h$', targetPath: '${path}.cc' }, /lookaround/],
+            [{ sourceRegexp: '^(?<path>.*)\\.h$', targetRegexp: '^${path}\\.cc$' }, /targetRegexp can't be reversed/],
+            [{ sourceRegexp: '^.*\\.cc$', contentRegexp: '#include "(.*)"' }, /content matchers/]
+        ];
+        for (const [matcher, reason] of cases) {
+            assert.throws(() => deriveReverseMatchers({ name: 'x', ...matcher }), error => {
+                assert.ok(error instanceof MatcherError);
+                assert.match(error.message, /^bidirectional: can't derive the reverse rule: /);
+                assert.match(error.message, reason);
+                return true;
+            }, JSON.stringify(matcher));
+        }
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createLimiter } = require('../../src/concurrency.js');
+
+/**
+ * Test suite for the limiter used to bound concurrent matchers and directory reads.
+ */
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('createLimiter', () => {
+    it('should resolve with the task result', async () => {
+        const limit = createLimiter(2);
+        assert.strictEqual(await limit(async () => 42), 42);
+        assert.strictEqual(await limit(() => 'sync'), 'sync');
+    });
+
+    it('should reject with the task error', async () => {
+        const limit = createLimiter(2);
+        await assert.rejects(limit(async () => {
+            throw new Error('boom');
+        }), /boom/);
+        // A failed task frees its slot
+        assert.strictEqual(await limit(async () => 1), 1);
+    });
+
+    it('should never run more than maxConcurrent tasks at once', async () => {
+        const limit = createLimiter(3);
+        let running = 0;
+        let maxRunning = 0;
+        const tasks = Array.from({ length: 10 }, (_, i) => limit(async () => {
+            running++;
+            maxRunning = Math.max(maxRunning, running);
+            await delay(5 + (i % 3));
+            running--;
+            return i;
+        }));
+        const results = await Promise.all(tasks);
+        assert.deepStrictEqual(results, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        assert.strictEqual(maxRunning, 3);
+    });
+
+    it('should start queued tasks in order', async () => {
+        const limit = createLimiter(1);
+        const started = [];
+        await Promise.all([1, 2, 3].map(n => limit(async () => {
+            started.push(n);
+            await delay(1);
+        })));
+        assert.deepStrictEqual(started, [1, 2, 3]);
+    });
+
+    it('should allow at least one task at a time', async () => {
+        const limit = createLimiter(0);
+        assert.strictEqual(await limit(async () => 'ran'), 'ran');
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readFileHead, extractContentPaths, resolveContentPath } = require('../../src/contentMatcher.js');
+const { PlaceholderError } = require('../../src/placeholders.js');
+
+/**
+ * Test suite for content matchers, which find related paths in file text.
+ */
+
+describe('extractContentPaths', () => {
+    const source = [
+        '#include "base/files/file_path.h"',
+        '#include <vector>',
+        '#include "foo.h"',
+        '#include "foo.h"',
+        'import x from \'./y\';',
+        '// Generated from chrome/common/foo.mojom'
+    ].join('\n');
+
+    it('should use the path group', () => {
+        assert.deepStrictEqual(extractContentPaths(source, /^#include "(?<path>[^"]+)"/gm, []), ['base/files/file_path.h', 'foo.h']);
+    });
+
+    it('should fall back to the first group and then the whole match', () => {
+        assert.deepStrictEqual(extractContentPaths(source, /Generated from (\S+)/g, []), ['chrome/common/foo.mojom']);
+        assert.deepStrictEqual(extractContentPaths(source, /\S+\.mojom/g, []), ['chrome/common/foo.mojom']);
+    });
+
+    it('should expand target paths with the groups of each match', () => {
+        assert.deepStrictEqual(
+            extractContentPaths(source, /import \w+ from '(?<module>[^']+)'/g, ['${module}.{js,ts}', '${module}/index.js']),
+            ['./y.{js,ts}', './y/index.js']
+        );
+    });
+
+    it('should escape glob characters in text from the file', () => {
+        const text = 'import Page from \'./pages/[id]\';';
+        assert.deepStrictEqual(extractContentPaths(text, /from '(?<path>[^']+)'/g, []), ['./pages/[[]id[]]']);
+        assert.deepStrictEqual(extractContentPaths(text, /from '(?<module>[^']+)'/g, ['${module}.{js,ts}']), ['./pages/[[]id[]].{js,ts}']);
+    });
+
+    it('should report invalid target paths', () => {
+        assert.throws(() => extractContentPaths(source, /#include "(?<path>[^"]+)"/g, ['${path:/bogus}']), PlaceholderError);
+    });
+});
+
+describe('resolveContentPath', () => {
+    it('should try the file directory, the workspace root and include directories', () => {
+        assert.deepStrictEqual(
+            resolveContentPath('base/logging.h', 'chrome/browser/foo.cc', ['third_party', 'out/gen/']),
+            ['chrome/browser/base/logging.h', 'base/logging.h', 'third_party/base/logging.h', 'out/gen/base/logging.h']
+        );
+    });
+
+    it('should resolve ./ and ../ paths against the file directory only', () => {
+        assert.deepStrictEqual(resolveContentPath('./y.{js,ts}', 'src/app/x.js', ['lib']), ['src/app/y.{js,ts}']);
+        assert.deepStrictEqual(resolveContentPath('../util', 'src/app/x.js'), ['src/util']);
+    });
+
+    it('should treat a leading slash as the workspace root', () => {
+        assert.deepStrictEqual(resolveContentPath('/include/foo.h', 'src/x.cc'), ['include/foo.h']);
+    });
+
+    it('should drop paths outside the workspace folder and duplicates', () => {
+        assert.deepStrictEqual(resolveContentPath('../../x.h', 'src/x.cc'), []);
+        assert.deepStrictEqual(resolveContentPath('foo.h', 'x.cc', ['.']), ['foo.h']);
+        assert.deepStrictEqual(resolveContentPath('sub\\foo.h', 'x.cc'), ['sub/foo.h']);
+    });
+});
+
+describe('readFileHead', () => {
+    let tempDir;
+    const openDocuments = [];
+    const mockVscode = { workspace: { textDocuments: openDocuments } };
+
+    function fileUri(fsPath) {
+        return { scheme: 'file', fsPath, toString: () => `file://${fsPath}` };
+    }
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-'));
+    });
+
+    afterEach(() => {
+        openDocuments.length = 0;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should read at most the limit', async () => {
+        const filePath = path.join(tempDir, 'a.cc');
+        fs.writeFileSync(filePath, '#include "a.h"\n' + 'x'.repeat(1000));
+        assert.strictEqual(await readFileHead(fileUri(filePath), 14, mockVscode), '#include "a.h"');
+    });
+
+    it('should prefer the text of open documents', async () => {
+        const filePath = path.join(tempDir, 'a.cc');
+        fs.writeFileSync(filePath, 'saved');
+        openDocuments.push({ uri: fileUri(filePath), getText: () => 'unsaved' });
+        assert.strictEqual(await readFileHead(fileUri(filePath), 100, mockVscode), 'unsaved');
+    });
+
+    it('should skip binary and unreadable files', async () => {
+        const filePath = path.join(tempDir, 'a.bin');
+        fs.writeFileSync(filePath, Buffer.from([0x23, 0x00, 0x41]));
+        assert.strictEqual(await readFileHead(fileUri(filePath), 100, mockVscode), null);
+        assert.strictEqual(await readFileHead(fileUri(path.join(tempDir, 'missing.cc')), 100, mockVscode), null);
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { DirectoryCache } = require('../../src/directoryCache.js');
+
+/**
+ * Test suite for the DirectoryCache used to keep readDirectory results between searches.
+ */
+
+describe('DirectoryCache', () => {
+    const root = path.join(path.sep, 'workspace');
+    const src = path.join(root, 'src');
+    const gen = path.join(root, 'out', 'Release', 'gen');
+
+    let cache;
+
+    beforeEach(() => {
+        cache = new DirectoryCache(3);
+    });
+
+    it('should behave like a Map for has/get/set', () => {
+        const entries = [['a.js', 1]];
+        cache.set(src, entries);
+        assert.strictEqual(cache.has(src), true);
+        assert.strictEqual(cache.get(src), entries);
+        assert.strictEqual(cache.has(root), false);
+        assert.strictEqual(cache.get(root), undefined);
+        assert.strictEqual(cache.size, 1);
+    });
+
+    it('should evict the least recently used entry when full', () => {
+        cache.set('a', []);
+        cache.set('b', []);
+        cache.set('c', []);
+        // Touch 'a' so 'b' becomes the least recently used
+        cache.get('a');
+        cache.set('d', []);
+        assert.strictEqual(cache.size, 3);
+        assert.strictEqual(cache.has('a'), true);
+        assert.strictEqual(cache.has('b'), false);
+        assert.strictEqual(cache.has('c'), true);
+        assert.strictEqual(cache.has('d'), true);
+    });
+
+    it('should evict when resized below its size', () => {
+        cache.set('a', []);
+        cache.set('b', []);
+        cache.set('c', []);
+        cache.resize(1);
+        assert.strictEqual(cache.size, 1);
+        assert.strictEqual(cache.has('c'), true);
+    });
+
+    it('should cache nothing with a size of zero', () => {
+        cache.resize(0);
+        cache.set('a', []);
+        assert.strictEqual(cache.has('a'), false);
+    });
+
+    it('should invalidate the parent listing of a created or deleted file', () => {
+        cache.set(root, []);
+        cache.set(src, []);
+        cache.invalidate(path.join(src, 'new.js'));
+        assert.strictEqual(cache.has(src), false);
+        assert.strictEqual(cache.has(root), true);
+    });
+
+    it('should invalidate listings below a deleted directory', () => {
+        cache.resize(10);
+        cache.set(root, []);
+        cache.set(path.join(root, 'out'), []);
+        cache.set(path.join(root, 'out', 'Release'), []);
+        cache.set(gen, []);
+        cache.set(path.join(root, 'outside'), []);
+        cache.invalidate(path.join(root, 'out'));
+        assert.strictEqual(cache.has(root), false);
+        assert.strictEqual(cache.has(path.join(root, 'out')), false);
+        assert.strictEqual(cache.has(path.join(root, 'out', 'Release')), false);
+        assert.strictEqual(cache.has(gen), false);
+        assert.strictEqual(cache.has(path.join(root, 'outside')), true);
+    });
+
+    it('should invalidate listings below directories that are not cached', () => {
+        cache.resize(10);
+        cache.set(gen, []);
+        cache.set(path.join(root, 'outside'), []);
+        cache.invalidate(path.join(root, 'out') + path.sep);
+        assert.strictEqual(cache.has(gen), false);
+        assert.strictEqual(cache.has(path.join(root, 'outside')), true);
+    });
+
+    it('should forget the directories leading to listings that are gone', () => {
+        cache.set(gen, []);
+        cache.set(src, []);
+        cache.invalidate(path.join(gen, 'foo.h'));
+        cache.delete(src);
+        assert.strictEqual(cache.subdirectories.size, 0);
+
+        cache.resize(1);
+        cache.set(gen, []);
+        cache.set(src, []);
+        assert.deepStrictEqual(Array.from(cache.subdirectories.get(root)), [src]);
+    });
+
+    it('should clear all entries', () => {
+        cache.set('a', []);
+        cache.set('b', []);
+        cache.clear();
+        assert.strictEqual(cache.size, 0);
+    });
+});
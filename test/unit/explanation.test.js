@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { formatExplanation, formatGroups, formatChain } = require('../../src/explanation.js');
+
+/**
+ * Test suite for the report of the Explain Related Files command.
+ */
+
+describe('formatGroups', () => {
+    it('should list named and numbered groups', () => {
+        assert.strictEqual(formatGroups({ path: 'a/foo', ext: undefined }), 'path="a/foo" ext=(no match)');
+        assert.strictEqual(formatGroups(['a', 'foo']), '${1}="a" ${2}="foo"');
+        assert.strictEqual(formatGroups([]), 'no groups');
+    });
+});
+
+describe('formatChain', () => {
+    it('should join the hops with their matchers', () => {
+        assert.strictEqual(formatChain('a/foo.cc', []), 'a/foo.cc');
+        assert.strictEqual(formatChain('a/foo.cc', [
+            { matcher: 'Same filename', file: 'a/foo.h' },
+            { matcher: 'Generated files', file: 'out/gen/a/foo.h' }
+        ]), 'a/foo.cc → "Same filename" → a/foo.h → "Generated files" → out/gen/a/foo.h');
+    });
+});
+
+describe('formatExplanation', () => {
+    it('should report every search, every result and the matchers that found nothing', () => {
+        const lines = formatExplanation({
+            file: 'a/foo.cc',
+            durationMs: 12,
+            searches: [
+                {
+                    file: 'a/foo.cc',
+                    depth: 0,
+                    via: null,
+                    durationMs: 10,
+                    matchers: [
+                        { matcher: 'Same filename', status: 'matched', groups: { path: 'a/foo' }, targets: ['a/foo.*'], found: ['a/foo.h'], excluded: ['a/foo.cc.orig'], durationMs: 3 },
+                        { matcher: 'Tests', status: 'no match', reason: 'sourceRegexp "_test\\.cc$" doesn\'t match', durationMs: 0 },
+                        { matcher: 'Broken', status: 'error', reason: 'targetPath "${x": Unterminated placeholder', durationMs: 1 }
+                    ]
+                },
+                {
+                    file: 'a/foo.h',
+                    depth: 1,
+                    via: { file: 'a/foo.cc', matcher: 'Same filename' },
+                    durationMs: 2,
+                    matchers: [
+                        { matcher: 'Same filename', status: 'matched', groups: ['a/foo'], targets: ['a/foo.*'], found: [], excluded: [], reason: 'stopped by relatedsources.matcherTimeout', durationMs: 2 },
+                        { matcher: 'Includes', status: 'skipped', reason: 'transitive is false, so it only applies to the current file' }
+                    ]
+                }
+            ],
+            results: [{ file: 'a/foo.h', chain: [{ matcher: 'Same filename', file: 'a/foo.h' }], inCycle: false }]
+        });
+        assert.deepStrictEqual(lines, [
+            'Related files of a/foo.cc',
+            'Found 1 related file in 12 ms, looking up 2 files.',
+            '',
+            'a/foo.cc (the current file), 10 ms:',
+            '  "Same filename" matched with path="a/foo", 3 ms',
+            '    target a/foo.*',
+            '    found a/foo.h',
+            '    excluded a/foo.cc.orig',
+            '  "Tests" did not match: sourceRegexp "_test\\.cc$" doesn\'t match',
+            '  "Broken" failed: targetPath "${x": Unterminated placeholder, 1 ms',
+            '',
+            'a/foo.h (hop 1, found by "Same filename" from a/foo.cc), 2 ms:',
+            '  "Same filename" matched with ${1}="a/foo", 2 ms',
+            '    target a/foo.*',
+            '    found nothing',
+            '    stopped by relatedsources.matcherTimeout',
+            '  "Includes" skipped: transitive is false, so it only applies to the current file',
+            '',
+            'Related files:',
+            '  a/foo.h (not in the next/previous cycle): a/foo.cc → "Same filename" → a/foo.h',
+            '',
+            'Matchers that found no files: "Tests", "Broken", "Includes"'
+        ]);
+    });
+
+    it('should say when there are no related files', () => {
+        const lines = formatExplanation({ file: 'x', durationMs: 0, searches: [], results: [] });
+        assert.deepStrictEqual(lines.slice(-2), ['Related files:', '  none']);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { FileIndex } = require('../../src/fileIndex.js');
+
+/**
+ * Test suite for the workspace file index used by targetRegexp matchers.
+ */
+
+const root = path.join(path.sep, 'work', 'app');
+
+function uriOf(relPath) {
+    return { fsPath: path.join(root, ...relPath.split('/')) };
+}
+
+function createMockVscode(files, directories = []) {
+    const workspaceFolder = { uri: { fsPath: root, toString: () => `file://${root}` } };
+    const mock = {
+        workspaceFolder,
+        findFilesCalls: 0,
+        releaseFindFiles: null,
+        FileType: { File: 1, Directory: 2 },
+        RelativePattern: class {
+            constructor(base, pattern) {
+                this.base = base;
+                this.pattern = pattern;
+            }
+        },
+        workspace: {
+            getWorkspaceFolder: () => workspaceFolder,
+            findFiles: async pattern => {
+                mock.findFilesCalls++;
+                if (mock.holdFindFiles) {
+                    await new Promise(resolve => {
+                        mock.releaseFindFiles = resolve;
+                    });
+                }
+                // The base is the workspace folder or a directory in it
+                const base = pattern.base.uri ? pattern.base.uri.fsPath : pattern.base.fsPath;
+                return files.map(uriOf).filter(uri => base === root || uri.fsPath.startsWith(base + path.sep));
+            },
+            fs: {
+                stat: async uri => {
+                    const relPath = path.relative(root, uri.fsPath).replace(/\\/g, '/');
+                    return { type: directories.includes(relPath) ? 2 : 1 };
+                }
+            }
+        }
+    };
+    return mock;
+}
+
+function createToken() {
+    const listeners = [];
+    return {
+        isCancellationRequested: false,
+        onCancellationRequested: listener => {
+            listeners.push(listener);
+            return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+        },
+        cancel() {
+            this.isCancellationRequested = true;
+            listeners.slice().forEach(listener => listener());
+        }
+    };
+}
+
+describe('FileIndex', () => {
+    let mockVscode;
+    let index;
+    let logged;
+
+    beforeEach(() => {
+        mockVscode = createMockVscode(['src/b.js', 'src/a.js', 'tests/unit/FooTest.java']);
+        logged = [];
+        index = new FileIndex(message => logged.push(message), mockVscode);
+    });
+
+    it('should list the files of a workspace folder in path order', async () => {
+        assert.deepStrictEqual(await index.getFiles(mockVscode.workspaceFolder), ['src/a.js', 'src/b.js', 'tests/unit/FooTest.java']);
+    });
+
+    it('should build the index once', async () => {
+        await Promise.all([index.getFiles(mockVscode.workspaceFolder), index.getFiles(mockVscode.workspaceFolder)]);
+        await index.getFiles(mockVscode.workspaceFolder);
+        assert.strictEqual(mockVscode.findFilesCalls, 1);
+        assert.strictEqual(logged.length, 1);
+        assert.match(logged[0], /^Indexed 3 files in /);
+    });
+
+    it('should add created files and remove deleted ones', async () => {
+        await index.getFiles(mockVscode.workspaceFolder);
+        await index.onFileCreated(uriOf('src/c.js'));
+        index.onFileDeleted(uriOf('src/a.js'));
+        assert.deepStrictEqual(await index.getFiles(mockVscode.workspaceFolder), ['src/b.js', 'src/c.js', 'tests/unit/FooTest.java']);
+    });
+
+    it('should give its own Set of files, kept current without sorting', async () => {
+        const files = await index.getFileSet(mockVscode.workspaceFolder);
+        assert.deepStrictEqual(Array.from(files).sort(), ['src/a.js', 'src/b.js', 'tests/unit/FooTest.java']);
+        await index.onFileCreated(uriOf('src/c.js'));
+        assert.ok(files.has('src/c.js'));
+        assert.strictEqual(await index.getFileSet(mockVscode.workspaceFolder), files);
+        assert.strictEqual(index.folders.get(mockVscode.workspaceFolder.uri.toString()).sorted, null);
+    });
+
+    it('should remove the files of a deleted directory', async () => {
+        await index.getFiles(mockVscode.workspaceFolder);
+        index.onFileDeleted(uriOf('tests'));
+        assert.deepStrictEqual(await index.getFiles(mockVscode.workspaceFolder), ['src/a.js', 'src/b.js']);
+    });
+
+    it('should add the files of a created directory without a rebuild', async () => {
+        const files = ['src/a.js'];
+        mockVscode = createMockVscode(files, ['gen']);
+        index = new FileIndex(message => logged.push(message), mockVscode);
+        await index.getFiles(mockVscode.workspaceFolder);
+        files.push('gen/a.pb.h', 'gen/sub/a.pb.cc', 'general.txt');
+        await index.onFileCreated(uriOf('gen'));
+        assert.deepStrictEqual(await index.getFiles(mockVscode.workspaceFolder), ['gen/a.pb.h', 'gen/sub/a.pb.cc', 'src/a.js']);
+        assert.strictEqual(mockVscode.findFilesCalls, 2);
+    });
+
+    it('should apply changes made while the index is built', async () => {
+        mockVscode.holdFindFiles = true;
+        const files = index.getFiles(mockVscode.workspaceFolder);
+        await index.onFileCreated(uriOf('src/new.js'));
+        index.onFileDeleted(uriOf('src/b.js'));
+        mockVscode.releaseFindFiles();
+        assert.deepStrictEqual(await files, ['src/a.js', 'src/new.js', 'tests/unit/FooTest.java']);
+    });
+
+    it('should stop waiting when cancelled but keep building', async () => {
+        mockVscode.holdFindFiles = true;
+        const token = createToken();
+        const files = index.getFiles(mockVscode.workspaceFolder, token);
+        token.cancel();
+        assert.deepStrictEqual(await files, []);
+
+        mockVscode.releaseFindFiles();
+        assert.strictEqual((await index.getFiles(mockVscode.workspaceFolder)).length, 3);
+        assert.strictEqual(mockVscode.findFilesCalls, 1);
+    });
+
+    it('should ignore changes to folders that are not indexed', async () => {
+        await index.onFileCreated(uriOf('src/c.js'));
+        index.onFileDeleted(uriOf('src/a.js'));
+        assert.strictEqual(mockVscode.findFilesCalls, 0);
+    });
+});
@@ -3,6 +3,7 @@ const assert = require('node:assert');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { createLimiter } = require('../../src/concurrency.js');
 
 /**
  * Test suite for findFilesWithGlob module.
@@ -180,6 +181,136 @@ describe('segmentToRegex', () => {
         assert.strictEqual(regex.test(''), true);
         assert.strictEqual(regex.test('file.js'), true);
     });
+
+    it('should match exactly one character with question mark', () => {
+        const regex = segmentToRegex('file?.js');
+        assert.strictEqual(regex.test('file1.js'), true);
+        assert.strictEqual(regex.test('fileA.js'), true);
+        assert.strictEqual(regex.test('file.js'), false);
+        assert.strictEqual(regex.test('file12.js'), false);
+    });
+
+    it('should match character classes and ranges', () => {
+        const regex = segmentToRegex('file[abc0-2].js');
+        assert.strictEqual(regex.test('filea.js'), true);
+        assert.strictEqual(regex.test('filec.js'), true);
+        assert.strictEqual(regex.test('file1.js'), true);
+        assert.strictEqual(regex.test('filed.js'), false);
+        assert.strictEqual(regex.test('file5.js'), false);
+        assert.strictEqual(regex.test('file.js'), false);
+    });
+
+    it('should match negated character classes', () => {
+        for (const segment of ['file[!ab].js', 'file[^ab].js']) {
+            const regex = segmentToRegex(segment);
+            assert.strictEqual(regex.test('filec.js'), true);
+            assert.strictEqual(regex.test('filea.js'), false);
+            assert.strictEqual(regex.test('fileb.js'), false);
+        }
+    });
+
+    it('should treat a leading bracket in a class as a member', () => {
+        const regex = segmentToRegex('[]a]');
+        assert.strictEqual(regex.test(']'), true);
+        assert.strictEqual(regex.test('a'), true);
+        assert.strictEqual(regex.test('b'), false);
+    });
+
+    it('should treat an unterminated bracket as literal text', () => {
+        const regex = segmentToRegex('file[1.js');
+        assert.strictEqual(regex.test('file[1.js'), true);
+        assert.strictEqual(regex.test('file1.js'), false);
+    });
+});
+
+// ============================================================================
+// Tests for expandBraces
+// ============================================================================
+
+describe('expandBraces', () => {
+    let expandBraces;
+
+    beforeEach(() => {
+        const module = require('../../src/findFilesWithGlob.js');
+        expandBraces = module.expandBraces;
+    });
+
+    it('should return patterns without braces unchanged', () => {
+        assert.deepStrictEqual(expandBraces('src/*.js'), ['src/*.js']);
+    });
+
+    it('should expand alternatives in order', () => {
+        assert.deepStrictEqual(expandBraces('foo.{h,hpp,hh}'), ['foo.h', 'foo.hpp', 'foo.hh']);
+    });
+
+    it('should expand alternatives that span path segments', () => {
+        assert.deepStrictEqual(expandBraces('{src,include/gen}/foo.h'), ['src/foo.h', 'include/gen/foo.h']);
+    });
+
+    it('should expand multiple and nested groups', () => {
+        assert.deepStrictEqual(expandBraces('{a,b}/x.{c,{h,hh}}'), [
+            'a/x.c', 'a/x.h', 'a/x.hh',
+            'b/x.c', 'b/x.h', 'b/x.hh',
+        ]);
+    });
+
+    it('should support empty alternatives', () => {
+        assert.deepStrictEqual(expandBraces('foo{,_impl}.cc'), ['foo.cc', 'foo_impl.cc']);
+    });
+
+    it('should leave braces without a comma as literal text', () => {
+        assert.deepStrictEqual(expandBraces('foo{bar}.js'), ['foo{bar}.js']);
+        assert.deepStrictEqual(expandBraces('foo{bar'), ['foo{bar']);
+    });
+
+    it('should not return duplicates', () => {
+        assert.deepStrictEqual(expandBraces('{a,a}.js'), ['a.js']);
+    });
+
+    it('should treat braces and commas in a class as members', () => {
+        assert.deepStrictEqual(expandBraces('{a[,]b,c}.js'), ['a[,]b.js', 'c.js']);
+        assert.deepStrictEqual(expandBraces('x[{].{h,cc}'), ['x[{].h', 'x[{].cc']);
+    });
+
+    it('should report when it stops at the maximum number of alternatives', () => {
+        const { BRACE_MAX_EXPANSIONS } = require('../../src/findFilesWithGlob.js');
+        let truncated = 0;
+        const expanded = expandBraces('{a,b}{c,d}{e,f}{g,h}{i,j}{k,l}{m,n}{o,p}{q,r}', () => truncated++);
+        assert.strictEqual(expanded.length, BRACE_MAX_EXPANSIONS);
+        assert.strictEqual(truncated, 1);
+        expandBraces('{a,b}{c,d}', () => truncated++);
+        assert.strictEqual(truncated, 1);
+    });
+});
+
+describe('globToRegex', () => {
+    const { globToRegex, GLOB_REGEX_CACHE_SIZE, _globRegexCache } = require('../../src/findFilesWithGlob.js');
+
+    it('should keep a bounded number of compiled patterns, dropping the least recently used', () => {
+        const kept = globToRegex('kept/**/*.h', true);
+        for (let i = 0; i < GLOB_REGEX_CACHE_SIZE * 2; i++) {
+            globToRegex(`generated/${i}/*.h`, true);
+            // Using a pattern keeps it
+            assert.strictEqual(globToRegex('kept/**/*.h', true), kept);
+        }
+        assert.strictEqual(_globRegexCache.size, GLOB_REGEX_CACHE_SIZE);
+        assert.strictEqual(_globRegexCache.has('s:generated/0/*.h'), false);
+        assert.strictEqual(globToRegex('generated/0/*.h', true).test('generated/0/a.h'), true);
+    });
+});
+
+describe('escapeGlob', () => {
+    const { escapeGlob, globToRegex, expandBraces } = require('../../src/findFilesWithGlob.js');
+
+    it('should make glob characters match literally', () => {
+        for (const name of ['pages/[id].js', 'a*b?.js', 'x{1,2}.h', 'a]b[c', 'plain/name.cc']) {
+            const pattern = escapeGlob(name);
+            assert.deepStrictEqual(expandBraces(pattern), [pattern]);
+            assert.strictEqual(globToRegex(pattern, true).test(name), true, name);
+        }
+        assert.strictEqual(globToRegex(escapeGlob('[id].js'), true).test('i.js'), false);
+        assert.strictEqual(globToRegex(escapeGlob('*.js'), true).test('a.js'), false);
+    });
 });
 
 // ============================================================================
@@ -195,6 +326,8 @@ describe('hasWildcard', () => {
     });
 
     it('should return true for segments with wildcards', () => {
+        assert.strictEqual(hasWildcard('file?.js'), true);
+        assert.strictEqual(hasWildcard('file[ab].js'), true);
         assert.strictEqual(hasWildcard('*.js'), true);
         assert.strictEqual(hasWildcard('file.*'), true);
         assert.strictEqual(hasWildcard('*'), true);
@@ -208,6 +341,63 @@ describe('hasWildcard', () => {
     });
 });
 
+// ============================================================================
+// Tests for matchesGlob
+// ============================================================================
+
+describe('matchesGlob', () => {
+    let matchesGlob;
+    let matchesAnyGlob;
+    let globToRegex;
+
+    beforeEach(() => {
+        const module = require('../../src/findFilesWithGlob.js');
+        matchesGlob = module.matchesGlob;
+        matchesAnyGlob = module.matchesAnyGlob;
+        globToRegex = module.globToRegex;
+    });
+
+    it('should match patterns without a slash against names at any depth', () => {
+        assert.strictEqual(matchesGlob('foo.cc.orig', '*.orig'), true);
+        assert.strictEqual(matchesGlob('src/a/foo.cc.orig', '*.orig'), true);
+        assert.strictEqual(matchesGlob('src/a/foo.cc~', '*~'), true);
+        assert.strictEqual(matchesGlob('src/a/foo.cc', '*.orig'), false);
+    });
+
+    it('should match patterns with a slash against the whole path', () => {
+        assert.strictEqual(matchesGlob('src/foo.h', 'src/*.h'), true);
+        assert.strictEqual(matchesGlob('lib/src/foo.h', 'src/*.h'), false);
+        assert.strictEqual(matchesGlob('src/a/foo.h', 'src/*.h'), false);
+    });
+
+    it('should match paths below a matching directory', () => {
+        assert.strictEqual(matchesGlob('out/Release/gen/foo.h', 'out/*'), true);
+        assert.strictEqual(matchesGlob('a/b/.git/config', '**/.git'), true);
+        assert.strictEqual(matchesGlob('.git/config', '**/.git'), true);
+        assert.strictEqual(matchesGlob('src/node_modules/x/y.js', 'node_modules'), true);
+    });
+
+    it('should support globstar and braces in whole path patterns', () => {
+        assert.strictEqual(matchesGlob('third_party/a/b/foo.h', 'third_party/**/*.h'), true);
+        assert.strictEqual(matchesGlob('third_party/foo.h', 'third_party/**/*.h'), true);
+        assert.strictEqual(matchesGlob('src/foo.rej', '{src,lib}/*.{orig,rej}'), true);
+        assert.strictEqual(matchesGlob('test/foo.rej', '{src,lib}/*.{orig,rej}'), false);
+    });
+
+    it('should not let wildcards cross path separators', () => {
+        const regex = globToRegex('src/*.h');
+        assert.strictEqual(regex.test('src/foo.h'), true);
+        assert.strictEqual(regex.test('src/a/foo.h'), false);
+    });
+
+    it('should match any of several patterns', () => {
+        assert.strictEqual(matchesAnyGlob('foo.swp', ['*.orig', '*.swp']), true);
+        assert.strictEqual(matchesAnyGlob('foo.cc', ['*.orig', '*.swp']), false);
+        assert.strictEqual(matchesAnyGlob('foo.cc', undefined), false);
+        assert.strictEqual(matchesAnyGlob('foo.cc', []), false);
+    });
+});
+
 // ============================================================================
 // Tests for findFilesWithGlob
 // ============================================================================
@@ -445,6 +635,18 @@ describe('findFilesWithGlob edge cases', () => {
         assert.strictEqual(getRelativePaths(results2).length, 3);
     });
 
+    it('should log brace expansions beyond the maximum', async () => {
+        createTestFiles(tempDir, ['src/a.js']);
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const logged = [];
+        const pattern = 'src/{a,b}{c,d}{e,f}{g,h}{i,j}{k,l}{m,n}{o,p}{q,r}.js';
+        await findFilesWithGlob(workspaceFolder, pattern, undefined, mockVscode, undefined, { log: message => logged.push(message) });
+        assert.strictEqual(logged.length, 1);
+        assert.match(logged[0], /more than 256 brace alternatives/);
+        await findFilesWithGlob(workspaceFolder, 'src/{a,b}.js', undefined, mockVscode, undefined, { log: message => logged.push(message) });
+        assert.strictEqual(logged.length, 1);
+    });
+
     it('should handle files with dots in directory names', async () => {
         createTestFiles(tempDir, [
             'node.modules/package/index.js',
@@ -636,3 +838,617 @@ describe('findFilesWithGlob directory cache', () => {
         assert.strictEqual(callsAfterSecond, callsAfterFirst, 'Second pattern search should reuse cached directory');
     });
 });
+
+// ============================================================================
+// Extended Glob Syntax Tests
+// ============================================================================
+
+describe('findFilesWithGlob extended syntax', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let mockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-syntax-'));
+        createTestFiles(tempDir, [
+            'src/foo.h',
+            'src/foo.hpp',
+            'src/foo.cc',
+            'src/foo1.cc',
+            'src/foo2.cc',
+            'src/fooA.cc',
+            'include/foo.h',
+            'include/gen/foo.h',
+            'pages/[id].js',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    function getRelativePaths(results) {
+        return results
+            .map(uri => path.relative(tempDir, uri.fsPath).replace(/\\/g, '/'))
+            .sort();
+    }
+
+    it('should match question mark wildcards', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'src/foo?.cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo1.cc', 'src/foo2.cc', 'src/fooA.cc']);
+    });
+
+    it('should match character classes', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'src/foo[0-9].cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo1.cc', 'src/foo2.cc']);
+
+        const negated = await findFilesWithGlob(workspaceFolder, 'src/foo[!0-9].cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(negated), ['src/fooA.cc']);
+    });
+
+    it('should expand braces within a segment', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'src/foo.{h,hpp,hh}', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo.h', 'src/foo.hpp']);
+    });
+
+    it('should expand braces across path segments', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '{src,include,include/gen}/foo.h', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['include/foo.h', 'include/gen/foo.h', 'src/foo.h']);
+
+        const optional = await findFilesWithGlob(workspaceFolder, 'include/{,gen/}foo.h', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(optional), ['include/foo.h', 'include/gen/foo.h']);
+    });
+
+    it('should not return duplicates from overlapping alternatives', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'src/{foo,f*}.h', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo.h']);
+    });
+
+    it('should respect maxResults across alternatives', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '{src,include}/foo.h', 1, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo.h']);
+    });
+
+    it('should still match names containing glob characters literally', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'pages/[id].js', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['pages/[id].js']);
+    });
+});
+
+// ============================================================================
+// Globstar Tests
+// ============================================================================
+
+describe('findFilesWithGlob globstar', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let isGlobstar;
+    let mockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-globstar-'));
+        createTestFiles(tempDir, [
+            'test/foo_unittest.cc',
+            'test/a/foo_unittest.cc',
+            'test/a/b/foo_unittest.cc',
+            'test/a/b/bar_unittest.cc',
+            'out/Release/gen/foo.h',
+            'out/Debug/x64/gen/foo.h',
+            'out/Debug/x64/gen/foo.cc',
+            'node_modules/pkg/foo_unittest.cc',
+            'foo.h',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+        isGlobstar = module.isGlobstar;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    function getRelativePaths(results) {
+        return results
+            .map(uri => path.relative(tempDir, uri.fsPath).replace(/\\/g, '/'))
+            .sort();
+    }
+
+    it('should recognize only a bare globstar segment', () => {
+        assert.strictEqual(isGlobstar('**'), true);
+        assert.strictEqual(isGlobstar('*'), false);
+        assert.strictEqual(isGlobstar('foo**'), false);
+    });
+
+    it('should match zero or more directory levels', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'test/**/foo_unittest.cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), [
+            'test/a/b/foo_unittest.cc',
+            'test/a/foo_unittest.cc',
+            'test/foo_unittest.cc',
+        ]);
+    });
+
+    it('should match varying depth in the middle of a pattern', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'out/**/gen/foo.*', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), [
+            'out/Debug/x64/gen/foo.cc',
+            'out/Debug/x64/gen/foo.h',
+            'out/Release/gen/foo.h',
+        ]);
+    });
+
+    it('should match every file below a trailing globstar', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'test/a/**', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), [
+            'test/a/b/bar_unittest.cc',
+            'test/a/b/foo_unittest.cc',
+            'test/a/foo_unittest.cc',
+        ]);
+    });
+
+    it('should not return duplicates when several globstars reach the same file', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'test/**/a/**/**/foo_unittest.cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), [
+            'test/a/b/foo_unittest.cc',
+            'test/a/foo_unittest.cc',
+        ]);
+    });
+
+    it('should not descend into skipped directories', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '**/foo_unittest.cc', undefined, mockVscode);
+        assert.ok(!getRelativePaths(results).includes('node_modules/pkg/foo_unittest.cc'));
+
+        const explicit = await findFilesWithGlob(workspaceFolder, 'node_modules/**/foo_unittest.cc', undefined, mockVscode);
+        assert.deepStrictEqual(getRelativePaths(explicit), ['node_modules/pkg/foo_unittest.cc']);
+    });
+
+    it('should respect maxResults', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '**/*', 2, mockVscode);
+        assert.strictEqual(results.length, 2);
+    });
+
+    it('should use the shared directory cache', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const cache = new Map();
+        await findFilesWithGlob(workspaceFolder, 'out/**/gen/foo.h', undefined, mockVscode, cache);
+        assert.ok(cache.has(path.join(tempDir, 'out', 'Debug', 'x64')));
+
+        let readDirectoryCallCount = 0;
+        const countingMockVscode = {
+            ...mockVscode,
+            workspace: {
+                fs: {
+                    readDirectory: async (uri) => {
+                        readDirectoryCallCount++;
+                        return mockVscode.workspace.fs.readDirectory(uri);
+                    }
+                }
+            }
+        };
+        const results = await findFilesWithGlob(workspaceFolder, 'out/**/gen/foo.h', undefined, countingMockVscode, cache);
+        assert.strictEqual(readDirectoryCallCount, 0);
+        assert.strictEqual(results.length, 2);
+    });
+});
+
+// ============================================================================
+// Cancellation Tests
+// ============================================================================
+
+describe('findFilesWithGlob cancellation', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let mockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-cancel-'));
+        createTestFiles(tempDir, [
+            'a/x/foo.h',
+            'b/x/foo.h',
+            'c/x/foo.h',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    it('should return nothing for an already cancelled token', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const token = { isCancellationRequested: true };
+        const results = await findFilesWithGlob(workspaceFolder, '**/foo.h', undefined, mockVscode, undefined, { token });
+        assert.deepStrictEqual(results, []);
+    });
+
+    it('should skip queued directory reads once cancelled', async () => {
+        const token = { isCancellationRequested: false };
+        let readDirectoryCallCount = 0;
+        const cancellingMockVscode = {
+            ...mockVscode,
+            workspace: {
+                fs: {
+                    readDirectory: async (uri) => {
+                        readDirectoryCallCount++;
+                        if (uri.fsPath === path.join(tempDir, 'a', 'x')) {
+                            token.isCancellationRequested = true;
+                        }
+                        return mockVscode.workspace.fs.readDirectory(uri);
+                    }
+                }
+            }
+        };
+
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const limit = createLimiter(1);
+        const results = await findFilesWithGlob(workspaceFolder, '*/x/foo.h', undefined, cancellingMockVscode, undefined, { token, limit });
+        assert.ok(results.length <= 1);
+        // Root, a, b, c and a/x are read; the queued reads of b/x and c/x are skipped
+        assert.strictEqual(readDirectoryCallCount, 5);
+    });
+
+    it('should find everything with a token that is never cancelled', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const token = { isCancellationRequested: false };
+        const results = await findFilesWithGlob(workspaceFolder, '*/x/foo.h', undefined, mockVscode, undefined, { token });
+        assert.strictEqual(results.length, 3);
+    });
+});
+
+// ============================================================================
+// Concurrency Tests
+// ============================================================================
+
+describe('findFilesWithGlob concurrency', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let mockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-concurrency-'));
+        createTestFiles(tempDir, [
+            'a/gen/foo.h',
+            'b/gen/foo.h',
+            'c/gen/foo.h',
+            'd/gen/foo.h',
+            'e/gen/foo.h',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    /**
+     * Creates a mock whose reads finish in a scrambled order and that records
+     * how many reads run at once and how often each directory is read.
+     */
+    function createSlowMockVscode() {
+        const stats = { running: 0, maxRunning: 0, reads: new Map() };
+        const slowMockVscode = {
+            ...mockVscode,
+            workspace: {
+                fs: {
+                    readDirectory: async (uri) => {
+                        stats.reads.set(uri.fsPath, (stats.reads.get(uri.fsPath) || 0) + 1);
+                        stats.running++;
+                        stats.maxRunning = Math.max(stats.maxRunning, stats.running);
+                        // Later siblings finish first
+                        const name = path.basename(uri.fsPath);
+                        await new Promise(resolve => setTimeout(resolve, 'edcba'.indexOf(name) + 1));
+                        stats.running--;
+                        return mockVscode.workspace.fs.readDirectory(uri);
+                    }
+                }
+            }
+        };
+        return { slowMockVscode, stats };
+    }
+
+    it('should return results in entry order whatever order reads finish in', async () => {
+        const { slowMockVscode } = createSlowMockVscode();
+        const sequentialOrder = (await findFilesWithGlob({ uri: mockVscode.Uri.file(tempDir) }, '*/gen/foo.h', undefined, mockVscode))
+            .map(uri => uri.fsPath);
+        const concurrentOrder = (await findFilesWithGlob({ uri: mockVscode.Uri.file(tempDir) }, '*/gen/foo.h', undefined, slowMockVscode))
+            .map(uri => uri.fsPath);
+        assert.strictEqual(concurrentOrder.length, 5);
+        assert.deepStrictEqual(concurrentOrder, sequentialOrder);
+    });
+
+    it('should not run more reads at once than the limit', async () => {
+        const { slowMockVscode, stats } = createSlowMockVscode();
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '**/foo.h', undefined, slowMockVscode, undefined, { limit: createLimiter(2) });
+        assert.strictEqual(results.length, 5);
+        assert.ok(stats.maxRunning <= 2);
+        assert.ok(stats.maxRunning > 1, 'sibling directories should be read concurrently');
+    });
+
+    it('should share one read of a directory between concurrent searches', async () => {
+        const { slowMockVscode, stats } = createSlowMockVscode();
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const cache = new Map();
+        const [headers, generated] = await Promise.all([
+            findFilesWithGlob(workspaceFolder, '*/gen/foo.h', undefined, slowMockVscode, cache),
+            findFilesWithGlob(workspaceFolder, '{a,b,c,d,e}/gen/*', undefined, slowMockVscode, cache),
+        ]);
+        assert.strictEqual(headers.length, 5);
+        assert.strictEqual(generated.length, 5);
+        for (const [dir, count] of stats.reads) {
+            assert.strictEqual(count, 1, `${dir} was read ${count} times`);
+        }
+    });
+
+    it('should not cache failed reads', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const cache = new Map();
+        await findFilesWithGlob(workspaceFolder, 'missing/*.h', undefined, mockVscode, cache);
+        assert.strictEqual(cache.has(path.join(tempDir, 'missing')), false);
+    });
+});
+
+// ============================================================================
+// Streaming Tests
+// ============================================================================
+
+describe('findFilesWithGlob streaming', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let mockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-stream-'));
+        createTestFiles(tempDir, [
+            'src/foo.h',
+            'src/foo.cc',
+            'include/foo.h',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    it('should report each result once as it is found', async () => {
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const streamed = [];
+        const results = await findFilesWithGlob(workspaceFolder, '{src,include,src}/foo.*', undefined, mockVscode, undefined, {
+            onResult: uri => streamed.push(uri.fsPath)
+        });
+        assert.strictEqual(streamed.length, 3);
+        assert.deepStrictEqual(streamed.slice().sort(), results.map(uri => uri.fsPath).sort());
+    });
+
+    it('should report results before the search finishes', async () => {
+        let releaseInclude;
+        const includeBlocked = new Promise(resolve => {
+            releaseInclude = resolve;
+        });
+        const blockingMockVscode = {
+            ...mockVscode,
+            workspace: {
+                fs: {
+                    readDirectory: async (uri) => {
+                        if (path.basename(uri.fsPath) === 'include') {
+                            await includeBlocked;
+                        }
+                        return mockVscode.workspace.fs.readDirectory(uri);
+                    }
+                }
+            }
+        };
+
+        const workspaceFolder = { uri: mockVscode.Uri.file(tempDir) };
+        const streamed = [];
+        let resolveFirst;
+        const firstResult = new Promise(resolve => {
+            resolveFirst = resolve;
+        });
+        const search = findFilesWithGlob(workspaceFolder, '{include,src}/foo.h', undefined, blockingMockVscode, undefined, {
+            onResult: uri => {
+                streamed.push(path.relative(tempDir, uri.fsPath).replace(/\\/g, '/'));
+                resolveFirst();
+            }
+        });
+
+        await firstResult;
+        assert.deepStrictEqual(streamed, ['src/foo.h']);
+        releaseInclude();
+        const results = await search;
+        assert.deepStrictEqual(streamed, ['src/foo.h', 'include/foo.h']);
+        // The final results keep pattern order
+        assert.deepStrictEqual(results.map(uri => path.relative(tempDir, uri.fsPath).replace(/\\/g, '/')), ['include/foo.h', 'src/foo.h']);
+    });
+});
+
+// ============================================================================
+// Symbolic Link Tests
+// ============================================================================
+
+describe('findFilesWithGlob symbolic links', () => {
+    let tempDir;
+    let findFilesWithGlob;
+    let linkMockVscode;
+
+    beforeEach(() => {
+        tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-symlink-')));
+        createTestFiles(tempDir, [
+            'a/foo.h',
+            'real/gen/foo.h',
+        ]);
+        // a/loop points back at a, and linked points at real
+        fs.symlinkSync(path.join(tempDir, 'a'), path.join(tempDir, 'a', 'loop'), 'dir');
+        fs.symlinkSync(path.join(tempDir, 'real'), path.join(tempDir, 'linked'), 'dir');
+
+        // Like vscode.workspace.fs, report links as SymbolicLink combined with the target's type
+        const mockVscode = createMockVscode(tempDir);
+        linkMockVscode = {
+            ...mockVscode,
+            workspace: {
+                fs: {
+                    readDirectory: async (uri) => {
+                        const entries = await mockVscode.workspace.fs.readDirectory(uri);
+                        return entries.map(([name, fileType]) => {
+                            const isLink = fs.lstatSync(path.join(uri.fsPath, name)).isSymbolicLink();
+                            return [name, isLink ? fileType | MockFileType.SymbolicLink : fileType];
+                        });
+                    }
+                }
+            }
+        };
+
+        const module = require('../../src/findFilesWithGlob.js');
+        findFilesWithGlob = module.findFilesWithGlob;
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    function getRelativePaths(results) {
+        return results
+            .map(uri => path.relative(tempDir, uri.fsPath).replace(/\\/g, '/'))
+            .sort();
+    }
+
+    it('should not loop through a link back to an ancestor directory', async () => {
+        const workspaceFolder = { uri: MockUri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, 'a/**/foo.h', undefined, linkMockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['a/foo.h']);
+    });
+
+    it('should follow links to directories by default', async () => {
+        const workspaceFolder = { uri: MockUri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '*/gen/foo.h', undefined, linkMockVscode);
+        assert.deepStrictEqual(getRelativePaths(results), ['linked/gen/foo.h', 'real/gen/foo.h']);
+    });
+
+    it('should not search inside links when followSymlinks is false', async () => {
+        const workspaceFolder = { uri: MockUri.file(tempDir) };
+        const results = await findFilesWithGlob(workspaceFolder, '*/gen/foo.h', undefined, linkMockVscode, undefined, { followSymlinks: false });
+        assert.deepStrictEqual(getRelativePaths(results), ['real/gen/foo.h']);
+    });
+
+    it('should resolve real paths through links', async () => {
+        const { resolveRealPath } = require('../../src/findFilesWithGlob.js');
+        assert.strictEqual(await resolveRealPath(MockUri.file(path.join(tempDir, 'linked', 'gen', 'foo.h'))), path.join(tempDir, 'real', 'gen', 'foo.h'));
+        assert.strictEqual(await resolveRealPath(MockUri.file(path.join(tempDir, 'missing.h'))), path.join(tempDir, 'missing.h'));
+    });
+});
+
+describe('findFilesWithGlob case sensitivity', () => {
+    let tempDir;
+    let mockVscode;
+    let module;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'findfiles-case-'));
+        createTestFiles(tempDir, [
+            'src/Foo.h',
+            'src/foo.cc',
+        ]);
+        mockVscode = createMockVscode(tempDir);
+        module = require('../../src/findFilesWithGlob.js');
+    });
+
+    afterEach(() => {
+        removeDir(tempDir);
+    });
+
+    function getRelativePaths(results) {
+        return results
+            .map(uri => path.relative(tempDir, uri.fsPath).replace(/\\/g, '/'))
+            .sort();
+    }
+
+    /**
+     * A file system stat that ignores case, like the default file systems of Windows and macOS.
+     */
+    function caseInsensitiveStat(uri) {
+        const dir = path.dirname(uri.fsPath);
+        const name = path.basename(uri.fsPath).toLowerCase();
+        if (!fs.readdirSync(dir).some(entry => entry.toLowerCase() === name)) {
+            const error = new Error(`ENOENT: no such file or directory: ${uri.fsPath}`);
+            error.code = 'FileNotFound';
+            throw error;
+        }
+        return {};
+    }
+
+    it('should ignore case in literal and wildcard segments when caseSensitive is false', async () => {
+        const workspaceFolder = { uri: MockUri.file(tempDir) };
+        const results = await module.findFilesWithGlob(workspaceFolder, 'SRC/foo.*', undefined, mockVscode, undefined, { caseSensitive: false });
+        assert.deepStrictEqual(getRelativePaths(results), ['src/Foo.h', 'src/foo.cc']);
+    });
+
+    it('should respect case when caseSensitive is true', async () => {
+        const workspaceFolder = { uri: MockUri.file(tempDir) };
+        const results = await module.findFilesWithGlob(workspaceFolder, 'src/foo.*', undefined, mockVscode, undefined, { caseSensitive: true });
+        assert.deepStrictEqual(getRelativePaths(results), ['src/foo.cc']);
+    });
+
+    it('should apply caseSensitive to whole path globs', () => {
+        assert.strictEqual(module.matchesGlob('src/Foo.H', 'src/*.h', false), true);
+        assert.strictEqual(module.matchesGlob('src/Foo.H', 'src/*.h', true), false);
+        assert.strictEqual(module.matchesAnyGlob('OUT/a.js', ['out/**'], false), true);
+    });
+
+    it('should detect a case-sensitive file system', async () => {
+        const probeVscode = {
+            ...mockVscode,
+            workspace: { fs: { ...mockVscode.workspace.fs, stat: async uri => fs.statSync(uri.fsPath) } }
+        };
+        // Linux temp directories are case-sensitive
+        assert.strictEqual(await module.detectCaseSensitivity(MockUri.file(tempDir), probeVscode), true);
+    });
+
+    it('should detect a case-insensitive file system', async () => {
+        const probeVscode = {
+            ...mockVscode,
+            workspace: { fs: { ...mockVscode.workspace.fs, stat: async uri => caseInsensitiveStat(uri) } }
+        };
+        assert.strictEqual(await module.detectCaseSensitivity(MockUri.file(tempDir), probeVscode), false);
+    });
+
+    it('should detect case sensitivity from names differing only in case', async () => {
+        createTestFiles(tempDir, ['readme', 'README']);
+        const probeVscode = {
+            ...mockVscode,
+            workspace: { fs: { ...mockVscode.workspace.fs, stat: async uri => caseInsensitiveStat(uri) } }
+        };
+        // readme and README can't be the same file, whatever stat says
+        assert.strictEqual(await module.detectCaseSensitivity(MockUri.file(tempDir), probeVscode), true);
+    });
+
+    it('should fall back to the platform default without names to probe', async () => {
+        const emptyDir = path.join(tempDir, 'empty');
+        createTestFiles(emptyDir, ['123']);
+        assert.strictEqual(await module.detectCaseSensitivity(MockUri.file(emptyDir), mockVscode), module.DEFAULT_CASE_SENSITIVE);
+        assert.strictEqual(await module.detectCaseSensitivity(MockUri.file(path.join(tempDir, 'missing')), mockVscode), module.DEFAULT_CASE_SENSITIVE);
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseTree, findNode, JsonSyntaxError } = require('../../src/jsonTree.js');
+
+/**
+ * Test suite for the JSON with comments parser used to locate settings.
+ */
+
+describe('parseTree', () => {
+    const text = [
+        '// User settings',
+        '{',
+        '    /* block */ "editor.tabSize": 4,',
+        '    "relatedsources.matchers": [',
+        '        { "sourceRegexp": "^(.*)\\\\.cc$", "targetPath": "${1}.h", },',
+        '        { "enabled": false, "weight": -1.5e2, "x": null }',
+        '    ],',
+        '}'
+    ].join('\n');
+
+    it('should parse values with comments and trailing commas', () => {
+        const root = parseTree(text);
+        assert.deepStrictEqual(root.value, {
+            'editor.tabSize': 4,
+            'relatedsources.matchers': [
+                { sourceRegexp: '^(.*)\\.cc$', targetPath: '${1}.h' },
+                { enabled: false, weight: -150, x: null }
+            ]
+        });
+    });
+
+    it('should keep the position of every value', () => {
+        const root = parseTree(text);
+        const node = findNode(root, ['relatedsources.matchers', 0, 'targetPath']);
+        assert.strictEqual(node.type, 'string');
+        assert.strictEqual(text.slice(node.offset, node.offset + node.length), '"${1}.h"');
+
+        const matcher = findNode(root, ['relatedsources.matchers', 1]);
+        assert.strictEqual(text.slice(matcher.offset, matcher.offset + matcher.length), '{ "enabled": false, "weight": -1.5e2, "x": null }');
+    });
+
+    it('should return undefined for paths that do not exist', () => {
+        const root = parseTree(text);
+        assert.strictEqual(findNode(root, ['relatedsources.matchers', 5]), undefined);
+        assert.strictEqual(findNode(root, ['editor.tabSize', 'x']), undefined);
+        assert.strictEqual(findNode(root, ['missing', 0]), undefined);
+    });
+
+    it('should reject invalid text', () => {
+        for (const invalid of ['{ "a": }', '{ "a": 1 "b": 2 }', '[1, 2', '{ a: 1 }', '"unterminated', '{} x', '/* open', '', '[1,,2]']) {
+            assert.throws(() => parseTree(invalid), JsonSyntaxError, invalid);
+        }
+    });
+
+    it('should skip comments anywhere, including ones that look like strings or values', () => {
+        const commented = '{ // "a": 1\n "b": /* 2, "c": */ 3 /* } */, "d": "// not a comment" }';
+        const root = parseTree(commented);
+        assert.deepStrictEqual(root.value, { b: 3, d: '// not a comment' });
+        assert.strictEqual(findNode(root, ['d']).offset, commented.indexOf('"// not'));
+    });
+
+    it('should allow a trailing comma in objects and arrays but nowhere else', () => {
+        assert.deepStrictEqual(parseTree('{ "a": [1, 2,], "b": {},\n}').value, { a: [1, 2], b: {} });
+        assert.throws(() => parseTree('{ , }'), JsonSyntaxError);
+        assert.throws(() => parseTree('[,]'), JsonSyntaxError);
+    });
+
+    it('should reject strings that are not terminated on their line', () => {
+        assert.throws(() => parseTree('{ "a": "x\n" }'), JsonSyntaxError);
+        assert.throws(() => parseTree('{ "a": "x\\" }'), JsonSyntaxError);
+        assert.throws(() => parseTree('{ "a: 1 }'), JsonSyntaxError);
+        assert.deepStrictEqual(parseTree('{ "a": "x\\\\", "b": "\\"" }').value, { a: 'x\\', b: '"' });
+    });
+});
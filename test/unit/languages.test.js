@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getContributedLanguages, getLanguageId } = require('../../src/languages.js');
+
+/**
+ * Test suite for working out the language of files that aren't open.
+ */
+
+const languages = getContributedLanguages([
+    { packageJSON: { contributes: { languages: [{ id: 'c', extensions: ['.c', '.h'] }, { id: 'cpp', extensions: ['.cc', '.h', '.inl'] }] } } },
+    { packageJSON: { contributes: { commands: [] } } },
+    { packageJSON: {} },
+    { packageJSON: { contributes: { languages: [{ id: 'makefile', filenames: ['Makefile'], extensions: ['.mk'] }, { id: 'dotenv', filenamePatterns: ['.env.*'] }, { extensions: ['.x'] }] } } },
+    { packageJSON: { contributes: { languages: [{ id: 'typescript', extensions: ['.ts'] }, { id: 'typescript-declaration', extensions: ['.d.ts'] }] } } }
+]);
+
+describe('getContributedLanguages', () => {
+    it('should gather the languages of every extension, skipping ones without an id', () => {
+        assert.deepStrictEqual(languages.map(language => language.id), ['c', 'cpp', 'makefile', 'dotenv', 'typescript', 'typescript-declaration']);
+    });
+});
+
+describe('getLanguageId', () => {
+    it('should find the language by extension, the longest first', () => {
+        assert.strictEqual(getLanguageId('src/foo.cc', { languages }), 'cpp');
+        assert.strictEqual(getLanguageId('src/FOO.INL', { languages }), 'cpp');
+        assert.strictEqual(getLanguageId('src/foo.d.ts', { languages }), 'typescript-declaration');
+        assert.strictEqual(getLanguageId('src/foo.ts', { languages }), 'typescript');
+        // The first extension registering it wins, as in VS Code
+        assert.strictEqual(getLanguageId('src/foo.h', { languages }), 'c');
+    });
+
+    it('should find the language by file name and file name pattern', () => {
+        assert.strictEqual(getLanguageId('build/Makefile', { languages }), 'makefile');
+        assert.strictEqual(getLanguageId('.env.local', { languages }), 'dotenv');
+    });
+
+    it('should prefer files.associations, by file name or by path', () => {
+        assert.strictEqual(getLanguageId('src/foo.h', { languages, associations: { '*.h': 'cpp' } }), 'cpp');
+        assert.strictEqual(getLanguageId('third_party/foo.h', { languages, associations: { '*.h': 'cpp', '**/third_party/**/*.h': 'c' } }), 'c');
+        assert.strictEqual(getLanguageId('src/foo.h', { languages, associations: { '*.h': 'cpp', '**/third_party/**/*.h': 'c' } }), 'cpp');
+        assert.strictEqual(getLanguageId('src/foo.idl', { languages, associations: { '*.idl': 'idl' } }), 'idl');
+    });
+
+    it('should return undefined when the name doesn\'t tell', () => {
+        assert.strictEqual(getLanguageId('src/README', { languages }), undefined);
+        assert.strictEqual(getLanguageId('src/foo.cc'), undefined);
+        assert.strictEqual(getLanguageId('src/foo.cc', { languages: [], associations: null }), undefined);
+    });
+});
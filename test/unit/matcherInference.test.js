@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { inferMatcher, previewMatcher, suggestMatcherName, InferenceError } = require('../../src/matcherInference.js');
+
+/**
+ * Test suite for inferring matchers from an example pair of files.
+ */
+
+describe('inferMatcher', () => {
+    it('should make the common path a group and keep the rest literal', () => {
+        assert.deepStrictEqual(inferMatcher('src/app/Foo.java', 'tests/app/FooTest.java'), {
+            sourceRegexp: '^src/(?<path>.*)\\.java$',
+            targetPath: 'tests/${path}Test.java'
+        });
+        assert.deepStrictEqual(inferMatcher('chrome/browser/foo.cc', 'chrome/browser/foo_unittest.cc'), {
+            sourceRegexp: '^(?<path>.*)\\.cc$',
+            targetPath: '${path}_unittest.cc'
+        });
+    });
+
+    it('should keep the source extension out of the group', () => {
+        assert.deepStrictEqual(inferMatcher('a/foo.mojom', 'out/Debug/gen/a/foo.mojom.h'), {
+            sourceRegexp: '^(?<path>.*)\\.mojom$',
+            targetPath: 'out/Debug/gen/${path}.mojom.h'
+        });
+        // Only the last extension is kept out
+        assert.deepStrictEqual(inferMatcher('out/Debug/gen/a/foo.mojom.h', 'a/foo.mojom'), {
+            sourceRegexp: '^out/Debug/gen/(?<path>.*)\\.h$',
+            targetPath: '${path}'
+        });
+    });
+
+    it('should start the group at a directory boundary', () => {
+        assert.deepStrictEqual(inferMatcher('lib/foo_bar.py', 'lib/test_foo_bar.py'), {
+            sourceRegexp: '^lib/(?<path>.*)\\.py$',
+            targetPath: 'lib/test_${path}.py'
+        });
+    });
+
+    it('should transform a name that appears in another case', () => {
+        assert.deepStrictEqual(inferMatcher('src/widgets/foo_bar.py', 'test/widgets/FooBarTest.java'), {
+            sourceRegexp: '^src/(?<dir>.*/)(?<name>[^/]+)\\.py$',
+            targetPath: 'test/${dir}${name:/pascalcase}Test.java'
+        });
+        assert.deepStrictEqual(inferMatcher('FooBar.ts', 'styles/foo-bar.css'), {
+            sourceRegexp: '^(?<name>[^/]+)\\.ts$',
+            targetPath: 'styles/${name:/kebabcase}.css'
+        });
+    });
+
+    it('should escape glob characters in the literal parts of the target path', () => {
+        assert.deepStrictEqual(inferMatcher('src/Foo.js', 'tests/[id]/FooTest{1}.js'), {
+            sourceRegexp: '^src/(?<path>.*)\\.js$',
+            targetPath: 'tests/[[]id[]]/${path}Test[{]1[}].js'
+        });
+        assert.deepStrictEqual(inferMatcher('foo_bar.py', 'test*/FooBar?.java'), {
+            sourceRegexp: '^(?<name>[^/]+)\\.py$',
+            targetPath: 'test[*]/${name:/pascalcase}[?].java'
+        });
+    });
+
+    it('should explain when the files have nothing in common', () => {
+        assert.throws(() => inferMatcher('a/foo.cc', 'b/bar.h'), InferenceError);
+        assert.throws(() => inferMatcher('a/foo.cc', 'a/foo.cc'), /other than the current one/);
+    });
+});
+
+describe('previewMatcher', () => {
+    const files = ['a/bar.cc', 'a/bar_unittest.cc', 'a/foo.cc', 'a/foo_unittest.cc', 'b/lonely.cc', 'b/Upper_unittest.cc', 'b/upper.cc'];
+
+    it('should list the files the matcher relates to existing files', () => {
+        const preview = previewMatcher({ sourceRegexp: '^(?<path>.*)\\.cc$', targetPath: '${path}_unittest.cc' }, files);
+        assert.deepStrictEqual(preview, {
+            pairs: [
+                { source: 'a/bar.cc', targets: ['a/bar_unittest.cc'] },
+                { source: 'a/foo.cc', targets: ['a/foo_unittest.cc'] }
+            ],
+            complete: true
+        });
+    });
+
+    it('should ignore case when told to', () => {
+        const preview = previewMatcher({ sourceRegexp: '^(?<path>.*)\\.cc$', targetPath: '${path}_unittest.cc' }, files, { caseSensitive: false });
+        assert.deepStrictEqual(preview.pairs.map(pair => pair.targets[0]), ['a/bar_unittest.cc', 'a/foo_unittest.cc', 'b/Upper_unittest.cc']);
+    });
+
+    it('should match glob targets and stop at maxPairs', () => {
+        const preview = previewMatcher({ sourceRegexp: '^(?<path>.*)\\.cc$', targetPath: '${path}*.cc' }, files, { maxPairs: 1 });
+        assert.deepStrictEqual(preview, { pairs: [{ source: 'a/bar.cc', targets: ['a/bar_unittest.cc'] }], complete: false });
+    });
+});
+
+describe('previewMatcher with glob characters in file names', () => {
+    it('should relate the files the saved matcher will find', () => {
+        const files = ['pages/[id].js', 'test/[id].test.js', 'test/i.test.js', 'test/d.test.js'];
+        const matcher = inferMatcher('pages/[id].js', 'test/[id].test.js');
+        assert.deepStrictEqual(previewMatcher(matcher, files).pairs, [{ source: 'pages/[id].js', targets: ['test/[id].test.js'] }]);
+    });
+});
+
+describe('suggestMatcherName', () => {
+    it('should replace the shared name with *', () => {
+        assert.strictEqual(suggestMatcherName('a/foo.cc', 'a/foo_unittest.cc'), '*.cc to *_unittest.cc');
+        assert.strictEqual(suggestMatcherName('foo_bar.py', 'FooBarTest.java'), 'foo_bar.py to FooBarTest.java');
+    });
+});
@@ -0,0 +1,111 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { validateMatchers, getRegexpGroups } = require('../../src/matcherValidation.js');
+
+/**
+ * Test suite for checking the relatedsources.matchers setting.
+ */
+
+function problemsOf(matcher) {
+    return validateMatchers([{ name: 'm', ...matcher }]).map(({ path, severity, message, fix }) => ({ path: path.slice(1), severity, message, fix }));
+}
+
+describe('getRegexpGroups', () => {
+    it('should count groups and list named ones', () => {
+        assert.deepStrictEqual(getRegexpGroups(/^(?<dir>.*)\/(\w+)(?:\.cc)$/), { count: 2, names: ['dir'] });
+        assert.deepStrictEqual(getRegexpGroups(/^x$/), { count: 0, names: [] });
+    });
+});
+
+describe('validateMatchers', () => {
+    it('should accept the default matchers', () => {
+        const defaults = require('../../package.json').contributes.configuration.properties['relatedsources.matchers'].default;
+        assert.deepStrictEqual(validateMatchers(defaults), []);
+    });
+
+    it('should flag invalid regular expressions', () => {
+        assert.match(problemsOf({ sourceRegexp: '^(?<path>.*\\.cc$', targetPath: '${path}.h' })[0].message, /^Invalid sourceRegexp: .*Unterminated group/);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', contentRegexp: '#include "(' }).map(p => p.path), [['contentRegexp']]);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^(?<n>.*)$', targetRegexp: '^${n}[$' }).map(p => p.path), [['targetRegexp']]);
+    });
+
+    it('should flag and fix placeholders that name no group', () => {
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^(?<path>.*)\\.cc$', targetPath: 'out/${pth}.h' }), [{
+            path: ['targetPath'],
+            severity: 'error',
+            message: '"${pth}" is neither a group of sourceRegexp nor a variable, so the matcher is skipped',
+            fix: { title: 'Change "${pth}" to "${path}"', value: 'out/${path}.h' }
+        }]);
+        assert.strictEqual(problemsOf({ sourceRegexp: '^(?<path>.*)$', targetPath: '${unrelated}' })[0].fix, undefined);
+        assert.match(problemsOf({ sourceRegexp: '^(.*)$', targetPaths: ['${1}', '${2}'] })[0].message, /refers to group 2, but sourceRegexp has 1 group$/);
+    });
+
+    it('should accept variables and check content matchers against contentRegexp', () => {
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^(?<path>.*)$', targetPath: '${workspaceFolder}/${env:OUT}/${config:a.b}/${path}' }), []);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^.*\\.ts$', contentRegexp: 'from \'(?<module>[^\']+)\'', targetPath: '${module}.ts' }), []);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^(?<path>.*)\\.ts$', contentRegexp: 'from \'(?<module>[^\']+)\'', targetPath: '${path}.ts' }).map(p => p.path), [['targetPath']]);
+    });
+
+    it('should flag malformed placeholders', () => {
+        assert.match(problemsOf({ sourceRegexp: '^(?<path>.*)$', targetPath: '${path:/shout}' })[0].message, /Unknown transform "shout"/);
+    });
+
+    it('should flag unsupported glob syntax', () => {
+        const problems = problemsOf({
+            sourceRegexp: '^(?<path>.*)$',
+            targetPaths: ['src\\${path}.h', 'src/**.h', '!(gen)/${path}', '../${path}', '${path}.{h,cc', '${path/\\//_/}[ab.h']
+        });
+        assert.deepStrictEqual(problems.map(p => [p.path[1], p.severity, p.fix && p.fix.value]), [
+            [0, 'warning', 'src/${path}.h'],
+            [1, 'warning', 'src/**/*.h'],
+            [2, 'error', undefined],
+            [3, 'warning', undefined],
+            [4, 'warning', undefined],
+            [5, 'warning', undefined]
+        ]);
+    });
+
+    it('should flag and fix invalid flags', () => {
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', flags: 'ix' }), [{
+            path: ['flags'],
+            severity: 'error',
+            message: 'Unsupported regular expression flags "x"',
+            fix: { title: 'Change flags to "i"', value: 'i' }
+        }]);
+        assert.strictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', flags: 'ii' })[0].fix.value, 'i');
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', flags: 'gyi' }).map(p => [p.message, p.fix.value]), [['Unsupported regular expression flags "gy"', 'i']]);
+    });
+
+    it('should flag tags that are not an array of strings', () => {
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', tags: 'test' }).map(p => p.fix), [{ title: 'Put the tag in an array', value: ['test'] }]);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', tags: ['test', '', 1] }).map(p => p.path), [['tags', 1], ['tags', 2]]);
+    });
+
+    it('should flag invalid transitive, cycle and visibility values', () => {
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', transitive: false, cycle: false, visibility: 'quickPickOnly' }), []);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', transitive: 0, cycle: 'no', visibility: 'hidden' }).map(p => p.message), [
+            'transitive must be true or false',
+            'cycle must be true or false',
+            'visibility must be "all" or "quickPickOnly"'
+        ]);
+    });
+
+    it('should flag duplicate matchers', () => {
+        const matcher = { sourceRegexp: '^(?<path>.*)\\.cc$', targetPath: '${path}.h' };
+        const problems = validateMatchers([{ name: 'a', ...matcher }, { name: 'b', ...matcher, targetPath: '${path}.hh' }, { name: 'c', ...matcher }]);
+        assert.deepStrictEqual(problems, [{
+            path: [2],
+            severity: 'warning',
+            message: 'This matcher finds the same files as matcher 1 "a"',
+            fix: { title: 'Remove the duplicate matcher', remove: true }
+        }]);
+    });
+
+    it('should flag missing targets, invalid when clauses and irreversible bidirectional matchers', () => {
+        assert.match(problemsOf({ sourceRegexp: '^x$' })[0].message, /needs a targetPath/);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '^x$', targetPath: 'y', when: 'languageId ==' }).map(p => p.path), [['when']]);
+        assert.deepStrictEqual(problemsOf({ sourceRegexp: '(?<p>.*)$', targetPath: '${p}.h', bidirectional: true }).map(p => [p.path, p.severity]), [[['bidirectional'], 'warning']]);
+        assert.deepStrictEqual(validateMatchers({}).map(p => p.path), [[]]);
+        assert.deepStrictEqual(validateMatchers(['x']).map(p => p.path), [[0]]);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { isMatcherEnabled, getTargetPaths, hasTargets, isContentMatcher, isTransitive, appliesToReachedFiles, isInCycle, getMatcherTags, isMatcherSelected, getRegexpFlags, getContentRegexpFlags, expandTargetPath, expandTargetRegexp, escapeRegExp, MatcherError } = require('../../src/matchers.js');
+
+/**
+ * Test suite for reading relatedsources.matchers entries.
+ */
+
+describe('isMatcherEnabled', () => {
+    it('should skip disabled and malformed matchers', () => {
+        assert.strictEqual(isMatcherEnabled({ sourceRegexp: 'a', targetPath: 'b' }), true);
+        assert.strictEqual(isMatcherEnabled({ sourceRegexp: 'a', targetPath: 'b', enabled: true }), true);
+        assert.strictEqual(isMatcherEnabled({ sourceRegexp: 'a', targetPath: 'b', enabled: false }), false);
+        assert.strictEqual(isMatcherEnabled(null), false);
+        assert.strictEqual(isMatcherEnabled('a'), false);
+    });
+});
+
+describe('getTargetPaths', () => {
+    it('should accept the single targetPath shape', () => {
+        assert.deepStrictEqual(getTargetPaths({ targetPath: '${path}.*' }), ['${path}.*']);
+    });
+
+    it('should combine targetPath and targetPaths in order', () => {
+        assert.deepStrictEqual(getTargetPaths({ targetPaths: ['${path}_base.*', '${path}_impl.*'] }), ['${path}_base.*', '${path}_impl.*']);
+        assert.deepStrictEqual(getTargetPaths({ targetPath: 'a', targetPaths: ['b', 'c'] }), ['a', 'b', 'c']);
+    });
+
+    it('should ignore empty and non-string entries', () => {
+        assert.deepStrictEqual(getTargetPaths({ targetPath: '', targetPaths: ['a', 3, null, ''] }), ['a']);
+        assert.deepStrictEqual(getTargetPaths({ targetPaths: 'a' }), []);
+        assert.deepStrictEqual(getTargetPaths({}), []);
+    });
+});
+
+describe('hasTargets', () => {
+    it('should accept target paths or a targetRegexp', () => {
+        assert.strictEqual(hasTargets({ targetPath: 'a' }), true);
+        assert.strictEqual(hasTargets({ targetRegexp: '^a$' }), true);
+        assert.strictEqual(hasTargets({ targetPaths: [], targetRegexp: '' }), false);
+        assert.strictEqual(hasTargets({ contentRegexp: '#include "(.*)"' }), true);
+    });
+});
+
+describe('content matchers', () => {
+    it('should be recognized by their contentRegexp', () => {
+        assert.strictEqual(isContentMatcher({ contentRegexp: 'import' }), true);
+        assert.strictEqual(isContentMatcher({ targetPath: 'a' }), false);
+    });
+
+    it('should not be transitive', () => {
+        assert.strictEqual(isTransitive({ targetPath: 'a' }), true);
+        assert.strictEqual(isTransitive({ contentRegexp: 'import' }), false);
+    });
+
+    it('should follow an explicit transitive setting', () => {
+        assert.strictEqual(isTransitive({ targetPath: 'a', transitive: false }), false);
+        assert.strictEqual(isTransitive({ targetPath: 'a', transitive: true }), true);
+        assert.strictEqual(isTransitive({ contentRegexp: 'import', transitive: true }), true);
+        assert.strictEqual(appliesToReachedFiles({ targetPath: 'a' }), true);
+        assert.strictEqual(appliesToReachedFiles({ contentRegexp: 'import' }), true);
+        assert.strictEqual(appliesToReachedFiles({ targetPath: 'a', transitive: false }), false);
+    });
+
+    it('should match text with the matcher flags only', () => {
+        assert.strictEqual(getContentRegexpFlags({}), 'g');
+        assert.strictEqual(getContentRegexpFlags({ flags: 'gm' }), 'mg');
+    });
+});
+
+describe('isInCycle', () => {
+    it('should leave out matchers with cycle false or visibility quickPickOnly', () => {
+        assert.strictEqual(isInCycle({}), true);
+        assert.strictEqual(isInCycle({ cycle: true, visibility: 'all' }), true);
+        assert.strictEqual(isInCycle({ cycle: false }), false);
+        assert.strictEqual(isInCycle({ visibility: 'quickPickOnly' }), false);
+    });
+});
+
+describe('matcher tags', () => {
+    it('should read the non-empty string tags', () => {
+        assert.deepStrictEqual(getMatcherTags({ tags: ['header', '', 3, 'impl'] }), ['header', 'impl']);
+        assert.deepStrictEqual(getMatcherTags({ tags: 'header' }), []);
+        assert.deepStrictEqual(getMatcherTags({}), []);
+    });
+
+    it('should select matchers by tag or by name', () => {
+        const matcher = { name: 'Headers', tags: ['header'] };
+        assert.strictEqual(isMatcherSelected(matcher, { tag: 'header' }), true);
+        assert.strictEqual(isMatcherSelected(matcher, { tag: 'Header' }), false);
+        assert.strictEqual(isMatcherSelected(matcher, { matcher: 'Headers' }), true);
+        assert.strictEqual(isMatcherSelected(matcher, { matcher: 'Tests', tag: 'header' }), true);
+        assert.strictEqual(isMatcherSelected(matcher, { matcher: 'Tests' }), false);
+        assert.strictEqual(isMatcherSelected({ tags: ['test'] }, {}), false);
+    });
+});
+
+describe('getRegexpFlags', () => {
+    it('should use the matcher flags', () => {
+        assert.strictEqual(getRegexpFlags({}, true), '');
+        assert.strictEqual(getRegexpFlags({ flags: 'is' }, true), 'is');
+    });
+
+    it('should ignore flags that break capture groups', () => {
+        assert.strictEqual(getRegexpFlags({ flags: 'gimy' }, true), 'im');
+    });
+
+    it('should add i on case-insensitive file systems', () => {
+        assert.strictEqual(getRegexpFlags({}, false), 'i');
+        assert.strictEqual(getRegexpFlags({ flags: 'i' }, false), 'i');
+        assert.strictEqual(getRegexpFlags({ flags: 's' }, false), 'si');
+    });
+});
+
+describe('expandTargetPath', () => {
+    const workspaceRoot = path.join(path.sep, 'work', 'src');
+    const match = 'base/foo.cc'.match(/^(?<path>.*)\.cc$/);
+    const resolveVariable = name => (name === 'workspaceFolder' ? workspaceRoot : undefined);
+
+    it('should expand placeholders into a workspace relative glob', () => {
+        assert.strictEqual(expandTargetPath('${path}.h', match, resolveVariable, workspaceRoot), 'base/foo.h');
+        assert.strictEqual(expandTargetPath('/${path}.h', match, resolveVariable, workspaceRoot), 'base/foo.h');
+    });
+
+    it('should make paths under the workspace folder relative', () => {
+        assert.strictEqual(expandTargetPath('${workspaceFolder}/gen/${path}.*', match, resolveVariable, workspaceRoot), 'gen/base/foo.*');
+    });
+
+    it('should escape glob characters in placeholder values', () => {
+        const pageMatch = 'pages/[id].tsx'.match(/^(?<path>.*)\.tsx$/);
+        assert.strictEqual(expandTargetPath('${path}.{test,spec}.tsx', pageMatch, resolveVariable, workspaceRoot), 'pages/[[]id[]].{test,spec}.tsx');
+        const bracketRoot = path.join(path.sep, 'work', 'src[1]');
+        const bracketResolver = name => (name === 'workspaceFolder' ? bracketRoot : undefined);
+        assert.strictEqual(expandTargetPath('${workspaceFolder}/gen/${path}.*', match, bracketResolver, bracketRoot), 'gen/base/foo.*');
+    });
+
+    it('should name the target path in placeholder errors', () => {
+        assert.throws(() => expandTargetPath('${path:/bogus}', match, resolveVariable, workspaceRoot), err => {
+            return err instanceof MatcherError && err.message.startsWith('targetPath "${path:/bogus}"');
+        });
+    });
+});
+
+describe('expandTargetRegexp', () => {
+    const match = 'src/Foo.Bar.java'.match(/^src\/(?<name>.*)\.java$/);
+    const resolveVariable = () => undefined;
+
+    it('should substitute placeholders as literal text', () => {
+        const regex = expandTargetRegexp('^tests/.*/${name}[^/]*Test\\.java$', match, resolveVariable, '');
+        assert.strictEqual(regex.test('tests/unit/Foo.BarSlowTest.java'), true);
+        assert.strictEqual(regex.test('tests/unit/FooXBarTest.java'), false);
+        assert.strictEqual(regex.test('src/Foo.BarTest.java'), false);
+    });
+
+    it('should apply the flags', () => {
+        const regex = expandTargetRegexp('^tests/${name}Test\\.java$', match, resolveVariable, 'i');
+        assert.strictEqual(regex.test('TESTS/foo.barTEST.java'), true);
+    });
+
+    it('should report invalid placeholders and regular expressions', () => {
+        assert.throws(() => expandTargetRegexp('${name:/bogus}', match, resolveVariable, ''), MatcherError);
+        assert.throws(() => expandTargetRegexp('(${name}', match, resolveVariable, ''), /targetRegexp "\(\$\{name\}"/);
+    });
+
+    it('should escape regular expression syntax', () => {
+        assert.strictEqual(escapeRegExp('a.b*c(d)[e]{f}|g^h$i+j?k\\l'), 'a\\.b\\*c\\(d\\)\\[e\\]\\{f\\}\\|g\\^h\\$i\\+j\\?k\\\\l');
+    });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { expandPlaceholders, getPlaceholders, createVariableResolver, splitWords, PlaceholderError } = require('../../src/placeholders.js');
+
+/**
+ * Test suite for target path placeholder expansion.
+ */
+
+function expand(template, sourceRegexp, relPath) {
+    return expandPlaceholders(template, relPath.match(new RegExp(sourceRegexp)));
+}
+
+describe('expandPlaceholders', () => {
+    it('should substitute named and numbered groups', () => {
+        assert.strictEqual(expand('${path}.h', '^(?<path>.*)\\.cc$', 'src/foo.cc'), 'src/foo.h');
+        assert.strictEqual(expand('${2}/${1}.*', '^(\\w+)/(\\w+)$', 'foo/bar'), 'bar/foo.*');
+    });
+
+    it('should expand groups that did not match to an empty string', () => {
+        assert.strictEqual(expand('${path}${suffix}.h', '^(?<path>\\w+)(?<suffix>_test)?\\.cc$', 'foo.cc'), 'foo.h');
+    });
+
+    it('should throw for names that are neither a group nor a variable', () => {
+        assert.throws(() => expand('${pth}.h', '^(?<path>.*)$', 'foo'), /^PlaceholderError: Unknown placeholder "\$\{pth\}"/);
+        assert.throws(() => expand('${2}.h', '^(.*)$', 'foo'), PlaceholderError);
+        assert.throws(() => expandPlaceholders('${missing}', 'foo'.match(/^foo$/), () => undefined), PlaceholderError);
+        // Variables are known even when they are unset
+        assert.strictEqual(expandPlaceholders('${env:RELATED_SOURCES_UNSET}${fileExtname}x', 'foo'.match(/^foo$/), () => undefined), 'x');
+        assert.strictEqual(expandPlaceholders('${custom}', 'foo'.match(/^foo$/), name => name.toUpperCase()), 'CUSTOM');
+    });
+
+    it('should leave glob braces alone', () => {
+        assert.strictEqual(expand('${path}.{h,hpp}', '^(?<path>.*)\\.cc$', 'foo.cc'), 'foo.{h,hpp}');
+    });
+
+    it('should use the default for groups that are empty or did not match', () => {
+        assert.strictEqual(expand('${dir:-src}/foo.h', '^(?<dir>\\w*)/?foo\\.cc$', 'foo.cc'), 'src/foo.h');
+        assert.strictEqual(expand('${dir:-src}/foo.h', '^(?<dir>\\w*)/?foo\\.cc$', 'lib/foo.cc'), 'lib/foo.h');
+        assert.strictEqual(expand('x${1:-}', '^(a)?b$', 'b'), 'x');
+    });
+
+    it('should apply case transforms', () => {
+        const sourceRegexp = '^(?<name>.*)$';
+        assert.strictEqual(expand('${name:/snakecase}', sourceRegexp, 'FooBar'), 'foo_bar');
+        assert.strictEqual(expand('${name:/snakecase}', sourceRegexp, 'fooBar'), 'foo_bar');
+        assert.strictEqual(expand('${name:/camelcase}', sourceRegexp, 'foo-bar'), 'fooBar');
+        assert.strictEqual(expand('${name:/camelcase}', sourceRegexp, 'foo_bar'), 'fooBar');
+        assert.strictEqual(expand('${name:/pascalcase}', sourceRegexp, 'foo_bar'), 'FooBar');
+        assert.strictEqual(expand('${name:/kebabcase}', sourceRegexp, 'FooBar'), 'foo-bar');
+        assert.strictEqual(expand('${name:/upcase}', sourceRegexp, 'foo_bar'), 'FOO_BAR');
+        assert.strictEqual(expand('${name:/downcase}', sourceRegexp, 'FOO'), 'foo');
+        assert.strictEqual(expand('${name:/capitalize}', sourceRegexp, 'foo'), 'Foo');
+    });
+
+    it('should transform each path segment separately', () => {
+        assert.strictEqual(expand('${path:/snakecase}.h', '^(?<path>.*)\\.ts$', 'myApp/FooBar.ts'), 'my_app/foo_bar.h');
+    });
+
+    it('should apply regex replacements', () => {
+        const sourceRegexp = '^(?<path>.*)\\.cc$';
+        assert.strictEqual(expand('${path/_test$//}.cc', sourceRegexp, 'src/foo_test.cc'), 'src/foo.cc');
+        assert.strictEqual(expand('${path/(\\w+)_(\\w+)$/$2_$1/}.h', sourceRegexp, 'src/foo_bar.cc'), 'src/bar_foo.h');
+        assert.strictEqual(expand('${path/O/0/gi}', sourceRegexp, 'foo.cc'), 'f00');
+    });
+
+    it('should allow escaped slashes and quantifier braces in regex replacements', () => {
+        const sourceRegexp = '^(?<path>.*)\\.cc$';
+        assert.strictEqual(expand('${path/^src\\//include\\//}.h', sourceRegexp, 'src/foo.cc'), 'include/foo.h');
+        assert.strictEqual(expand('${path/o{2}/u/}.h', sourceRegexp, 'foo.cc'), 'fu.h');
+    });
+
+    it('should report unknown transforms', () => {
+        assert.throws(() => expand('${name:/shoutcase}', '^(?<name>.*)$', 'foo'), PlaceholderError);
+        assert.throws(() => expand('${name:/shoutcase}', '^(?<name>.*)$', 'foo'), /Unknown transform "shoutcase"/);
+    });
+
+    it('should report malformed placeholders', () => {
+        const sourceRegexp = '^(?<name>.*)$';
+        assert.throws(() => expand('${name/a/b}', sourceRegexp, 'foo'), PlaceholderError);
+        assert.throws(() => expand('${name/[/b/}', sourceRegexp, 'foo'), /Invalid regular expression/);
+        assert.throws(() => expand('${name/a/b/q}', sourceRegexp, 'foo'), /Invalid regular expression/);
+        assert.throws(() => expand('${name:x}', sourceRegexp, 'foo'), PlaceholderError);
+        assert.throws(() => expand('${-}', sourceRegexp, 'foo'), PlaceholderError);
+        assert.throws(() => expand('${name', sourceRegexp, 'foo'), /Unterminated placeholder/);
+    });
+});
+
+describe('getPlaceholders', () => {
+    it('should list each placeholder with its offsets and name', () => {
+        assert.deepStrictEqual(getPlaceholders('out/${env:OUT:-Debug}/${path/_test$//}.{h,cc}'), [
+            { start: 4, end: 21, name: 'env:OUT' },
+            { start: 22, end: 38, name: 'path' }
+        ]);
+        assert.deepStrictEqual(getPlaceholders('no placeholders'), []);
+    });
+
+    it('should reject malformed placeholders', () => {
+        assert.throws(() => getPlaceholders('${path:/bogus}'), /Unknown transform/);
+        assert.throws(() => getPlaceholders('${path'), PlaceholderError);
+        assert.throws(() => getPlaceholders('${-x}'), PlaceholderError);
+    });
+});
+
+describe('splitWords', () => {
+    it('should split at separators and case changes', () => {
+        assert.deepStrictEqual(splitWords('fooBar'), ['foo', 'Bar']);
+        assert.deepStrictEqual(splitWords('foo_bar-baz qux'), ['foo', 'bar', 'baz', 'qux']);
+        assert.deepStrictEqual(splitWords('HTTPServer2Go'), ['HTTP', 'Server2', 'Go']);
+        assert.deepStrictEqual(splitWords('foo.test'), ['foo.test']);
+    });
+});
+
+describe('createVariableResolver', () => {
+    const workspaceRoot = path.join(path.sep, 'work', 'chromium');
+    const workspaceFolder = { uri: { fsPath: workspaceRoot } };
+    const settings = {
+        'relatedsources.buildDir': 'Debug',
+        'editor.tabSize': 4,
+        'relatedsources.matchers': []
+    };
+    const mockVscode = {
+        workspace: {
+            getConfiguration: () => ({ get: key => settings[key] })
+        }
+    };
+
+    function resolverFor(relPath) {
+        const fileUri = { fsPath: path.join(workspaceRoot, ...relPath.split('/')) };
+        return createVariableResolver(fileUri, workspaceFolder, mockVscode);
+    }
+
+    it('should resolve file and workspace folder variables', () => {
+        const resolve = resolverFor('base/files/file_util.test.cc');
+        assert.strictEqual(resolve('workspaceFolder'), workspaceRoot);
+        assert.strictEqual(resolve('workspaceFolderBasename'), 'chromium');
+        assert.strictEqual(resolve('fileBasename'), 'file_util.test.cc');
+        assert.strictEqual(resolve('fileBasenameNoExtension'), 'file_util.test');
+        assert.strictEqual(resolve('fileExtname'), '.cc');
+        assert.strictEqual(resolve('relativeFileDirname'), 'base/files');
+        assert.strictEqual(resolve('unknown'), undefined);
+    });
+
+    it('should give files at the root no relative directory', () => {
+        assert.strictEqual(resolverFor('BUILD.gn')('relativeFileDirname'), '');
+    });
+
+    it('should resolve environment variables', () => {
+        process.env.RELATED_SOURCES_TEST_VAR = 'value';
+        try {
+            assert.strictEqual(resolverFor('a.cc')('env:RELATED_SOURCES_TEST_VAR'), 'value');
+            assert.strictEqual(resolverFor('a.cc')('env:RELATED_SOURCES_UNSET_VAR'), undefined);
+        } finally {
+            delete process.env.RELATED_SOURCES_TEST_VAR;
+        }
+    });
+
+    it('should resolve settings', () => {
+        const resolve = resolverFor('a.cc');
+        assert.strictEqual(resolve('config:relatedsources.buildDir'), 'Debug');
+        assert.strictEqual(resolve('config:editor.tabSize'), '4');
+        assert.strictEqual(resolve('config:unset.setting'), undefined);
+        assert.throws(() => resolve('config:relatedsources.matchers'), PlaceholderError);
+    });
+
+    it('should expand variables in target paths', () => {
+        const resolve = resolverFor('chrome/browser/foo.cc');
+        const match = 'chrome/browser/foo.cc'.match(/^(?<path>.*)\.cc$/);
+        assert.strictEqual(
+            expandPlaceholders('out/${config:relatedsources.buildDir}/gen/${path}.*', match, resolve),
+            'out/Debug/gen/chrome/browser/foo.*'
+        );
+        assert.strictEqual(expandPlaceholders('${relativeFileDirname}/${fileBasenameNoExtension:/upcase}.h', match, resolve), 'chrome/browser/FOO.h');
+        assert.strictEqual(expandPlaceholders('${config:unset.setting:-Release}', match, resolve), 'Release');
+    });
+
+    it('should prefer capture groups over variables of the same name', () => {
+        const match = 'foo.cc'.match(/^(?<fileBasename>\w+)\.cc$/);
+        assert.strictEqual(expandPlaceholders('${fileBasename}', match, resolverFor('foo.cc')), 'foo');
+    });
+});
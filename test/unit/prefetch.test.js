@@ -0,0 +1,135 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Prefetcher } = require('../../src/prefetch.js');
+
+/**
+ * Test suite for prefetching related files in the background.
+ */
+
+/**
+ * Creates a cancellation source like vscode.CancellationTokenSource.
+ */
+function createCancellation() {
+    const listeners = [];
+    return {
+        token: {
+            isCancellationRequested: false,
+            onCancellationRequested(listener) {
+                listeners.push(listener);
+                return { dispose: () => listeners.splice(listeners.indexOf(listener), 1) };
+            }
+        },
+        cancel() {
+            this.token.isCancellationRequested = true;
+            listeners.slice().forEach(listener => listener());
+        }
+    };
+}
+
+/**
+ * Creates a Prefetcher whose searches finish when the test says so.
+ * @returns {{prefetcher: Prefetcher, searches: Array<{file: string, token: object, finish: function(*): void}>}}
+ */
+function createPrefetcher() {
+    const searches = [];
+    const prefetcher = new Prefetcher({
+        compute: (file, token) => new Promise(resolve => {
+            searches.push({ file, token, finish: resolve });
+        }),
+        createCancellation,
+        delayMs: 0
+    });
+    return { prefetcher, searches };
+}
+
+// Lets the scheduled prefetch start
+const delay = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('Prefetcher', () => {
+    it('should reuse the prefetched result for the same file', async () => {
+        const { prefetcher, searches } = createPrefetcher();
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        assert.deepStrictEqual(searches.map(search => search.file), ['a.cc']);
+
+        const result = prefetcher.get('a.cc');
+        searches[0].finish('info of a.cc');
+        assert.strictEqual(await result, 'info of a.cc');
+        assert.strictEqual(await prefetcher.get('a.cc'), 'info of a.cc');
+        assert.strictEqual(await prefetcher.get('b.cc'), undefined);
+
+        // Scheduling the same file again doesn't search again
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        assert.strictEqual(searches.length, 1);
+    });
+
+    it('should drop the result and cancel the search when something changes', async () => {
+        const { prefetcher, searches } = createPrefetcher();
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        searches[0].finish('info of a.cc');
+        prefetcher.invalidate();
+        assert.strictEqual(await prefetcher.get('a.cc'), undefined);
+        assert.strictEqual(searches[0].token.isCancellationRequested, true);
+
+        // A change while a command waits for the running search drops its result too
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        const result = prefetcher.get('a.cc');
+        prefetcher.invalidate();
+        searches[1].finish('stale info of a.cc');
+        assert.strictEqual(await result, undefined);
+    });
+
+    it('should cancel a running prefetch when another file is scheduled', async () => {
+        const { prefetcher, searches } = createPrefetcher();
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        prefetcher.schedule('b.cc', 'b.cc');
+        assert.strictEqual(searches[0].token.isCancellationRequested, true);
+        assert.strictEqual(await prefetcher.get('a.cc'), undefined);
+
+        await delay();
+        searches[1].finish('info of b.cc');
+        assert.strictEqual(await prefetcher.get('b.cc'), 'info of b.cc');
+    });
+
+    it('should only start the last of several files scheduled in quick succession', async () => {
+        const { prefetcher, searches } = createPrefetcher();
+        prefetcher.schedule('a.cc', 'a.cc');
+        prefetcher.schedule('b.cc', 'b.cc');
+        await delay();
+        assert.deepStrictEqual(searches.map(search => search.file), ['b.cc']);
+        prefetcher.dispose();
+        assert.strictEqual(searches[0].token.isCancellationRequested, true);
+    });
+
+    it('should cancel the prefetch with the command waiting for it', async () => {
+        const { prefetcher, searches } = createPrefetcher();
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        const cancellation = createCancellation();
+        const result = prefetcher.get('a.cc', cancellation.token);
+        cancellation.cancel();
+        assert.strictEqual(searches[0].token.isCancellationRequested, true);
+        searches[0].finish('info of a.cc');
+        assert.strictEqual(await result, undefined);
+    });
+
+    it('should report failed prefetches and give no result', async () => {
+        const errors = [];
+        const prefetcher = new Prefetcher({
+            compute: async () => {
+                throw new Error('unreadable');
+            },
+            createCancellation,
+            onError: e => errors.push(e.message),
+            delayMs: 0
+        });
+        prefetcher.schedule('a.cc', 'a.cc');
+        await delay();
+        assert.strictEqual(await prefetcher.get('a.cc'), undefined);
+        assert.deepStrictEqual(errors, ['unreadable']);
+    });
+});
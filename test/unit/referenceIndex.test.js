@@ -0,0 +1,172 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ReferenceIndex, extractReferences, resolveReference, DEFAULT_REFERENCING_FILES } = require('../../src/referenceIndex.js');
+
+/**
+ * Test suite for the include index behind the "Included by" section.
+ */
+
+describe('extractReferences', () => {
+    it('should find C and C++ includes at the start of lines', () => {
+        const text = [
+            '#include "base/files/file_path.h"',
+            '  #  include <vector>',
+            '#import "ios/foo.h"',
+            '// #include "commented.h"'
+        ].join('\n');
+        assert.deepStrictEqual(extractReferences(text), ['base/files/file_path.h', 'vector', 'ios/foo.h']);
+    });
+
+    it('should find JavaScript and TypeScript imports', () => {
+        const text = [
+            'import x from \'./x\';',
+            'import { a, b } from "../lib/ab";',
+            'import \'./side-effect\';',
+            'export * from \'./reexported\';',
+            'const y = require(\'./y\');',
+            'const z = await import(\'./z\');'
+        ].join('\n');
+        assert.deepStrictEqual(
+            extractReferences(text).sort(),
+            ['../lib/ab', './reexported', './side-effect', './x', './y', './z']
+        );
+    });
+
+    it('should find Mojo and protobuf imports', () => {
+        assert.deepStrictEqual(extractReferences('import "mojo/public/mojom/base/time.mojom";'), ['mojo/public/mojom/base/time.mojom']);
+    });
+});
+
+describe('resolveReference', () => {
+    const files = new Set([
+        'base/logging.h',
+        'chrome/browser/foo.h',
+        'src/app/x.ts',
+        'src/lib/index.js',
+        'src/app/y.d.ts'
+    ]);
+
+    it('should prefer the including file directory, then the workspace root', () => {
+        assert.strictEqual(resolveReference('foo.h', 'chrome/browser/foo.cc', files), 'chrome/browser/foo.h');
+        assert.strictEqual(resolveReference('base/logging.h', 'chrome/browser/foo.cc', files), 'base/logging.h');
+    });
+
+    it('should try extensions and index files', () => {
+        assert.strictEqual(resolveReference('./x', 'src/app/main.ts', files), 'src/app/x.ts');
+        assert.strictEqual(resolveReference('./y', 'src/app/main.ts', files), 'src/app/y.d.ts');
+        assert.strictEqual(resolveReference('../lib', 'src/app/main.ts', files), 'src/lib/index.js');
+    });
+
+    it('should ignore references to files that do not exist', () => {
+        assert.strictEqual(resolveReference('vector', 'chrome/browser/foo.cc', files), undefined);
+        assert.strictEqual(resolveReference('lodash', 'src/app/main.ts', files), undefined);
+    });
+});
+
+describe('ReferenceIndex', () => {
+    const root = path.join(path.sep, 'work', 'app');
+    const options = { files: DEFAULT_REFERENCING_FILES, maxBytes: 1024 };
+    let contents;
+    let reads;
+    let mockVscode;
+    let fileIndex;
+    let index;
+    let logged;
+
+    function uriOf(relPath) {
+        const fsPath = path.join(root, ...relPath.split('/'));
+        return { scheme: 'mock', fsPath, toString: () => `mock://${fsPath}` };
+    }
+
+    function relPathOf(uri) {
+        return path.relative(root, uri.fsPath).replace(/\\/g, '/');
+    }
+
+    beforeEach(() => {
+        contents = new Map([
+            ['base/logging.h', '#pragma once\n'],
+            ['base/logging.cc', '#include "base/logging.h"\n'],
+            ['chrome/foo.cc', '#include "base/logging.h"\n#include "chrome/foo.h"\n'],
+            ['chrome/foo.h', '#include <string>\n'],
+            ['README.md', '#include "base/logging.h"\n']
+        ]);
+        reads = 0;
+        const workspaceFolder = { uri: { fsPath: root, toString: () => `mock://${root}` } };
+        mockVscode = {
+            workspaceFolder,
+            Uri: { joinPath: (base, relPath) => uriOf(relPath) },
+            workspace: {
+                textDocuments: [],
+                getWorkspaceFolder: () => workspaceFolder,
+                fs: {
+                    readFile: async uri => {
+                        reads++;
+                        const text = contents.get(relPathOf(uri));
+                        if (text === undefined) {
+                            throw new Error('not found');
+                        }
+                        return Buffer.from(text);
+                    }
+                }
+            }
+        };
+        fileIndex = { getFileSet: async () => new Set(contents.keys()) };
+        logged = [];
+        index = new ReferenceIndex(fileIndex, message => logged.push(message), mockVscode);
+    });
+
+    it('should list the files including a file', async () => {
+        assert.deepStrictEqual(
+            await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options),
+            ['base/logging.cc', 'chrome/foo.cc']
+        );
+        assert.deepStrictEqual(await index.getReferencingFiles(mockVscode.workspaceFolder, 'chrome/foo.cc', options), []);
+    });
+
+    it('should only read files matching the files globs, once', async () => {
+        await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options);
+        await index.getReferencingFiles(mockVscode.workspaceFolder, 'chrome/foo.h', options);
+        assert.strictEqual(reads, 4);
+        assert.strictEqual(index.isBuilding(mockVscode.workspaceFolder), false);
+        assert.strictEqual(logged.length, 1);
+        assert.match(logged[0], /^Indexed includes of 4 files in /);
+    });
+
+    it('should rebuild when the options change', async () => {
+        await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options);
+        assert.deepStrictEqual(
+            await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', { files: ['*.{cc,md}'], maxBytes: 1024 }),
+            ['README.md', 'base/logging.cc', 'chrome/foo.cc']
+        );
+    });
+
+    it('should update changed and deleted files', async () => {
+        await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options);
+
+        contents.set('chrome/foo.cc', '#include "chrome/foo.h"\n');
+        await index.onFileChanged(uriOf('chrome/foo.cc'));
+        contents.set('chrome/bar.cc', '#include "base/logging.h"\n');
+        await index.onFileChanged(uriOf('chrome/bar.cc'));
+        contents.delete('base/logging.cc');
+        await index.onFileDeleted(uriOf('base/logging.cc'));
+
+        assert.deepStrictEqual(await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options), ['chrome/bar.cc']);
+        assert.deepStrictEqual(await index.getReferencingFiles(mockVscode.workspaceFolder, 'chrome/foo.h', options), ['chrome/foo.cc']);
+    });
+
+    it('should forget the files below a deleted directory', async () => {
+        await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options);
+        await index.onFileDeleted(uriOf('chrome'));
+        assert.deepStrictEqual(await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options), ['base/logging.cc']);
+        // Only the directory's own files, not ones sharing its name as a prefix
+        await index.onFileDeleted(uriOf('bas'));
+        assert.deepStrictEqual(await index.getReferencingFiles(mockVscode.workspaceFolder, 'base/logging.h', options), ['base/logging.cc']);
+    });
+
+    it('should ignore changes before the index is built', async () => {
+        await index.onFileChanged(uriOf('chrome/foo.cc'));
+        await index.onFileDeleted(uriOf('chrome/foo.cc'));
+        assert.strictEqual(reads, 0);
+    });
+});
@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { sortRelatedFiles, keepCycleOrder, compareRelativePaths, getDirectoryDistance, getExtensionRank } = require('../../src/sortOrder.js');
+
+/**
+ * Test suite for the orders of the related file cycle.
+ */
+
+const files = ['abcd_impl.c', 'abcd.h', 'abcd_base.h', 'abcd.c'];
+
+describe('compareRelativePaths', () => {
+    it('should ignore case', () => {
+        assert.deepStrictEqual(['b.h', 'A.h', 'a.c'].sort(compareRelativePaths), ['a.c', 'A.h', 'b.h']);
+    });
+});
+
+describe('getDirectoryDistance', () => {
+    it('should count the levels up and down', () => {
+        assert.strictEqual(getDirectoryDistance('a/b', 'a/b'), 0);
+        assert.strictEqual(getDirectoryDistance('a/b', 'a'), 1);
+        assert.strictEqual(getDirectoryDistance('a/b', 'a/c/d'), 3);
+        assert.strictEqual(getDirectoryDistance('.', 'a/b'), 2);
+        assert.strictEqual(getDirectoryDistance('ab', 'a'), 2);
+    });
+});
+
+describe('getExtensionRank', () => {
+    it('should rank by the longest listed ending', () => {
+        const priorities = ['.h', '.cc', '_unittest.cc'];
+        assert.strictEqual(getExtensionRank('a/foo.h', priorities, true), 0);
+        assert.strictEqual(getExtensionRank('a/foo.cc', priorities, true), 1);
+        assert.strictEqual(getExtensionRank('a/foo_unittest.cc', priorities, true), 2);
+        assert.strictEqual(getExtensionRank('a/foo.py', priorities, true), 3);
+    });
+
+    it('should ignore case when told to', () => {
+        assert.strictEqual(getExtensionRank('FOO.H', ['.h'], true), 1);
+        assert.strictEqual(getExtensionRank('FOO.H', ['.h'], false), 0);
+    });
+});
+
+describe('sortRelatedFiles', () => {
+    it('should sort alphabetically by default', () => {
+        // Punctuation sorts before letters, and "_" before "."
+        assert.deepStrictEqual(sortRelatedFiles(files, { currentPath: 'abcd.c' }), ['abcd_base.h', 'abcd_impl.c', 'abcd.c', 'abcd.h']);
+        assert.deepStrictEqual(sortRelatedFiles(files, { sortOrder: 'bogus', currentPath: 'abcd.c' }), ['abcd_base.h', 'abcd_impl.c', 'abcd.c', 'abcd.h']);
+    });
+
+    it('should not change the given array', () => {
+        const copy = files.slice();
+        sortRelatedFiles(copy, { sortOrder: 'directoryDistance', currentPath: 'abcd.c' });
+        assert.deepStrictEqual(copy, files);
+    });
+
+    it('should put the current file first and then follow the matchers', () => {
+        const matcherIndexes = new Map([['abcd_impl.c', 2], ['abcd.h', 0], ['abcd_base.h', 2]]);
+        assert.deepStrictEqual(sortRelatedFiles(files, { sortOrder: 'matcherOrder', currentPath: 'abcd.c', matcherIndexes }), ['abcd.c', 'abcd.h', 'abcd_base.h', 'abcd_impl.c']);
+    });
+
+    it('should follow the extension priority, current file included', () => {
+        const extensionPriority = ['.h', '_impl.c', '.c'];
+        assert.deepStrictEqual(sortRelatedFiles(files, { sortOrder: 'extensionPriority', currentPath: 'abcd.c', extensionPriority }), ['abcd_base.h', 'abcd.h', 'abcd_impl.c', 'abcd.c']);
+    });
+
+    it('should put nearby directories first', () => {
+        const relPaths = ['x/y/foo.h', 'a/b/foo_test.cc', 'a/foo.h', 'a/b/c/foo.mojom', 'a/b/foo.cc'];
+        assert.deepStrictEqual(sortRelatedFiles(relPaths, { sortOrder: 'directoryDistance', currentPath: 'a/b/foo.cc' }), [
+            'a/b/foo_test.cc', 'a/b/foo.cc', 'a/b/c/foo.mojom', 'a/foo.h', 'x/y/foo.h'
+        ]);
+    });
+
+    it('should put recently used files first, after the current file', () => {
+        const lastUsed = new Map([['abcd.c', 3], ['abcd_base.h', 1], ['abcd.h', 2]]);
+        assert.deepStrictEqual(sortRelatedFiles(files, { sortOrder: 'mostRecentlyUsed', currentPath: 'abcd_impl.c', lastUsed }), ['abcd_impl.c', 'abcd.c', 'abcd.h', 'abcd_base.h']);
+    });
+});
+
+describe('keepCycleOrder', () => {
+    /**
+     * Steps through the group with F4 from a file, as the extension does.
+     * @param {string} start - The file to start from
+     * @param {function(string): object} getOptions - sortRelatedFiles options for the current file
+     * @param {string[]} [group] - The files of the group
+     * @returns {string[]} - The files opened, in order
+     */
+    function stepThrough(start, getOptions, group = files) {
+        const opened = [];
+        let current = start;
+        let order;
+        for (let i = 0; i < group.length; i++) {
+            order = keepCycleOrder(sortRelatedFiles(group, { currentPath: current, ...getOptions(current) }), current, order);
+            current = order[(order.indexOf(current) + 1) % order.length];
+            opened.push(current);
+        }
+        return opened;
+    }
+
+    it('should reach every file of a group from each of its files by matcher order', () => {
+        // "Same filename" (0) pairs abcd.c with abcd.h, "Suffix files" (2) finds the rest
+        const sameName = { 'abcd.c': 'abcd.h', 'abcd.h': 'abcd.c', 'abcd_base.h': 'abcd_impl.c', 'abcd_impl.c': 'abcd_base.h' };
+        const getOptions = current => ({
+            sortOrder: 'matcherOrder',
+            matcherIndexes: new Map(files.filter(file => file !== current).map(file => [file, file === sameName[current] ? 0 : 2]))
+        });
+        assert.deepStrictEqual(stepThrough('abcd.c', getOptions), ['abcd.h', 'abcd_base.h', 'abcd_impl.c', 'abcd.c']);
+        for (const start of files) {
+            const opened = stepThrough(start, getOptions);
+            assert.deepStrictEqual(opened.slice().sort(), files.slice().sort(), `from ${start}`);
+            assert.strictEqual(opened[opened.length - 1], start);
+        }
+    });
+
+    it('should reach every file of a group from each of its files by recent use', () => {
+        for (const start of files) {
+            const lastUsed = new Map([['abcd_base.h', 1], ['abcd.h', 2]]);
+            let useCount = 2;
+            const opened = stepThrough(start, current => {
+                lastUsed.set(current, ++useCount);
+                return { sortOrder: 'mostRecentlyUsed', lastUsed };
+            });
+            assert.deepStrictEqual(opened.slice().sort(), files.slice().sort(), `from ${start}`);
+            assert.strictEqual(opened[opened.length - 1], start);
+        }
+    });
+
+    it('should reach every file of a group from each of its files by directory distance', () => {
+        const relPaths = ['a/foo.h', 'a/b/foo.cc', 'a/b/c/foo.mojom', 'x/foo_test.cc'];
+        for (const start of relPaths) {
+            const opened = stepThrough(start, () => ({ sortOrder: 'directoryDistance' }), relPaths);
+            assert.deepStrictEqual(opened.slice().sort(), relPaths.slice().sort(), `from ${start}`);
+        }
+    });
+
+    it('should start over from a file outside the previous group and add new files at the end', () => {
+        assert.deepStrictEqual(keepCycleOrder(['x.c', 'x.h'], 'x.c', ['abcd.c', 'abcd.h']), ['x.c', 'x.h']);
+        assert.deepStrictEqual(keepCycleOrder(['abcd.h', 'abcd_test.c', 'abcd.c'], 'abcd.h', ['abcd.c', 'abcd.h', 'abcd_base.h']), ['abcd.c', 'abcd.h', 'abcd_test.c']);
+    });
+});
@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { findTransitiveRelatedFiles } = require('../../src/transitiveSearch.js');
+const { appliesToReachedFiles } = require('../../src/matchers.js');
+
+/**
+ * Test suite for following related files transitively.
+ */
+
+const sameName = { name: 'Same filename' };
+const test = { name: 'Test files' };
+const includes = { name: 'Includes', contentRegexp: '#include "(?<include>.*)"' };
+const docs = { name: 'Docs', cycle: false };
+const sibling = { name: 'Sibling', transitive: false };
+const importers = { name: 'Importers', contentRegexp: 'import (?<module>.*)', transitive: true };
+
+/**
+ * Searches from a file through a table of direct relations.
+ * @param {string} file - The current file
+ * @param {object} relations - For each file, [file, matcher] pairs its matchers find
+ * @returns {Promise<object[]>} - The result, with the matchers by name
+ */
+async function search(file, relations) {
+    const results = await findResults(file, relations);
+    return results.map(({ uri, matchers: found, matcherIndex }) => [uri, found.map(matcher => matcher.name), matcherIndex]);
+}
+
+/**
+ * Searches from a file through a table of direct relations, keeping the full results.
+ * @param {string} file - The current file
+ * @param {object} relations - For each file, [file, matcher] pairs its matchers find
+ * @param {object} [options] - More options for findTransitiveRelatedFiles
+ * @param {Array<[string, number]>} [lookups] - Collects each file looked up with its depth
+ * @returns {Promise<object[]>} - The result
+ */
+function findResults(file, relations, options = {}, lookups = []) {
+    const matchers = [sameName, test, includes, docs, sibling, importers];
+    return findTransitiveRelatedFiles(file, {
+        getRelated: async (uri, depth) => {
+            lookups.push([uri, depth]);
+            return (relations[uri] || []).map(([related, matcher]) => ({ uri: related, matcher, matcherIndex: matchers.indexOf(matcher) }));
+        },
+        toKey: uri => uri.toLowerCase(),
+        ...options
+    });
+}
+
+describe('findTransitiveRelatedFiles', () => {
+    it('should follow transitive matchers level by level', async () => {
+        const results = await search('foo.cc', {
+            'foo.cc': [['foo.h', sameName]],
+            'foo.h': [['foo.cc', sameName], ['foo_test.cc', test]],
+            'foo_test.cc': [['FOO.h', sameName]]
+        });
+        assert.deepStrictEqual(results, [
+            ['foo.cc', ['Same filename'], 0],
+            ['foo.h', ['Same filename'], 0],
+            ['foo_test.cc', ['Test files'], 1]
+        ]);
+    });
+
+    it('should not credit a matcher with finding the file it was applied to', async () => {
+        // A target pattern such as ${path}.* finds the source file itself
+        const results = await search('foo.cc', {
+            'foo.cc': [['foo.cc', test], ['foo.h', sameName]],
+            'foo.h': [['foo.h', test]]
+        });
+        assert.deepStrictEqual(results, [
+            ['foo.cc', [], Infinity],
+            ['foo.h', ['Same filename'], 0]
+        ]);
+    });
+
+    it('should not look up files found only by content matchers', async () => {
+        const results = await search('foo.cc', {
+            'foo.cc': [['bar.h', includes]],
+            'bar.h': [['bar.cc', sameName]]
+        });
+        assert.deepStrictEqual(results.map(([uri]) => uri), ['foo.cc', 'bar.h']);
+    });
+
+    it('should keep files reached through matchers outside the cycle out of it', async () => {
+        const results = await findResults('foo.cc', {
+            'foo.cc': [['foo.h', sameName], ['foo.md', docs]],
+            'foo.h': [['foo_test.cc', test]],
+            'foo.md': [['foo.txt', sameName]]
+        });
+        assert.deepStrictEqual(results.map(({ uri, inCycle }) => [uri, inCycle]), [
+            ['foo.cc', true],
+            ['foo.h', true],
+            ['foo.md', false],
+            ['foo_test.cc', true],
+            ['foo.txt', false]
+        ]);
+    });
+
+    it('should look up a file again once it turns out to be in the cycle', async () => {
+        // bar.h is found outside the cycle first, then in it through foo.h
+        const lookups = [];
+        const results = await findResults('foo.cc', {
+            'foo.cc': [['bar.h', docs], ['foo.h', sameName]],
+            'foo.h': [['bar.h', sameName]],
+            'bar.h': [['bar.cc', sameName]]
+        }, {}, lookups);
+        assert.deepStrictEqual(results.map(({ uri, inCycle, depth }) => [uri, inCycle, depth]), [
+            ['foo.cc', true, 0],
+            ['bar.h', true, 1],
+            ['foo.h', true, 1],
+            ['bar.cc', true, 2]
+        ]);
+        // And so is what it leads to
+        assert.deepStrictEqual(lookups, [['foo.cc', 0], ['bar.h', 1], ['foo.h', 1], ['bar.cc', 2], ['bar.h', 2], ['bar.cc', 3]]);
+    });
+
+    it('should follow content matchers with transitive: true and not matchers with transitive: false', async () => {
+        const results = await search('foo.ts', {
+            'foo.ts': [['bar.ts', importers], ['foo.spec.ts', sibling]],
+            'bar.ts': [['baz.ts', importers]],
+            'foo.spec.ts': [['foo.fixture.ts', sameName]]
+        });
+        assert.deepStrictEqual(results.map(([uri]) => uri), ['foo.ts', 'bar.ts', 'foo.spec.ts', 'baz.ts']);
+    });
+
+    it('should pass how far each file is, so matchers with transitive: false apply to the current file only', async () => {
+        const relations = {
+            'foo.cc': [['foo.h', sameName], ['foo_other.h', sibling]],
+            'foo.h': [['foo_test.cc', test], ['foo_more.h', sibling]]
+        };
+        const lookups = [];
+        const results = await findTransitiveRelatedFiles('foo.cc', {
+            // As getRelatedFiles does for files reached through other related files
+            getRelated: async (uri, depth) => {
+                lookups.push([uri, depth]);
+                return (relations[uri] || [])
+                    .filter(([, matcher]) => depth === 0 || appliesToReachedFiles(matcher))
+                    .map(([related, matcher]) => ({ uri: related, matcher, matcherIndex: 0 }));
+            },
+            toKey: uri => uri
+        });
+        assert.deepStrictEqual(results.map(({ uri, depth }) => [uri, depth]), [
+            ['foo.cc', 0],
+            ['foo.h', 1],
+            ['foo_other.h', 1],
+            ['foo_test.cc', 2]
+        ]);
+        assert.deepStrictEqual(lookups, [['foo.cc', 0], ['foo.h', 1], ['foo_test.cc', 2]]);
+    });
+
+    it('should stop after maxDepth hops', async () => {
+        const chain = { 'a': [['aa', sameName]], 'aa': [['aaa', sameName]], 'aaa': [['aaaa', sameName]] };
+        const lookups = [];
+        const results = await findResults('a', chain, { maxDepth: 2 }, lookups);
+        assert.deepStrictEqual(results.map(({ uri, depth }) => [uri, depth]), [['a', 0], ['aa', 1], ['aaa', 2]]);
+        assert.deepStrictEqual(lookups, [['a', 0], ['aa', 1]]);
+        assert.strictEqual((await findResults('a', chain, { maxDepth: 0 })).length, 4);
+    });
+
+    it('should stop once cancelled', async () => {
+        let lookups = 0;
+        const results = await findTransitiveRelatedFiles('a', {
+            getRelated: async uri => {
+                lookups++;
+                return [{ uri: uri + 'a', matcher: sameName, matcherIndex: 0 }];
+            },
+            toKey: uri => uri,
+            isCancelled: () => lookups >= 2
+        });
+        assert.deepStrictEqual(results.map(result => result.uri), ['a', 'aa', 'aaa']);
+    });
+});
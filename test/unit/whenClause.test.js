@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { parseWhenClause, evaluateWhenClause, WhenClauseError } = require('../../src/whenClause.js');
+
+/**
+ * Test suite for matcher when clauses.
+ */
+
+function createContext(values, existingFiles = []) {
+    const checked = [];
+    return {
+        checked,
+        getValue: key => values[key],
+        exists: async pattern => {
+            checked.push(pattern);
+            return existingFiles.includes(pattern);
+        }
+    };
+}
+
+async function evaluate(text, values, existingFiles) {
+    return evaluateWhenClause(parseWhenClause(text), createContext(values, existingFiles));
+}
+
+describe('parseWhenClause', () => {
+    it('should parse comparisons, exists and operators', () => {
+        assert.deepStrictEqual(parseWhenClause('languageId == idl'), { type: 'equals', key: 'languageId', value: 'idl' });
+        assert.deepStrictEqual(parseWhenClause('exists:BUILD.gn'), { type: 'exists', pattern: 'BUILD.gn' });
+        assert.deepStrictEqual(parseWhenClause('!isWindows && (platform != darwin || exists:"a b/*.gn")'), {
+            type: 'and',
+            left: { type: 'not', operand: { type: 'key', key: 'isWindows' } },
+            right: {
+                type: 'or',
+                left: { type: 'notEquals', key: 'platform', value: 'darwin' },
+                right: { type: 'exists', pattern: 'a b/*.gn' }
+            }
+        });
+    });
+
+    it('should report unknown keys', () => {
+        assert.throws(() => parseWhenClause('language == idl'), /Unknown context key "language"/);
+    });
+
+    it('should report malformed clauses', () => {
+        for (const text of ['', '   ', 'languageId ==', 'languageId == idl &&', '(isMac', 'isMac)', 'exists:', 'languageId =~ idl', 'languageId =~ /[/', 'languageId == \'idl']) {
+            assert.throws(() => parseWhenClause(text), WhenClauseError, text);
+        }
+        assert.throws(() => parseWhenClause(42), WhenClauseError);
+    });
+});
+
+describe('evaluateWhenClause', () => {
+    const values = { languageId: 'idl', workspaceFolderName: 'chromium', platform: 'linux', isWindows: false, isLinux: true };
+
+    it('should compare context keys', async () => {
+        assert.strictEqual(await evaluate('languageId == idl', values), true);
+        assert.strictEqual(await evaluate('languageId == \'cpp\'', values), false);
+        assert.strictEqual(await evaluate('workspaceFolderName != chromium', values), false);
+        assert.strictEqual(await evaluate('languageId =~ /^I/i', values), true);
+        assert.strictEqual(await evaluate('languageId =~ /^c/', {}), false);
+    });
+
+    it('should treat keys on their own as booleans', async () => {
+        assert.strictEqual(await evaluate('isLinux', values), true);
+        assert.strictEqual(await evaluate('isWindows', values), false);
+        assert.strictEqual(await evaluate('!isWindows', values), true);
+        assert.strictEqual(await evaluate('languageId', {}), false);
+    });
+
+    it('should check for files', async () => {
+        assert.strictEqual(await evaluate('exists:BUILD.gn', values, ['BUILD.gn']), true);
+        assert.strictEqual(await evaluate('exists:BUILD.gn', values, []), false);
+    });
+
+    it('should give && precedence over ||', async () => {
+        assert.strictEqual(await evaluate('isWindows && isLinux || languageId == idl', values), true);
+        assert.strictEqual(await evaluate('isWindows && (isLinux || languageId == idl)', values), false);
+    });
+
+    it('should only check for files when the result depends on them', async () => {
+        const context = createContext(values, ['BUILD.gn']);
+        assert.strictEqual(await evaluateWhenClause(parseWhenClause('isWindows && exists:BUILD.gn'), context), false);
+        assert.strictEqual(await evaluateWhenClause(parseWhenClause('isLinux || exists:BUILD.gn'), context), true);
+        assert.deepStrictEqual(context.checked, []);
+        assert.strictEqual(await evaluateWhenClause(parseWhenClause('isLinux && exists:BUILD.gn'), context), true);
+        assert.deepStrictEqual(context.checked, ['BUILD.gn']);
+    });
+});